@@ -0,0 +1,106 @@
+/**
+ * @file
+ * Clipboard and file download helpers shared by Decoupled Drupal modules.
+ *
+ * Exposed as Drupal.dcClipboard. Callers show their own success and failure
+ * feedback.
+ */
+
+(function (Drupal) {
+  'use strict';
+
+  /**
+   * Copy text to the clipboard.
+   *
+   * @param {string} text - The text to copy.
+   *
+   * @return {Promise} Resolves once copied, rejects if copying failed.
+   */
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      // Use the modern clipboard API.
+      return navigator.clipboard.writeText(text).catch(function () {
+        return fallbackCopyText(text);
+      });
+    }
+
+    // Fallback for older browsers.
+    return fallbackCopyText(text);
+  }
+
+  /**
+   * Fallback copy method for older browsers.
+   *
+   * @param {string} text - The text to copy.
+   *
+   * @return {Promise} Resolves once copied, rejects if copying failed.
+   */
+  function fallbackCopyText(text) {
+    return new Promise(function (resolve, reject) {
+      const activeElement = document.activeElement;
+      const textArea = document.createElement("textarea");
+      textArea.value = text;
+      textArea.style.position = "fixed";
+      textArea.style.left = "-999999px";
+      textArea.style.top = "-999999px";
+      document.body.appendChild(textArea);
+      textArea.focus();
+      textArea.select();
+
+      try {
+        if (!document.execCommand("copy")) {
+          throw new Error("The copy command was rejected");
+        }
+        resolve();
+      }
+      catch (err) {
+        reject(err);
+      }
+      finally {
+        textArea.remove();
+
+        // Give focus back, e.g. to the button that was clicked.
+        if (activeElement && activeElement.focus) {
+          activeElement.focus();
+        }
+      }
+    });
+  }
+
+  /**
+   * Download text as a file.
+   *
+   * @param {string} text - The file contents.
+   * @param {string} filename - The filename for the download.
+   * @param {string} type - (optional) The MIME type, text/plain by default.
+   *
+   * @throws {Error} If the browser cannot create the download.
+   */
+  function downloadFile(text, filename, type) {
+    // Create a blob with the text content
+    const blob = new Blob([text], { type: type || 'text/plain' });
+
+    // Create a temporary URL for the blob
+    const url = window.URL.createObjectURL(blob);
+
+    // Create a temporary anchor element and trigger download
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    // Clean up the URL
+    window.URL.revokeObjectURL(url);
+  }
+
+  Drupal.dcClipboard = {
+    copyText: copyText,
+    fallbackCopyText: fallbackCopyText,
+    downloadFile: downloadFile
+  };
+
+})(Drupal);
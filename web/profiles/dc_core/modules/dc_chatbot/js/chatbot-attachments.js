@@ -0,0 +1,438 @@
+/**
+ * @file
+ * Content model attachments for Decoupled Drupal Chatbot.
+ *
+ * Validates uploaded content models against the dc_import JSON schema and
+ * converts CSV field lists into the same "model" array format. Validation
+ * covers the JSON Schema keywords the import schema relies on: type, enum,
+ * const, required, properties, additionalProperties, items, min/maxItems,
+ * min/maxLength, pattern, minimum/maximum, allOf, anyOf, oneOf and local
+ * $ref pointers. Like the server, which validates with type coercion, it
+ * accepts e.g. "3" where a number is expected. Messages go through Drupal.t()
+ * with "!" placeholders, as the chatbot renders them as Markdown.
+ */
+
+(function (Drupal, window) {
+  'use strict';
+
+  /**
+   * Minimal model schema, used when the dc_import schema is unavailable.
+   */
+  const FALLBACK_SCHEMA = {
+    type: 'object',
+    required: ['model'],
+    properties: {
+      model: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['bundle', 'label'],
+          properties: {
+            entity: { enum: ['node', 'paragraph'] },
+            bundle: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+            label: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            body: { type: 'boolean' },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'label', 'type'],
+                properties: {
+                  id: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+                  label: { type: 'string', minLength: 1 },
+                  type: { type: 'string', minLength: 1 },
+                  description: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      content: { type: 'array' }
+    }
+  };
+
+  /**
+   * CSV header names accepted for each model property.
+   */
+  const CSV_COLUMNS = {
+    entity: ['entity', 'entity_type'],
+    bundle: ['bundle', 'content_type'],
+    bundleLabel: ['bundle_label', 'content_type_label'],
+    id: ['id', 'field', 'field_id', 'field_name'],
+    label: ['label', 'field_label'],
+    type: ['type', 'field_type'],
+    description: ['description'],
+    required: ['required']
+  };
+
+  /**
+   * Returns the JSON type name of a value, as used by "type".
+   */
+  function typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  /**
+   * Converts a value to a JSON type the way dc_import's validator does.
+   *
+   * The server validates with CHECK_MODE_COERCE_TYPES, which reads numeric
+   * strings as numbers, "true" and "false" as booleans, scalars as strings
+   * and an empty string as null.
+   *
+   * @return {*}
+   *   The converted value, or undefined when it cannot be converted.
+   */
+  function coerce(value, type) {
+    const actual = typeOf(value);
+    switch (type) {
+      case 'number':
+      case 'integer':
+        if (actual === 'string' && value.trim() !== '' && isFinite(value)) {
+          const number = Number(value);
+          return type === 'number' || Number.isInteger(number) ? number : undefined;
+        }
+        return undefined;
+
+      case 'boolean':
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        return undefined;
+
+      case 'string':
+        if (actual === 'null') {
+          return '';
+        }
+        return ['integer', 'number', 'boolean'].includes(actual) ? String(value) : undefined;
+
+      case 'null':
+        return value === '' ? null : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolves a local "#/..." JSON pointer against the root schema.
+   */
+  function resolveRef(ref, root) {
+    if (ref.indexOf('#') !== 0) {
+      return null;
+    }
+
+    return ref.substring(1).split('/').filter(Boolean).reduce((node, part) => {
+      part = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[part] : undefined;
+    }, root) || null;
+  }
+
+  /**
+   * Validates a value against a schema node, collecting error messages.
+   */
+  function check(value, schema, path, root, errors) {
+    if (schema === false) {
+      errors.push(Drupal.t('!path: is not allowed', { '!path': path }));
+      return;
+    }
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+
+    if (schema.$ref) {
+      const target = resolveRef(schema.$ref, root);
+      if (target) {
+        check(value, target, path, root, errors);
+      }
+      return;
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        const coerced = types.map(type => coerce(value, type)).find(candidate => candidate !== undefined);
+        if (coerced === undefined) {
+          errors.push(Drupal.t('!path: must be !types, not !type', { '!path': path, '!types': types.join(' | '), '!type': typeOf(value) }));
+          return;
+        }
+        // The remaining keywords apply to the converted value.
+        value = coerced;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      errors.push(Drupal.t('!path: must be one of !options', { '!path': path, '!options': schema.enum.map(option => JSON.stringify(option)).join(', ') }));
+    }
+    if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      errors.push(Drupal.t('!path: must be !value', { '!path': path, '!value': JSON.stringify(schema.const) }));
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(Drupal.formatPlural(schema.minLength, '!path: must be at least 1 character', '!path: must be at least @count characters', { '!path': path }));
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(Drupal.formatPlural(schema.maxLength, '!path: must be at most 1 character', '!path: must be at most @count characters', { '!path': path }));
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+        errors.push(Drupal.t('!path: "!value" does not match !pattern', { '!path': path, '!value': value, '!pattern': schema.pattern }));
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(Drupal.t('!path: must be at least !minimum', { '!path': path, '!minimum': schema.minimum }));
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(Drupal.t('!path: must be at most !maximum', { '!path': path, '!maximum': schema.maximum }));
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(Drupal.formatPlural(schema.minItems, '!path: must have at least 1 item', '!path: must have at least @count items', { '!path': path }));
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(Drupal.formatPlural(schema.maxItems, '!path: must have at most 1 item', '!path: must have at most @count items', { '!path': path }));
+      }
+      if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+        value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, root, errors));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(name => {
+        if (!(name in value)) {
+          errors.push(Drupal.t('!path: "!name" is required', { '!path': path, '!name': name }));
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.keys(value).forEach(name => {
+        if (properties[name] !== undefined) {
+          check(value[name], properties[name], `${path}.${name}`, root, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(Drupal.t('!path: "!name" is not an allowed property', { '!path': path, '!name': name }));
+        } else if (typeof schema.additionalProperties === 'object') {
+          check(value[name], schema.additionalProperties, `${path}.${name}`, root, errors);
+        }
+      });
+    }
+
+    (schema.allOf || []).forEach(sub => check(value, sub, path, root, errors));
+
+    if (schema.anyOf && !schema.anyOf.some(sub => collect(value, sub, path, root).length === 0)) {
+      errors.push(Drupal.t('!path: does not match any of the allowed forms', { '!path': path }));
+    }
+    if (schema.oneOf && schema.oneOf.filter(sub => collect(value, sub, path, root).length === 0).length !== 1) {
+      errors.push(Drupal.t('!path: must match exactly one of the allowed forms', { '!path': path }));
+    }
+  }
+
+  function collect(value, schema, path, root) {
+    const errors = [];
+    check(value, schema, path, root, errors);
+    return errors;
+  }
+
+  /**
+   * Validates data against a JSON schema.
+   *
+   * @param {*} data
+   *   The decoded JSON data.
+   * @param {object} schema
+   *   (optional) The schema; defaults to FALLBACK_SCHEMA.
+   *
+   * @return {string[]}
+   *   Error messages, empty when the data is valid.
+   */
+  function validate(data, schema) {
+    schema = schema || FALLBACK_SCHEMA;
+    return collect(data, schema, '$', schema);
+  }
+
+  /**
+   * Parses CSV text into rows of cells.
+   *
+   * Handles quoted cells with embedded delimiters, quotes and line breaks.
+   * The delimiter (comma, semicolon or tab) is detected from the first line.
+   */
+  function parseCsv(text) {
+    text = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => {
+      return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+    }, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Turns a label into a machine name, e.g. "Hero Image" into "hero_image".
+   */
+  function machineName(text) {
+    return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').replace(/^(\d)/, '_$1');
+  }
+
+  function humanize(name) {
+    const words = String(name).replace(/_/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Converts a CSV field list into an import configuration.
+   *
+   * The header row names the columns: bundle, id, label and type, plus the
+   * optional entity (node or paragraph), bundle_label, description and
+   * required (yes/true/1 appends "!" to the type). Each row is one field;
+   * a row without an id only declares the bundle.
+   *
+   * @param {string} text
+   *   The CSV text.
+   *
+   * @return {object}
+   *   An object with 'config' ({model: [...]}) and 'errors' (string[]).
+   */
+  function csvToModel(text) {
+    const rows = parseCsv(text);
+    const errors = [];
+    if (rows.length < 2) {
+      return { config: null, errors: [Drupal.t('The CSV needs a header row and at least one field row.')] };
+    }
+
+    const header = rows[0].map(name => machineName(name));
+    const columns = {};
+    Object.keys(CSV_COLUMNS).forEach(key => {
+      columns[key] = header.findIndex(name => CSV_COLUMNS[key].indexOf(name) !== -1);
+    });
+
+    ['bundle', 'id', 'type'].forEach(key => {
+      if (columns[key] === -1) {
+        errors.push(Drupal.t('The CSV header is missing the "!column" column.', { '!column': CSV_COLUMNS[key][0] }));
+      }
+    });
+    if (errors.length) {
+      return { config: null, errors: errors };
+    }
+
+    const cell = (cells, key) => (columns[key] === -1 ? '' : (cells[columns[key]] || '').trim());
+    const bundles = {};
+    const model = [];
+
+    rows.slice(1).forEach((cells, index) => {
+      const line = index + 2;
+      const bundle = machineName(cell(cells, 'bundle'));
+      if (!bundle) {
+        errors.push(Drupal.t('Line !line: the bundle is empty.', { '!line': line }));
+        return;
+      }
+
+      if (!bundles[bundle]) {
+        const entity = cell(cells, 'entity').toLowerCase() || 'node';
+        bundles[bundle] = {
+          bundle: bundle,
+          label: cell(cells, 'bundleLabel') || humanize(bundle),
+          fields: []
+        };
+        if (entity !== 'node') {
+          bundles[bundle].entity = entity;
+        }
+        model.push(bundles[bundle]);
+      }
+
+      const rawId = cell(cells, 'id');
+      if (!rawId) {
+        return;
+      }
+
+      let type = cell(cells, 'type');
+      if (!type) {
+        errors.push(Drupal.t('Line !line: the type of "!field" is empty.', { '!line': line, '!field': rawId }));
+        return;
+      }
+      if (/^(yes|y|true|1|x)$/i.test(cell(cells, 'required')) && type.slice(-1) !== '!') {
+        type += '!';
+      }
+
+      const field = {
+        id: machineName(rawId),
+        label: cell(cells, 'label') || humanize(rawId),
+        type: type
+      };
+      const description = cell(cells, 'description');
+      if (description) {
+        field.description = description;
+      }
+      bundles[bundle].fields.push(field);
+    });
+
+    return {
+      config: errors.length ? null : { model: model },
+      errors: errors
+    };
+  }
+
+  window.DecoupledChatbotAttachments = {
+    FALLBACK_SCHEMA: FALLBACK_SCHEMA,
+    validate: validate,
+    parseCsv: parseCsv,
+    csvToModel: csvToModel
+  };
+
+})(Drupal, window);
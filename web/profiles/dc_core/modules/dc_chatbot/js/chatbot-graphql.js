@@ -0,0 +1,218 @@
+/**
+ * @file
+ * GraphQL helpers for Decoupled Drupal Chatbot.
+ *
+ * Highlights queries, renders query results as a collapsible JSON tree and
+ * derives a TypeScript type from a result. Everything is built with DOM
+ * nodes and textContent, as queries and results come from the AI and the
+ * site's content.
+ */
+
+(function (Drupal, window) {
+  'use strict';
+
+  const KEYWORDS = ['query', 'mutation', 'subscription', 'fragment', 'on', 'true', 'false', 'null'];
+
+  // Comments, block strings, strings, variables, directives, numbers, names
+  const TOKEN = /(#[^\n]*)|("""[\s\S]*?"""|"(?:\\.|[^"\\\n])*")|(\$[_A-Za-z][_0-9A-Za-z]*)|(@[_A-Za-z][_0-9A-Za-z]*)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z][_0-9A-Za-z]*)/g;
+
+  /**
+   * Splits a query into highlighted spans.
+   *
+   * @param {string} query
+   *   The GraphQL query.
+   *
+   * @return {DocumentFragment}
+   *   Text nodes and spans with gql-* classes.
+   */
+  function highlight(query) {
+    const fragment = document.createDocumentFragment();
+    const span = (className, text) => {
+      const element = document.createElement('span');
+      element.className = className;
+      element.textContent = text;
+      return element;
+    };
+
+    let last = 0;
+    let match;
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(query)) !== null) {
+      if (match.index > last) {
+        fragment.appendChild(document.createTextNode(query.slice(last, match.index)));
+      }
+      last = TOKEN.lastIndex;
+
+      if (match[1]) {
+        fragment.appendChild(span('gql-comment', match[1]));
+      } else if (match[2]) {
+        fragment.appendChild(span('gql-string', match[2]));
+      } else if (match[3]) {
+        fragment.appendChild(span('gql-variable', match[3]));
+      } else if (match[4]) {
+        fragment.appendChild(span('gql-directive', match[4]));
+      } else if (match[5]) {
+        fragment.appendChild(span('gql-number', match[5]));
+      } else if (KEYWORDS.indexOf(match[6]) !== -1) {
+        fragment.appendChild(span('gql-keyword', match[6]));
+      } else if (/^\s*:/.test(query.slice(last))) {
+        // Arguments and aliases
+        fragment.appendChild(span('gql-argument', match[6]));
+      } else if (/^[A-Z]/.test(match[6])) {
+        fragment.appendChild(span('gql-type', match[6]));
+      } else {
+        fragment.appendChild(span('gql-field', match[6]));
+      }
+    }
+    if (last < query.length) {
+      fragment.appendChild(document.createTextNode(query.slice(last)));
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Renders a value as a collapsible tree.
+   *
+   * @param {*} value
+   *   The decoded JSON value.
+   * @param {number} openDepth
+   *   (optional) Objects and arrays nested less deep than this start open.
+   *   Defaults to 2.
+   *
+   * @return {HTMLElement}
+   *   The tree.
+   */
+  function renderTree(value, openDepth) {
+    const tree = document.createElement('div');
+    tree.className = 'json-tree';
+    tree.appendChild(renderNode(null, value, 0, openDepth === undefined ? 2 : openDepth));
+    return tree;
+  }
+
+  function renderNode(key, value, depth, openDepth) {
+    const label = document.createDocumentFragment();
+    if (key !== null) {
+      const keySpan = document.createElement('span');
+      keySpan.className = 'json-key';
+      keySpan.textContent = key;
+      label.append(keySpan, ': ');
+    }
+
+    if (value === null || typeof value !== 'object') {
+      const line = document.createElement('div');
+      line.className = 'json-leaf';
+      const valueSpan = document.createElement('span');
+      valueSpan.className = `json-${value === null ? 'null' : typeof value}`;
+      valueSpan.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+      line.append(label, valueSpan);
+      return line;
+    }
+
+    const isArray = Array.isArray(value);
+    const keys = isArray ? value.map((item, index) => index) : Object.keys(value);
+    const details = document.createElement('details');
+    details.className = 'json-branch';
+    details.open = depth < openDepth;
+
+    const summary = document.createElement('summary');
+    const size = document.createElement('span');
+    size.className = 'json-size';
+    size.textContent = isArray
+      ? Drupal.formatPlural(keys.length, '[1 item]', '[@count items]')
+      : Drupal.formatPlural(keys.length, '{1 key}', '{@count keys}');
+    summary.append(label, size);
+    details.appendChild(summary);
+
+    keys.forEach(childKey => {
+      details.appendChild(renderNode(String(childKey), value[childKey], depth + 1, openDepth));
+    });
+    return details;
+  }
+
+  /**
+   * Derives a TypeScript type from a query result.
+   *
+   * Array items are merged, so a key missing from some items is optional
+   * and a key that is sometimes null is nullable.
+   *
+   * @param {*} data
+   *   The 'data' of a GraphQL response.
+   * @param {string} query
+   *   (optional) The query, whose operation name names the type.
+   *
+   * @return {string}
+   *   An exported type alias.
+   */
+  function toTypeScript(data, query) {
+    const operation = typeof query === 'string' && query.match(/^\s*(?:query|mutation|subscription)\s+([_A-Za-z][_0-9A-Za-z]*)/);
+    let name = operation ? operation[1].charAt(0).toUpperCase() + operation[1].slice(1) : 'Query';
+    if (!/(Query|Mutation|Subscription)$/.test(name)) {
+      name += 'Result';
+    }
+
+    return `export type ${name} = ${typeOf([data], '')};\n`;
+  }
+
+  function typeOf(samples, indent) {
+    const types = [];
+    const add = (type) => {
+      if (types.indexOf(type) === -1) {
+        types.push(type);
+      }
+    };
+
+    const arrays = samples.filter(Array.isArray);
+    const objects = samples.filter(sample => sample !== null && typeof sample === 'object' && !Array.isArray(sample));
+    samples.forEach(sample => {
+      if (['string', 'number', 'boolean'].indexOf(typeof sample) !== -1) {
+        add(typeof sample);
+      }
+    });
+
+    if (objects.length) {
+      add(objectType(objects, indent));
+    }
+    if (arrays.length) {
+      const items = [].concat(...arrays);
+      const item = items.length ? typeOf(items, indent) : 'unknown';
+      add(/[|{]/.test(item) ? `Array<${item}>` : `${item}[]`);
+    }
+    if (samples.some(sample => sample === null)) {
+      add('null');
+    }
+
+    return types.length ? types.join(' | ') : 'unknown';
+  }
+
+  function objectType(objects, indent) {
+    const keys = [];
+    objects.forEach(object => {
+      Object.keys(object).forEach(key => {
+        if (keys.indexOf(key) === -1) {
+          keys.push(key);
+        }
+      });
+    });
+    if (!keys.length) {
+      return 'Record<string, never>';
+    }
+
+    const inner = `${indent}  `;
+    const lines = keys.map(key => {
+      const present = objects.filter(object => Object.prototype.hasOwnProperty.call(object, key));
+      const optional = present.length < objects.length ? '?' : '';
+      const name = /^[_$A-Za-z][_$0-9A-Za-z]*$/.test(key) ? key : JSON.stringify(key);
+      return `${inner}${name}${optional}: ${typeOf(present.map(object => object[key]), inner)};`;
+    });
+
+    return `{\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  window.DecoupledChatbotGraphQL = {
+    highlight: highlight,
+    renderTree: renderTree,
+    toTypeScript: toTypeScript
+  };
+
+})(Drupal, window);
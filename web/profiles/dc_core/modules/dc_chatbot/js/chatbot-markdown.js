@@ -0,0 +1,660 @@
+/**
+ * @file
+ * Markdown renderer for Decoupled Drupal Chatbot messages.
+ *
+ * Supports a CommonMark subset (headings, paragraphs, emphasis, code spans,
+ * fenced code blocks, block quotes, nested ordered and unordered lists,
+ * thematic breaks, links and autolinks) plus GFM tables and strikethrough.
+ * All text is escaped; raw HTML in the input is never passed through, and
+ * link URLs are limited to an allow-list of schemes.
+ */
+
+(function (window) {
+  'use strict';
+
+  /**
+   * URL schemes links may use. Relative URLs are always allowed.
+   */
+  const ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+  const FENCE_RE = /^( {0,3})(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+  const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const BLOCKQUOTE_RE = /^ {0,3}> ?(.*)$/;
+  const LIST_ITEM_RE = /^( *)([-*+]|\d{1,9}[.)])( {1,4}|\t|$)(.*)$/;
+  const BULLET_RE = /^\s*•\s*(.*)$/;
+  const TABLE_DELIMITER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+  const ESCAPABLE_RE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+  /**
+   * Escapes text for use in HTML content and attribute values.
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  function indentOf(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  function isBlank(line) {
+    return /^\s*$/.test(line);
+  }
+
+  /**
+   * Checks whether a line starts a block that interrupts a paragraph.
+   */
+  function startsBlock(line) {
+    if (FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || BLOCKQUOTE_RE.test(line) || BULLET_RE.test(line)) {
+      return true;
+    }
+    const item = LIST_ITEM_RE.exec(line);
+    // Like CommonMark, only "1." may interrupt a paragraph with an ordered list.
+    return !!item && item[4] !== '' && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1);
+  }
+
+  /**
+   * Checks whether lines[index] starts a GFM table.
+   */
+  function startsTable(lines, index) {
+    return lines[index].indexOf('|') !== -1 && index + 1 < lines.length &&
+      lines[index + 1].indexOf('-') !== -1 && TABLE_DELIMITER_RE.test(lines[index + 1]);
+  }
+
+  /**
+   * Splits a GFM table row into trimmed cell strings.
+   */
+  function splitTableRow(line) {
+    let row = line.trim();
+    if (row.charAt(0) === '|') {
+      row = row.substring(1);
+    }
+    if (row.charAt(row.length - 1) === '|' && row.charAt(row.length - 2) !== '\\') {
+      row = row.substring(0, row.length - 1);
+    }
+
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    for (let i = 0; i < row.length; i++) {
+      const ch = row.charAt(i);
+      if (ch === '\\' && row.charAt(i + 1) === '|') {
+        cell += '|';
+        i++;
+      }
+      else if (ch === '`') {
+        inCode = !inCode;
+        cell += ch;
+      }
+      else if (ch === '|' && !inCode) {
+        cells.push(cell.trim());
+        cell = '';
+      }
+      else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * Renderer for one markdown document.
+   *
+   * @param {object} options
+   *   - basePath: Prefix for site-relative links ("/node/1"), e.g. the
+   *     Drupal base URL and language prefix. Defaults to "/".
+   */
+  function Renderer(options) {
+    this.options = Object.assign({
+      basePath: '/'
+    }, options || {});
+  }
+
+  /**
+   * Checks a link destination against the scheme allow-list.
+   *
+   * @return {?object}
+   *   An object with the rewritten href and whether it is internal, or NULL
+   *   if the URL is not allowed.
+   */
+  Renderer.prototype.resolveUrl = function (url) {
+    // Browsers ignore control characters and whitespace inside schemes, so
+    // strip them before looking for one ("java\tscript:").
+    const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (scheme) {
+      if (ALLOWED_SCHEMES.indexOf(scheme[1]) === -1) {
+        return null;
+      }
+      const sameOrigin = window.location && normalized.indexOf(window.location.origin.toLowerCase() + '/') === 0;
+      return { href: url, internal: !!sameOrigin };
+    }
+
+    // Protocol-relative URLs point at another host.
+    if (normalized.indexOf('//') === 0) {
+      return { href: url, internal: false };
+    }
+
+    // Browsers read a backslash as a slash, so "\\evil.com" and "/\evil.com"
+    // are protocol-relative as well; no legitimate link starts that way.
+    if (/^(\\|\/\\)/.test(normalized)) {
+      return null;
+    }
+
+    // Site-relative Drupal paths respect the base path and language prefix.
+    if (url.charAt(0) === '/') {
+      return { href: this.options.basePath.replace(/\/$/, '') + url, internal: true };
+    }
+
+    return { href: url, internal: true };
+  };
+
+  Renderer.prototype.renderLink = function (label, url, title) {
+    const resolved = this.resolveUrl(url);
+    if (!resolved) {
+      // Disallowed scheme: keep the text, drop the link.
+      return label;
+    }
+
+    let html = `<a href="${escapeHtml(resolved.href)}"`;
+    if (title) {
+      html += ` title="${escapeHtml(title)}"`;
+    }
+    if (!resolved.internal) {
+      html += ' target="_blank" rel="noopener noreferrer"';
+    }
+    return html + `>${label}</a>`;
+  };
+
+  /**
+   * Renders block-level markdown.
+   *
+   * @param {string[]} lines
+   *   The lines to render.
+   * @param {boolean} tight
+   *   Whether paragraphs are rendered without <p> tags (tight list items).
+   */
+  Renderer.prototype.renderBlocks = function (lines, tight) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        i++;
+        continue;
+      }
+
+      // Fenced code block
+      const fence = FENCE_RE.exec(line);
+      if (fence) {
+        const indent = fence[1].length;
+        const marker = fence[2];
+        const code = [];
+        i++;
+        while (i < lines.length) {
+          const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+          if (closing && closing[1].charAt(0) === marker.charAt(0) && closing[1].length >= marker.length) {
+            i++;
+            break;
+          }
+          code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+          i++;
+        }
+        const language = fence[3] ? ` class="language-${escapeHtml(fence[3])}"` : '';
+        out.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Thematic break; checked before lists so "* * *" is not a list item
+      if (HR_RE.test(line)) {
+        out.push('<hr>');
+        i++;
+        continue;
+      }
+
+      const heading = HEADING_RE.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        out.push(`<h${level}>${this.renderInline(heading[2] || '')}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      if (BLOCKQUOTE_RE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && !isBlank(lines[i])) {
+          const quoteLine = BLOCKQUOTE_RE.exec(lines[i]);
+          if (quoteLine) {
+            quoted.push(quoteLine[1]);
+          }
+          else if (startsBlock(lines[i])) {
+            break;
+          }
+          else {
+            // Lazy continuation of a quoted paragraph
+            quoted.push(lines[i]);
+          }
+          i++;
+        }
+        out.push(`<blockquote>${this.renderBlocks(quoted, false)}</blockquote>`);
+        continue;
+      }
+
+      const listItem = LIST_ITEM_RE.exec(line);
+      if (listItem && listItem[4] !== '') {
+        i = this.renderList(lines, i, out);
+        continue;
+      }
+
+      // Standalone "•" lines, as used by import summaries
+      const bullet = BULLET_RE.exec(line);
+      if (bullet) {
+        out.push(`<div class="bullet-item">${this.renderInline(bullet[1])}</div>`);
+        i++;
+        continue;
+      }
+
+      // GFM table: a header row followed by a delimiter row
+      if (startsTable(lines, i)) {
+        const header = splitTableRow(line);
+        const alignments = splitTableRow(lines[i + 1]).map(cell => {
+          const left = cell.charAt(0) === ':';
+          const right = cell.charAt(cell.length - 1) === ':';
+          return left && right ? 'center' : (right ? 'right' : (left ? 'left' : ''));
+        });
+
+        if (alignments.length === header.length) {
+          i = this.renderTable(lines, i, header, alignments, out);
+          continue;
+        }
+      }
+
+      // Paragraph: runs until a blank line or another block starts
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i]) && !startsTable(lines, i)) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      // Chat replies treat single newlines as line breaks
+      const content = paragraph.map(text => this.renderInline(text)).join('<br>');
+      out.push(tight ? content : `<p>${content}</p>`);
+    }
+
+    return out.join('');
+  };
+
+  /**
+   * Renders a list starting at lines[start], returning the next line index.
+   */
+  Renderer.prototype.renderList = function (lines, start, out) {
+    const first = LIST_ITEM_RE.exec(lines[start]);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const item = LIST_ITEM_RE.exec(lines[i]);
+      if (!item || item[4] === '' || item[1].length !== baseIndent || /\d/.test(item[2]) !== ordered) {
+        break;
+      }
+
+      const markerWidth = item[1].length + item[2].length;
+      const contentIndent = markerWidth + (item[3].length > 0 && item[3] !== '\t' ? item[3].length : 1);
+      const itemLines = [item[4]];
+      i++;
+
+      while (i < lines.length) {
+        const next = lines[i];
+        if (isBlank(next)) {
+          // Blank lines only continue the item if indented content follows.
+          let j = i + 1;
+          while (j < lines.length && isBlank(lines[j])) {
+            j++;
+          }
+          if (j < lines.length && indentOf(lines[j]) >= contentIndent) {
+            for (; i < j; i++) {
+              itemLines.push('');
+            }
+            continue;
+          }
+          break;
+        }
+
+        const indent = indentOf(next);
+        if (indent >= contentIndent) {
+          itemLines.push(next.substring(contentIndent));
+        }
+        else if (LIST_ITEM_RE.test(next) && indent > baseIndent) {
+          // Under-indented nested list; accept it rather than splitting.
+          itemLines.push(next.substring(indent));
+        }
+        else if (LIST_ITEM_RE.test(next) || startsBlock(next)) {
+          break;
+        }
+        else {
+          // Lazy continuation line
+          itemLines.push(next.trim());
+        }
+        i++;
+      }
+
+      // Blank lines inside an item make it loose, with its paragraphs kept apart
+      items.push(`<li>${this.renderBlocks(itemLines, itemLines.indexOf('') === -1)}</li>`);
+    }
+
+    const startNumber = parseInt(first[2], 10);
+    if (ordered) {
+      const startAttribute = startNumber !== 1 ? ` start="${startNumber}"` : '';
+      out.push(`<ol${startAttribute}>${items.join('')}</ol>`);
+    }
+    else {
+      out.push(`<ul>${items.join('')}</ul>`);
+    }
+    return i;
+  };
+
+  /**
+   * Renders a GFM table starting at lines[start], returning the next index.
+   */
+  Renderer.prototype.renderTable = function (lines, start, header, alignments, out) {
+    const cell = (tag, content, index) => {
+      const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+      return `<${tag}${align}>${this.renderInline(content || '')}</${tag}>`;
+    };
+
+    let html = '<table><thead><tr>' + header.map((content, index) => cell('th', content, index)).join('') + '</tr></thead>';
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && !isBlank(lines[i]) && lines[i].indexOf('|') !== -1) {
+      const cells = splitTableRow(lines[i]);
+      rows.push('<tr>' + header.map((unused, index) => cell('td', cells[index], index)).join('') + '</tr>');
+      i++;
+    }
+    if (rows.length) {
+      html += `<tbody>${rows.join('')}</tbody>`;
+    }
+    out.push(html + '</table>');
+    return i;
+  };
+
+  /**
+   * Indexes the code spans, brackets and emphasis closers of inline text.
+   *
+   * One pass up front keeps unmatched delimiters from rescanning the rest
+   * of the text, which made long replies quadratic; streamed replies are
+   * rendered again on every chunk.
+   *
+   * @return {object}
+   *   - spans: End index of the closing backtick run, keyed by the index of
+   *     the opening run.
+   *   - brackets: Index of the matching "]", keyed by the index of "[".
+   *   - closers: Sorted indexes of the runs that may close emphasis, keyed
+   *     by delimiter and run length, e.g. "*2".
+   */
+  function indexInline(text) {
+    const index = { spans: {}, brackets: {}, closers: {} };
+    const ticks = [];
+    const open = [];
+
+    // Backtick runs first, as code spans take precedence over the rest.
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charAt(i);
+      if (ch === '\\') {
+        i++;
+      }
+      else if (ch === '`') {
+        const start = i;
+        while (text.charAt(i + 1) === '`') {
+          i++;
+        }
+        ticks.push({ start: start, length: i - start + 1 });
+      }
+    }
+    // Each run closes at the next run of the same length, if any.
+    const next = {};
+    for (let k = ticks.length - 1; k >= 0; k--) {
+      ticks[k].next = next[ticks[k].length];
+      next[ticks[k].length] = k;
+    }
+    const inSpan = [];
+    for (let k = 0; k < ticks.length; k++) {
+      const closing = ticks[k].next;
+      if (closing !== undefined) {
+        const end = ticks[closing].start + ticks[closing].length;
+        index.spans[ticks[k].start] = end;
+        inSpan.push([ticks[k].start, end]);
+        k = closing;
+      }
+    }
+
+    let span = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (span < inSpan.length && i === inSpan[span][0]) {
+        i = inSpan[span][1] - 1;
+        span++;
+        continue;
+      }
+
+      const ch = text.charAt(i);
+      if (ch === '\\') {
+        i++;
+      }
+      else if (ch === '[') {
+        open.push(i);
+      }
+      else if (ch === ']' && open.length) {
+        index.brackets[open.pop()] = i;
+      }
+      else if (ch === '*' || ch === '_') {
+        const start = i;
+        while (text.charAt(i + 1) === ch) {
+          i++;
+        }
+        const before = text.charAt(start - 1);
+        const after = text.charAt(i + 1);
+        const rightFlanking = before !== '' && !/\s/.test(before);
+        const intraword = ch === '_' && /[A-Za-z0-9]/.test(after);
+        if (rightFlanking && !intraword) {
+          const key = ch + (i - start + 1);
+          (index.closers[key] = index.closers[key] || []).push(start);
+        }
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Finds the closing delimiter run for emphasis opened before text[from].
+   *
+   * Longer or shorter runs belong to nested emphasis and never close it.
+   *
+   * @return {number}
+   *   The index of the closing run, or -1.
+   */
+  function findCloser(index, from, char, length) {
+    const closers = index.closers[char + length] || [];
+    let low = 0;
+    let high = closers.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (closers[middle] < from) {
+        low = middle + 1;
+      }
+      else {
+        high = middle;
+      }
+    }
+    return low < closers.length ? closers[low] : -1;
+  }
+
+  /**
+   * Renders inline markdown: escapes, code, links, emphasis, autolinks.
+   */
+  Renderer.prototype.renderInline = function (text) {
+    const index = indexInline(text);
+    // No "~~" at or after this index; later searches would fail as well
+    let noStrikeFrom = text.length;
+    let out = '';
+    let i = 0;
+
+    while (i < text.length) {
+      const ch = text.charAt(i);
+      const rest = text.substring(i);
+
+      // Backslash escapes
+      if (ch === '\\' && ESCAPABLE_RE.test(text.charAt(i + 1))) {
+        out += escapeHtml(text.charAt(i + 1));
+        i += 2;
+        continue;
+      }
+
+      // Code spans
+      if (ch === '`') {
+        const run = rest.match(/^`+/)[0];
+        if (index.spans[i] !== undefined) {
+          const end = index.spans[i] - run.length;
+          let code = text.substring(i + run.length, end);
+          if (/^ .* $/.test(code)) {
+            code = code.substring(1, code.length - 1);
+          }
+          out += `<code>${escapeHtml(code)}</code>`;
+          i = end + run.length;
+          continue;
+        }
+        out += escapeHtml(run);
+        i += run.length;
+        continue;
+      }
+
+      // Autolinks: <https://example.com>
+      const autolink = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]*:[^\s<>]+)>/);
+      if (autolink) {
+        out += this.renderLink(escapeHtml(autolink[1]), autolink[1]);
+        i += autolink[0].length;
+        continue;
+      }
+
+      // Links and images: [text](url "title"), ![alt](url)
+      const isImage = ch === '!' && text.charAt(i + 1) === '[';
+      if (ch === '[' || isImage) {
+        const open = isImage ? i + 1 : i;
+        const close = index.brackets[open] !== undefined ? index.brackets[open] : -1;
+
+        const destination = close !== -1 ? text.substring(close + 1).match(/^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+"([^"]*)")?\s*\)/) : null;
+        if (destination) {
+          const label = this.renderInline(text.substring(open + 1, close));
+          const url = destination[1].replace(/^<(.*)>$/, '$1');
+          // Images are shown as links so replies never load remote content.
+          out += this.renderLink(label, url, destination[2]);
+          i = close + 1 + destination[0].length;
+          continue;
+        }
+      }
+
+      // Bare URLs (GFM extended autolinks)
+      if ((ch === 'h' || ch === 'w') && !/[A-Za-z0-9]/.test(text.charAt(i - 1))) {
+        const bare = rest.match(/^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~)'"]/);
+        if (bare) {
+          const url = bare[0].indexOf('www.') === 0 ? `https://${bare[0]}` : bare[0];
+          out += this.renderLink(escapeHtml(bare[0]), url);
+          i += bare[0].length;
+          continue;
+        }
+      }
+
+      // Strikethrough
+      if (rest.indexOf('~~') === 0 && i + 2 < noStrikeFrom) {
+        const end = text.indexOf('~~', i + 2);
+        if (end === -1) {
+          noStrikeFrom = i + 2;
+        }
+        else if (end > i + 2) {
+          out += `<del>${this.renderInline(text.substring(i + 2, end))}</del>`;
+          i = end + 2;
+          continue;
+        }
+      }
+
+      // Emphasis and strong emphasis
+      if (ch === '*' || ch === '_') {
+        const run = rest.match(ch === '*' ? /^\*+/ : /^_+/)[0].length;
+        const after = text.charAt(i + run);
+        const before = text.charAt(i - 1);
+        const leftFlanking = after !== '' && !/\s/.test(after);
+        const intraword = ch === '_' && /[A-Za-z0-9]/.test(before);
+
+        if (leftFlanking && !intraword) {
+          const tries = run >= 3 ? [3, 2, 1] : (run === 2 ? [2, 1] : [1]);
+          let matched = false;
+          for (let t = 0; t < tries.length; t++) {
+            const length = tries[t];
+            const closer = findCloser(index, i + run, ch, length);
+            if (closer !== -1) {
+              // Extra opening delimiters stay literal.
+              out += escapeHtml(ch.repeat(run - length));
+              const inner = this.renderInline(text.substring(i + run, closer));
+              if (length === 3) {
+                out += `<em><strong>${inner}</strong></em>`;
+              }
+              else if (length === 2) {
+                out += `<strong>${inner}</strong>`;
+              }
+              else {
+                out += `<em>${inner}</em>`;
+              }
+              i = closer + length;
+              matched = true;
+              break;
+            }
+          }
+          if (matched) {
+            continue;
+          }
+        }
+
+        out += escapeHtml(ch.repeat(run));
+        i += run;
+        continue;
+      }
+
+      out += escapeHtml(ch);
+      i++;
+    }
+
+    return out;
+  };
+
+  /**
+   * Renders markdown text to safe HTML.
+   *
+   * @param {string} text
+   *   The markdown source.
+   * @param {object} options
+   *   Renderer options; see Renderer.
+   *
+   * @return {string}
+   *   The rendered HTML.
+   */
+  function render(text, options) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return new Renderer(options).renderBlocks(lines, false);
+  }
+
+  window.DecoupledChatbotMarkdown = {
+    render: render,
+    escapeHtml: escapeHtml
+  };
+
+})(window);
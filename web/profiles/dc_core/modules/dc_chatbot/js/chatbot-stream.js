@@ -0,0 +1,89 @@
+/**
+ * @file
+ * Reader for streamed Decoupled Drupal Chatbot responses.
+ *
+ * /api/chat streams answers as newline-delimited JSON: "delta" events with
+ * the next piece of text, then a "done" event with the complete response,
+ * or an "error" event. Shared by the Drupal chatbot's transport and the
+ * standalone widget, so it depends on neither Drupal nor the DOM.
+ */
+
+(function (window) {
+  'use strict';
+
+  /**
+   * Whether a response is a newline-delimited JSON stream.
+   *
+   * @param {Response} response
+   *   The response.
+   *
+   * @return {boolean}
+   *   TRUE when it can be passed to read().
+   */
+  function isStream(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    return !!response.body && contentType.indexOf('application/x-ndjson') !== -1;
+  }
+
+  /**
+   * Reads a stream, passing "delta" text to onChunk as it arrives.
+   *
+   * @param {Response} response
+   *   The response.
+   * @param {function} onChunk
+   *   (optional) Receives streamed text as it arrives.
+   *
+   * @return {Promise<object>}
+   *   The "done" event, or {error} for an "error" event. Rejects with an
+   *   Error that has the response 'status' when the stream ends early.
+   */
+  function read(response, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleLine = (line) => {
+      line = line.trim();
+      if (!line) {
+        return;
+      }
+
+      const event = JSON.parse(line);
+      if (event.type === 'delta' && event.content && onChunk) {
+        onChunk(event.content);
+      } else if (event.type === 'done') {
+        result = event;
+      } else if (event.type === 'error') {
+        result = { error: event.error || 'Stream error' };
+      }
+    };
+
+    const pump = () => reader.read().then(({ done, value }) => {
+      if (done) {
+        handleLine(buffer + decoder.decode());
+        if (!result) {
+          const error = new Error('Stream ended before the response was complete');
+          error.status = response.status;
+          error.data = null;
+          throw error;
+        }
+        return result;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+      return pump();
+    });
+
+    return pump();
+  }
+
+  window.DecoupledChatbotStream = {
+    isStream: isStream,
+    read: read
+  };
+
+})(window);
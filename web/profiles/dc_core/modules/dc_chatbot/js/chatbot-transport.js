@@ -0,0 +1,207 @@
+/**
+ * @file
+ * HTTP transport for Decoupled Drupal Chatbot requests.
+ *
+ * Every request the chatbot makes goes through here. Unsafe requests carry
+ * the X-CSRF-Token header, with the token fetched once from /session/token
+ * and refreshed when the server rejects it. Errors are normalized to Error
+ * objects with a 'status' (0 for network errors) and the decoded 'data',
+ * whatever shape the server used ({error}, {message} or none at all).
+ */
+
+(function (Drupal, window) {
+  'use strict';
+
+  let csrfToken = null;
+
+  /**
+   * Returns the CSRF token for the current session, fetching it once.
+   *
+   * @return {Promise<string>}
+   *   The token.
+   */
+  function getCsrfToken() {
+    if (!csrfToken) {
+      csrfToken = fetch(Drupal.url('session/token'), { credentials: 'same-origin' })
+        .then(response => {
+          if (!response.ok) {
+            throw createError(Drupal.t('Could not get a session token.'), response.status);
+          }
+          return response.text();
+        })
+        .catch(error => {
+          csrfToken = null;
+          throw error;
+        });
+    }
+
+    return csrfToken;
+  }
+
+  /**
+   * Forgets the cached token, e.g. after logging in or out.
+   */
+  function resetCsrfToken() {
+    csrfToken = null;
+  }
+
+  function createError(message, status, data) {
+    const error = new Error(message);
+    error.status = status || 0;
+    error.data = data || null;
+    return error;
+  }
+
+  function isSafeMethod(method) {
+    return ['GET', 'HEAD', 'OPTIONS'].indexOf(method) !== -1;
+  }
+
+  /**
+   * Sends a request and resolves with the raw response.
+   *
+   * Responses with an error status resolve too, so callers can decide on
+   * retries; pass them to parse() to read or reject them. An unsafe request
+   * denied with a 403 is repeated once with a fresh CSRF token.
+   *
+   * @param {string} url
+   *   The URL.
+   * @param {object} options
+   *   (optional)
+   *   - method: Defaults to 'GET', or 'POST' when there is a body.
+   *   - body: Data to send as JSON.
+   *   - accept: The Accept header. Defaults to 'application/json'.
+   *   - signal: An AbortSignal.
+   *
+   * @return {Promise<Response>}
+   *   The response.
+   */
+  function send(url, options = {}) {
+    const method = (options.method || (options.body !== undefined ? 'POST' : 'GET')).toUpperCase();
+
+    const attempt = (retryToken) => (isSafeMethod(method) ? Promise.resolve(null) : getCsrfToken())
+      .then(token => {
+        const headers = { 'Accept': options.accept || 'application/json' };
+        if (options.body !== undefined) {
+          headers['Content-Type'] = 'application/json';
+        }
+        if (token) {
+          headers['X-CSRF-Token'] = token;
+        }
+
+        return fetch(url, {
+          method: method,
+          headers: headers,
+          body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+          credentials: 'same-origin',
+          signal: options.signal
+        });
+      })
+      .then(response => {
+        // The session may have changed since the token was fetched. Drupal's
+        // 403 page does not always say so, so any 403 is retried once.
+        if (response.status === 403 && retryToken && !isSafeMethod(method)) {
+          resetCsrfToken();
+          return attempt(false);
+        }
+        return response;
+      });
+
+    return attempt(true);
+  }
+
+  /**
+   * Reads a response, rejecting with a normalized error when it failed.
+   *
+   * Newline-delimited JSON (streamed) responses pass "delta" events to
+   * onChunk as they arrive and resolve with the final "done" event.
+   *
+   * @param {Response} response
+   *   The response from send().
+   * @param {function} onChunk
+   *   (optional) Receives streamed text as it arrives.
+   *
+   * @return {Promise<object>}
+   *   The decoded data.
+   */
+  function parse(response, onChunk) {
+    if (!response.ok) {
+      return response.json()
+        .catch(() => null)
+        .then(data => {
+          const message = data && (data.error || data.message);
+          throw createError(typeof message === 'string' && message ? message : `HTTP error! status: ${response.status}`, response.status, data);
+        });
+    }
+
+    const stream = window.DecoupledChatbotStream;
+    const read = stream.isStream(response)
+      ? stream.read(response, onChunk)
+      : response.json().catch(() => {
+        throw createError(Drupal.t('The server sent an invalid response.'), response.status);
+      });
+
+    return read.then(data => {
+      if (!data || typeof data !== 'object') {
+        throw createError(Drupal.t('The server sent an invalid response.'), response.status, data);
+      }
+      if (data.error) {
+        throw createError(String(data.error), response.status, data);
+      }
+      return data;
+    });
+  }
+
+  /**
+   * Sends a request and reads the response.
+   *
+   * @see send()
+   * @see parse()
+   */
+  function request(url, options = {}) {
+    return send(url, options).then(response => parse(response, options.onChunk));
+  }
+
+  /**
+   * Checks that response data has the expected properties.
+   *
+   * @param {object} data
+   *   The decoded response.
+   * @param {object} shape
+   *   Expected types keyed by property: 'string', 'number', 'boolean',
+   *   'object' or 'array'. A trailing "?" marks optional properties.
+   *
+   * @return {object}
+   *   The data, for chaining.
+   */
+  function checkShape(data, shape) {
+    Object.keys(shape).forEach(key => {
+      const optional = shape[key].slice(-1) === '?';
+      const type = optional ? shape[key].slice(0, -1) : shape[key];
+      const value = data[key];
+
+      if (value === undefined || value === null) {
+        if (!optional) {
+          throw createError(Drupal.t('The server response is missing "!key".', { '!key': key }), 200, data);
+        }
+        return;
+      }
+
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual !== type) {
+        throw createError(Drupal.t('The server response has an invalid "!key".', { '!key': key }), 200, data);
+      }
+    });
+
+    return data;
+  }
+
+  window.DecoupledChatbotTransport = {
+    getCsrfToken: getCsrfToken,
+    resetCsrfToken: resetCsrfToken,
+    send: send,
+    parse: parse,
+    request: request,
+    checkShape: checkShape
+  };
+
+})(Drupal, window);
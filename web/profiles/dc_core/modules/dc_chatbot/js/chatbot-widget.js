@@ -0,0 +1,531 @@
+/**
+ * @file
+ * Standalone Decoupled Drupal Chatbot widget for decoupled frontends.
+ *
+ * A framework-agnostic ES module that needs neither Drupal nor its markup:
+ * it defines a <dc-chatbot> custom element that builds its own DOM in a
+ * shadow root and answers questions through the Drupal /api/chat endpoint.
+ *
+ * @code
+ * import { createChatbot } from './chatbot-widget.js';
+ *
+ * createChatbot({
+ *   apiEndpoint: 'https://cms.example.com/api/chat',
+ *   apiKey: 'the dc_chatbot API key',
+ * });
+ * @endcode
+ *
+ * Or, once the module is loaded:
+ *
+ * @code
+ * <dc-chatbot api-endpoint="https://cms.example.com/api/chat" api-key="..."></dc-chatbot>
+ * @endcode
+ *
+ * The frontend's origin must be listed under "Allowed Widget Origins" in
+ * the chatbot settings. The module touches `window` on import, so load it
+ * in the browser only (e.g. a dynamic import from a client component).
+ *
+ * The API key is public: it ships to every visitor of the frontend. It is
+ * sent in the X-API-Key header and only opens the chat API routes; Drupal
+ * runs those requests as the anonymous user, without further permissions.
+ */
+
+import './chatbot-markdown.js';
+import './chatbot-stream.js';
+
+/**
+ * Default options.
+ */
+const DEFAULTS = {
+  apiEndpoint: '',
+  apiKey: '',
+  language: '', // Language code answers should be written in
+  position: 'bottom-right', // bottom-right, bottom-left, top-right or top-left
+  buttonColor: '#7c3aed',
+  buttonText: 'Chat with us',
+  title: 'Decoupled Drupal Assistant',
+  welcomeMessage: 'Hello! How can I help you today?',
+  placeholder: 'Ask your question...',
+  errorMessage: 'Sorry, I encountered an error. Please try again later.',
+  timeoutMessage: 'Sorry, the response took too long. Please try again.',
+  historyMaxTurns: 10, // Prior messages sent with each question
+  requestTimeout: 60000 // Milliseconds without a response before giving up
+};
+
+/**
+ * Element attributes, mapped to the options they set.
+ */
+const ATTRIBUTES = {
+  'api-endpoint': 'apiEndpoint',
+  'api-key': 'apiKey',
+  'language': 'language',
+  'position': 'position',
+  'button-color': 'buttonColor',
+  'button-text': 'buttonText',
+  'chat-title': 'title',
+  'welcome-message': 'welcomeMessage',
+  'placeholder': 'placeholder'
+};
+
+const STYLES = `
+  :host {
+    position: fixed;
+    z-index: 10000;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px;
+    color: #374151;
+  }
+  :host([position="bottom-right"]), :host(:not([position])) { bottom: 20px; right: 20px; }
+  :host([position="bottom-left"]) { bottom: 20px; left: 20px; }
+  :host([position="top-right"]) { top: 20px; right: 20px; }
+  :host([position="top-left"]) { top: 20px; left: 20px; }
+  [hidden] { display: none !important; }
+  button { font: inherit; cursor: pointer; }
+  .trigger {
+    border: none;
+    border-radius: 999px;
+    padding: 14px 22px;
+    color: white;
+    font-weight: 600;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.18);
+  }
+  .panel {
+    position: absolute;
+    bottom: 0;
+    inset-inline-end: 0;
+    width: min(380px, calc(100vw - 40px));
+    height: min(560px, calc(100vh - 40px));
+    display: flex;
+    flex-direction: column;
+    background: white;
+    border-radius: 16px;
+    box-shadow: 0 16px 48px rgba(0, 0, 0, 0.2);
+    overflow: hidden;
+  }
+  :host([position^="top"]) .panel { top: 0; bottom: auto; }
+  .header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 14px 18px;
+    border-bottom: 1px solid #e5e7eb;
+  }
+  .header h2 { margin: 0; font-size: 15px; }
+  .close { background: none; border: none; font-size: 20px; line-height: 1; color: #6b7280; }
+  .messages {
+    flex: 1;
+    overflow-y: auto;
+    padding: 16px;
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    background: #f8fafc;
+  }
+  .message {
+    max-width: 85%;
+    padding: 10px 14px;
+    border-radius: 16px;
+    line-height: 1.5;
+    overflow-wrap: anywhere;
+  }
+  .message p { margin: 0 0 8px; }
+  .message p:last-child { margin-bottom: 0; }
+  .message pre { overflow-x: auto; }
+  .bot { align-self: flex-start; background: white; border: 1px solid #e5e7eb; border-end-start-radius: 4px; }
+  .user { align-self: flex-end; background: #4f46e5; color: white; border-end-end-radius: 4px; }
+  .error { border-color: #fca5a5; background: #fef2f2; }
+  .form { display: flex; gap: 8px; padding: 12px; border-top: 1px solid #e5e7eb; }
+  .input {
+    flex: 1;
+    border: 1px solid #d1d5db;
+    border-radius: 999px;
+    padding: 10px 14px;
+    font: inherit;
+  }
+  .send, .stop {
+    border: none;
+    border-radius: 999px;
+    padding: 0 16px;
+    color: white;
+    background: #4f46e5;
+  }
+  .stop { background: #6b7280; }
+  .send:disabled { opacity: 0.5; cursor: default; }
+  :focus-visible { outline: 2px solid #7c3aed; outline-offset: 2px; }
+`;
+
+/**
+ * The <dc-chatbot> element.
+ */
+export class ChatbotWidgetElement extends HTMLElement {
+
+  static get observedAttributes() {
+    return Object.keys(ATTRIBUTES);
+  }
+
+  constructor() {
+    super();
+    this.options = Object.assign({}, DEFAULTS);
+    this.messageHistory = [];
+    this.isOpen = false;
+    this.activeRequest = null;
+    this.attachShadow({ mode: 'open' });
+  }
+
+  connectedCallback() {
+    if (!this.panel) {
+      this.render();
+    }
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    this.configure({ [ATTRIBUTES[name]]: value });
+  }
+
+  /**
+   * Merges options into the current ones and refreshes the labels.
+   *
+   * @param {object} options
+   *   Any of the DEFAULTS keys.
+   */
+  configure(options) {
+    Object.keys(options || {}).forEach(key => {
+      if (key in DEFAULTS && options[key] !== null && options[key] !== undefined) {
+        this.options[key] = options[key];
+      }
+    });
+
+    if (this.panel) {
+      this.trigger.textContent = this.options.buttonText;
+      this.trigger.style.backgroundColor = this.options.buttonColor;
+      this.heading.textContent = this.options.title;
+      this.input.placeholder = this.options.placeholder;
+    }
+  }
+
+  render() {
+    const root = this.shadowRoot;
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    root.appendChild(style);
+
+    this.trigger = this.createElement('button', 'trigger');
+    this.trigger.type = 'button';
+    this.trigger.setAttribute('aria-haspopup', 'dialog');
+    this.trigger.setAttribute('aria-expanded', 'false');
+    this.trigger.addEventListener('click', () => this.open());
+    root.appendChild(this.trigger);
+
+    this.panel = this.createElement('div', 'panel');
+    this.panel.hidden = true;
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-labelledby', 'title');
+
+    const header = this.createElement('div', 'header');
+    this.heading = this.createElement('h2');
+    this.heading.id = 'title';
+    const closeBtn = this.createElement('button', 'close');
+    closeBtn.type = 'button';
+    closeBtn.textContent = '×';
+    closeBtn.setAttribute('aria-label', 'Close');
+    closeBtn.addEventListener('click', () => this.close());
+    header.appendChild(this.heading);
+    header.appendChild(closeBtn);
+
+    this.messages = this.createElement('div', 'messages');
+    this.messages.setAttribute('role', 'log');
+    this.messages.setAttribute('aria-live', 'polite');
+
+    this.form = this.createElement('form', 'form');
+    this.input = this.createElement('input', 'input');
+    this.input.type = 'text';
+    this.input.setAttribute('aria-label', 'Message');
+    this.sendBtn = this.createElement('button', 'send');
+    this.sendBtn.type = 'submit';
+    this.sendBtn.textContent = 'Send';
+    this.stopBtn = this.createElement('button', 'stop');
+    this.stopBtn.type = 'button';
+    this.stopBtn.textContent = 'Stop';
+    this.stopBtn.hidden = true;
+    this.stopBtn.addEventListener('click', () => this.cancelRequest());
+    this.form.appendChild(this.input);
+    this.form.appendChild(this.sendBtn);
+    this.form.appendChild(this.stopBtn);
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendMessage();
+    });
+
+    this.panel.appendChild(header);
+    this.panel.appendChild(this.messages);
+    this.panel.appendChild(this.form);
+    this.panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.close();
+      }
+    });
+    root.appendChild(this.panel);
+
+    this.configure({});
+    if (this.options.welcomeMessage) {
+      this.addMessage(this.options.welcomeMessage, 'bot', false, true);
+    }
+  }
+
+  createElement(tag, className) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    return element;
+  }
+
+  open() {
+    this.isOpen = true;
+    this.panel.hidden = false;
+    this.trigger.hidden = true;
+    this.trigger.setAttribute('aria-expanded', 'true');
+    this.input.focus();
+    this.dispatch('open');
+  }
+
+  close() {
+    this.cancelRequest();
+    this.isOpen = false;
+    this.panel.hidden = true;
+    this.trigger.hidden = false;
+    this.trigger.setAttribute('aria-expanded', 'false');
+    this.trigger.focus();
+    this.dispatch('close');
+  }
+
+  /**
+   * Dispatches a "dc-chatbot:<type>" event, like the Drupal block does.
+   */
+  dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent('dc-chatbot:' + type, {
+      bubbles: true,
+      composed: true,
+      detail: Object.assign({ chatbot: this }, detail)
+    }));
+  }
+
+  /**
+   * Appends a message to the log and the history.
+   *
+   * @param {string} content
+   *   Markdown for bot messages, plain text for user messages.
+   * @param {string} sender
+   *   Either 'user' or 'bot'.
+   * @param {boolean} isError
+   *   Whether the message reports an error.
+   * @param {boolean} uiOnly
+   *   Keep the message out of the history sent to the API.
+   *
+   * @return {HTMLElement}
+   *   The message element.
+   */
+  addMessage(content, sender, isError = false, uiOnly = false) {
+    const element = this.createElement('div', `message ${sender}${isError ? ' error' : ''}`);
+    this.setMessageContent(element, content, sender);
+    this.messages.appendChild(element);
+    this.messages.scrollTop = this.messages.scrollHeight;
+
+    if (!isError && !uiOnly) {
+      this.messageHistory.push({ role: sender === 'user' ? 'user' : 'assistant', content: content });
+    }
+    return element;
+  }
+
+  setMessageContent(element, content, sender) {
+    if (sender === 'bot') {
+      element.innerHTML = window.DecoupledChatbotMarkdown.render(content, {
+        basePath: this.getSiteUrl() + '/'
+      });
+    } else {
+      element.textContent = content;
+    }
+  }
+
+  /**
+   * Returns the Drupal site URL, so relative links in answers point there.
+   */
+  getSiteUrl() {
+    try {
+      return new URL(this.options.apiEndpoint, window.location.href).origin;
+    }
+    catch (e) {
+      return '';
+    }
+  }
+
+  setSending(sending) {
+    this.sendBtn.disabled = sending;
+    this.sendBtn.hidden = sending;
+    this.stopBtn.hidden = !sending;
+    this.messages.setAttribute('aria-busy', sending ? 'true' : 'false');
+  }
+
+  sendMessage() {
+    const message = this.input.value.trim();
+    if (!message || this.activeRequest) {
+      return;
+    }
+
+    const history = this.messageHistory.slice(-this.options.historyMaxTurns);
+    this.addMessage(message, 'user');
+    this.input.value = '';
+    this.setSending(true);
+    this.dispatch('message-sent', { message: message, history: history });
+
+    let stream = null;
+    this.postChat({
+      message: message,
+      mode: 'answer-question',
+      history: history,
+      language: this.options.language || document.documentElement.lang || '',
+      stream: true,
+      context: {
+        source: 'widget',
+        page: window.location.href,
+        timestamp: Date.now()
+      }
+    }, chunk => {
+      stream = stream || { element: this.addMessage('', 'bot', false, true), text: '' };
+      stream.text += chunk;
+      this.setMessageContent(stream.element, stream.text, 'bot');
+      this.messages.scrollTop = this.messages.scrollHeight;
+    })
+      .then(data => {
+        if (stream) {
+          stream.element.remove();
+        }
+        this.addMessage(data.response || '', 'bot');
+        this.dispatch('response-received', { message: message, response: data.response, data: data });
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') {
+          // Stopped: keep what arrived, but out of the history
+          return;
+        }
+        if (stream) {
+          stream.element.remove();
+        }
+        console.error('Decoupled Drupal Chatbot widget:', error);
+        this.dispatch('error', { message: message, error: error.message });
+        this.addMessage(error.name === 'TimeoutError' ? this.options.timeoutMessage : this.options.errorMessage, 'bot', true);
+      })
+      .then(() => {
+        this.activeRequest = null;
+        this.setSending(false);
+        if (this.isOpen) {
+          this.input.focus();
+        }
+      });
+  }
+
+  /**
+   * Posts to the chat endpoint, authenticating with the API key.
+   *
+   * Rejects with a TimeoutError after options.requestTimeout without
+   * receiving anything, or an AbortError when stopped.
+   */
+  postChat(body, onChunk) {
+    const controller = new AbortController();
+    const request = { controller: controller, timedOut: false, timer: null };
+    this.activeRequest = request;
+
+    const touch = () => {
+      clearTimeout(request.timer);
+      if (this.options.requestTimeout > 0) {
+        request.timer = setTimeout(() => {
+          request.timedOut = true;
+          controller.abort();
+        }, this.options.requestTimeout);
+      }
+    };
+    touch();
+
+    return fetch(this.options.apiEndpoint, {
+      method: 'POST',
+      mode: 'cors',
+      credentials: 'omit',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/x-ndjson, application/json',
+        'X-API-Key': this.options.apiKey
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    })
+      .then(response => {
+        touch();
+        if (!response.ok) {
+          return response.json()
+            .catch(() => ({}))
+            .then(data => {
+              throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            });
+        }
+        if (!window.DecoupledChatbotStream.isStream(response)) {
+          return response.json();
+        }
+        return window.DecoupledChatbotStream.read(response, chunk => {
+          touch();
+          onChunk(chunk);
+        });
+      })
+      .then(data => {
+        if (data.error) {
+          throw new Error(data.error);
+        }
+        return data;
+      })
+      .catch(error => {
+        if (request.timedOut) {
+          error = new Error('The request timed out');
+          error.name = 'TimeoutError';
+        }
+        throw error;
+      })
+      .finally(() => {
+        clearTimeout(request.timer);
+      });
+  }
+
+  cancelRequest() {
+    if (this.activeRequest) {
+      this.activeRequest.controller.abort();
+    }
+  }
+
+}
+
+if (!window.customElements.get('dc-chatbot')) {
+  window.customElements.define('dc-chatbot', ChatbotWidgetElement);
+}
+
+/**
+ * Creates a chatbot widget and adds it to the page.
+ *
+ * @param {object} options
+ *   Any of the DEFAULTS keys; apiEndpoint and apiKey are required.
+ * @param {HTMLElement} parent
+ *   (optional) Where to add the widget. Defaults to document.body.
+ *
+ * @return {ChatbotWidgetElement}
+ *   The widget element.
+ */
+export function createChatbot(options, parent) {
+  if (!options || !options.apiEndpoint || !options.apiKey) {
+    throw new Error('Decoupled Drupal Chatbot: The widget needs an apiEndpoint and an apiKey.');
+  }
+
+  const element = document.createElement('dc-chatbot');
+  element.configure(options);
+  if (options.position) {
+    element.setAttribute('position', options.position);
+  }
+  (parent || document.body).appendChild(element);
+  return element;
+}
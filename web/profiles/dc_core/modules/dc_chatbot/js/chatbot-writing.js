@@ -0,0 +1,294 @@
+/**
+ * @file
+ * Writing assistant for Decoupled Drupal Chatbot on node forms.
+ *
+ * Registers the write-content mode, which sends the bundle and the current
+ * values of the form's text fields with each message, and renders its
+ * suggestions with Insert and Replace buttons. Suggestions are written
+ * through the CKEditor 5 model or the browser's editing commands, so the
+ * editor's normal undo reverts them.
+ */
+
+(function (Drupal, window) {
+  'use strict';
+
+  const DecoupledChatbot = window.DecoupledChatbot;
+
+  /**
+   * Returns the CKEditor 5 instance of a textarea, or null.
+   */
+  function getEditor(element) {
+    const id = element.getAttribute('data-ckeditor5-id');
+    return (id && Drupal.CKEditor5Instances && Drupal.CKEditor5Instances.get(id)) || null;
+  }
+
+  /**
+   * Reads the current value of a field, including unsaved editor changes.
+   */
+  function readField(element) {
+    const editor = getEditor(element);
+    return editor ? editor.getData() : element.value;
+  }
+
+  /**
+   * Writes HTML into a CKEditor 5 instance as a single undo step.
+   *
+   * editor.setData() would clear the undo history, so the content is
+   * inserted through the model instead.
+   */
+  function writeEditor(editor, html, replace, atCursor) {
+    editor.model.change(writer => {
+      const content = editor.data.toModel(editor.data.processor.toView(html));
+      const root = editor.model.document.getRoot();
+      if (replace) {
+        editor.model.insertContent(content, writer.createRangeIn(root));
+      } else if (atCursor) {
+        editor.model.insertContent(content);
+      } else {
+        editor.model.insertContent(content, writer.createPositionAt(root, 'end'));
+      }
+    });
+    editor.editing.view.focus();
+  }
+
+  /**
+   * Writes text into a textarea or text input.
+   *
+   * execCommand() keeps the change on the browser's undo stack, which
+   * setting the value would not; setRangeText() is the fallback.
+   */
+  function writeText(element, text, replace, atCursor) {
+    if (element.tagName === 'INPUT') {
+      text = text.replace(/\s+/g, ' ').trim();
+    }
+
+    element.focus();
+    if (replace) {
+      element.select();
+    } else if (!atCursor) {
+      element.setSelectionRange(element.value.length, element.value.length);
+      if (element.tagName === 'TEXTAREA' && element.value.trim()) {
+        text = (/\n$/.test(element.value) ? '\n' : '\n\n') + text;
+      } else if (element.value.trim()) {
+        text = ' ' + text;
+      }
+    }
+
+    if (!document.execCommand('insertText', false, text)) {
+      element.setRangeText(text, element.selectionStart, element.selectionEnd, 'end');
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+
+  /**
+   * Shows a summary that text.js hides behind its "Edit summary" link.
+   */
+  function reveal(element) {
+    if (element.getClientRects().length || !element.closest('.js-text-summary-wrapper')) {
+      return;
+    }
+    const widget = element.closest('.js-text-format-wrapper');
+    const toggle = widget && widget.querySelector('.link-edit-summary');
+    if (toggle) {
+      toggle.click();
+    }
+  }
+
+  /**
+   * Returns the text fields of the node form the assistant can write into.
+   *
+   * @return {object[]}
+   *   The fields from settings.writingAssistant that are on the form, each
+   *   with its form 'element'.
+   */
+  DecoupledChatbot.prototype.getWritingFields = function () {
+    const form = this.writingForm || document;
+    return (this.settings.writingAssistant.fields || [])
+      .map(field => Object.assign({
+        element: form.querySelector(`[name="${CSS.escape(field.input)}"]`)
+      }, field))
+      .filter(field => field.element);
+  };
+
+  DecoupledChatbot.prototype.getWritingField = function (name) {
+    return (name && this.getWritingFields().find(field => field.name === name)) || null;
+  };
+
+  /**
+   * Describes the node being written for /api/chat.
+   *
+   * @return {object}
+   *   The 'bundle', its 'label', the 'target' field last written in and
+   *   the 'fields' with their current 'value'.
+   */
+  DecoupledChatbot.prototype.getWritingDocument = function () {
+    const assistant = this.settings.writingAssistant;
+    return {
+      bundle: assistant.bundle,
+      label: assistant.bundleLabel,
+      target: this.writingTarget || null,
+      fields: this.getWritingFields().map(field => ({
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        value: readField(field.element)
+      }))
+    };
+  };
+
+  DecoupledChatbot.prototype.startWritingFlow = function () {
+    this.addMessage(Drupal.t('Tell me what to write or rewrite (e.g., "draft a summary from the body"). I can see the fields of this @bundle as you edit them.', {
+      '@bundle': this.settings.writingAssistant.bundleLabel
+    }), 'bot', false, true);
+    this.input.focus();
+  };
+
+  /**
+   * Asks for a draft; the mode stays active for follow-up changes.
+   */
+  DecoupledChatbot.prototype.handleWritingMessage = function (message, history) {
+    this.postChat({
+      message: message,
+      mode: 'write-content',
+      history: history || [],
+      document: this.getWritingDocument()
+    })
+      .then(response => {
+        this.setSendingState(false);
+        this.dispatch('response-received', {
+          message: message,
+          response: response.response,
+          mode: 'write-content',
+          data: response
+        });
+        this.addResponse(response);
+        this.input.focus();
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') {
+          if (error.reason !== 'reset') {
+            this.setSendingState(false);
+          }
+          return;
+        }
+
+        console.error('Writing assistant error:', error);
+        this.dispatch('error', { message: message, mode: 'write-content', error: error.message });
+        this.setSendingState(false);
+        this.addMessage(error.name === 'TimeoutError'
+          ? Drupal.t('Sorry, the response took too long. Please try again.')
+          : Drupal.t('Sorry, I could not write that. Please try again.'), 'bot', true);
+        this.input.focus();
+      });
+  };
+
+  /**
+   * Writes a suggestion into its field of the node form.
+   *
+   * Text is inserted at the cursor of the field last written in, and
+   * appended to any other field.
+   *
+   * @param {object} part
+   *   The 'suggestion' part.
+   * @param {boolean} replace
+   *   Whether to replace the field's text rather than add to it.
+   */
+  DecoupledChatbot.prototype.applySuggestion = function (part, replace) {
+    const field = this.getWritingField(part.field) || this.getWritingField(this.writingTarget);
+    if (!field) {
+      this.addMessage(Drupal.t('Click into the field you want this text in, then try again.'), 'bot', false, true);
+      return;
+    }
+
+    reveal(field.element);
+    const atCursor = field.name === this.writingTarget;
+    const editor = getEditor(field.element);
+    if (editor) {
+      writeEditor(editor, this.parseMarkdown(part.content), replace, atCursor);
+    } else {
+      writeText(field.element, part.content, replace, atCursor);
+    }
+    this.writingTarget = field.name;
+
+    this.announce(replace
+      ? Drupal.t('Replaced the text of @field. Undo in the field to restore it.', { '@field': field.label })
+      : Drupal.t('Inserted into @field. Undo in the field to remove it.', { '@field': field.label }));
+  };
+
+  DecoupledChatbot.registerMode({
+    id: 'write-content',
+    label: Drupal.t('Write or Rewrite'),
+    placeholder: Drupal.t('Describe what to write, e.g. "a shorter title"...'),
+    weight: -10,
+    access: function () {
+      return !!this.settings.writingAssistant;
+    },
+    start: function () {
+      this.startWritingFlow();
+    },
+    onMessage: function (message, history) {
+      this.handleWritingMessage(message, history);
+    }
+  });
+
+  // Draft text for a field of the node form, with Insert and Replace
+  // buttons: {content, field?, label?}
+  DecoupledChatbot.registerPartRenderer('suggestion', function (part, container) {
+    if (typeof part.content !== 'string' || !part.content.trim()) {
+      return false;
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = part.label
+      ? Drupal.t('Suggested @field', { '@field': part.label })
+      : Drupal.t('Suggestion');
+    container.appendChild(heading);
+
+    const preview = document.createElement('div');
+    preview.className = 'suggestion-content';
+    preview.innerHTML = this.parseMarkdown(part.content);
+    container.appendChild(preview);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'suggestion-toolbar';
+    [
+      ['insert', Drupal.t('Insert')],
+      ['replace', Drupal.t('Replace')]
+    ].forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `part-action suggestion-${action}`;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.applySuggestion(part, action === 'replace');
+      });
+      toolbar.appendChild(button);
+    });
+    container.appendChild(toolbar);
+  });
+
+  /**
+   * Tracks which field of the node form the editor is writing in.
+   */
+  Drupal.behaviors.decoupledChatbotWriting = {
+    attach: function () {
+      DecoupledChatbot.getInstances().forEach(chatbot => {
+        if (!chatbot.settings.writingAssistant || chatbot.writingForm) {
+          return;
+        }
+
+        chatbot.writingForm = chatbot.container.closest('form') || document;
+        chatbot.writingForm.addEventListener('focusin', (e) => {
+          const field = chatbot.getWritingFields().find(candidate => {
+            const editor = getEditor(candidate.element);
+            return candidate.element === e.target || (editor && editor.ui.getEditableElement().contains(e.target));
+          });
+          if (field) {
+            chatbot.writingTarget = field.name;
+          }
+        });
+      });
+    }
+  };
+
+})(Drupal, window);
@@ -1,6 +1,10 @@
 /**
  * @file
  * Decoupled Drupal Chatbot JavaScript functionality.
+ *
+ * UI strings go through Drupal.t() and Drupal.formatPlural(). Placeholders
+ * use the "!" prefix: messages are rendered as Markdown or set as plain
+ * text, both of which escape on their own.
  */
 
 (function (Drupal, drupalSettings) {
@@ -11,16 +15,52 @@
    */
   Drupal.behaviors.decoupledChatbot = {
     attach: function (context, settings) {
-      const container = context.querySelector('#dc-chatbot-container');
-      if (!container || container.dataset.processed) {
-        return;
-      }
+      context.querySelectorAll('.dc-chatbot-container').forEach(container => {
+        if (container.dataset.processed) {
+          return;
+        }
+
+        container.dataset.processed = 'true';
 
-      container.dataset.processed = 'true';
+        const chatbot = new DecoupledChatbot(container, DecoupledChatbot.getInstanceSettings(settings.decoupledChatbot, container.dataset.instanceId));
+        chatbot.init();
+        instances[chatbot.id] = chatbot;
+
+        // Pick up the conversation from the previous page, if any
+        if (chatbot.settings.enabled) {
+          chatbot.restoreSession();
+        }
+      });
+    }
+  };
 
-      const chatbot = new DecoupledChatbot(container, settings.decoupledChatbot || {});
-      chatbot.init();
+  /**
+   * Returns the settings of one chatbot instance.
+   *
+   * Each block placement adds its own settings under 'instances', keyed by
+   * instance id, on top of the settings all instances share.
+   *
+   * @param {object} settings
+   *   (optional) drupalSettings.decoupledChatbot.
+   * @param {string} id
+   *   (optional) The instance id, from the container's data-instance-id.
+   *
+   * @return {object}
+   *   The settings, with 'instanceId' set.
+   */
+  DecoupledChatbot.getInstanceSettings = function (settings, id) {
+    settings = settings || {};
+    const shared = Object.assign({}, settings);
+    delete shared.instances;
+
+    id = id || 'default';
+    // Older placements share an id; keep their instances apart anyway
+    let instanceId = id;
+    for (let i = 2; instances[instanceId]; i++) {
+      instanceId = `${id}-${i}`;
     }
+
+    return Object.assign(shared, (settings.instances || {})[id], { instanceId: instanceId });
   };
 
   /**
@@ -33,28 +73,61 @@
       buttonPosition: 'bottom-right',
       buttonColor: '#007cba',
       showOnMobile: true,
-      triggerDelay: 0,
-      welcomeMessage: 'Hello! How can I help you today?',
-      apiEndpoint: '/api/chat'
+      triggerDelay: 0, // Milliseconds before auto-opening; 0 disables
+      welcomeMessage: Drupal.t('Hello! How can I help you today?'),
+      apiEndpoint: Drupal.url('api/chat'),
+      modelContentAccess: true, // FALSE hides content modeling, see canUseMode()
+      historyMaxTurns: 10, // Prior messages sent with each question
+      historyTokenBudget: 1500, // Approximate token budget for those messages
+      sessionLifetime: 3600000, // Milliseconds a saved conversation is kept; 0 disables
+      requestTimeout: 60000, // Milliseconds without a response before giving up; 0 disables
+      maxRetries: 3, // Retries for network errors and 429/502/503/504 responses
+      retryDelay: 1000, // Base delay for exponential backoff, in milliseconds
+      retryMaxDelay: 30000, // Longer waits (e.g. a large Retry-After) are not retried
+      attachmentMaxSize: 1048576 // Largest content model file accepted, in bytes
     }, settings);
 
+    // Targeting rules for auto-opening, see setupAutoTrigger()
+    this.settings.autoOpen = Object.assign({
+      scrollDepth: 0, // Percent of the page scrolled; 0 disables
+      exitIntent: false,
+      frequency: 'session', // 'always', 'session' or 'day'
+      include: [],
+      exclude: [],
+      roles: []
+    }, this.settings.autoOpen);
+
+    this.id = this.settings.instanceId || 'default';
+    this.inline = this.settings.display === 'inline'; // Embedded, always open
     this.isOpen = false;
+    this.isSending = false;
+    this.activeRequest = null; // The request the Stop button cancels
+    this.returnFocus = null; // Element focused before the dialog opened
     this.messageHistory = [];
-    this.currentMode = null; // 'model-content' or 'question-answer'
+    this.currentMode = null; // Id of the active registered mode
     this.modelContentStep = null; // Track model content flow step
-
-    // DOM elements
-    this.trigger = container.querySelector('#dc-chatbot-trigger');
-    this.panel = container.querySelector('#dc-chatbot-panel');
-    this.closeBtn = container.querySelector('#dc-chatbot-close');
-    this.form = container.querySelector('#dc-chatbot-form');
-    this.input = container.querySelector('#dc-chatbot-input');
-    this.messages = container.querySelector('#dc-chatbot-messages');
-    this.loading = container.querySelector('#dc-chatbot-loading');
+    this.refineTarget = null; // Content type the refine-model mode changes
+    this.siteModel = null; // Pending or loaded summary, see getSiteModel()
+
+    // DOM elements; inline chatbots have no trigger, close button or backdrop
+    this.trigger = container.querySelector('.dc-chatbot-trigger');
+    this.panel = container.querySelector('.dc-chatbot-panel');
+    this.closeBtn = container.querySelector('.dc-chatbot-close');
+    this.form = container.querySelector('.dc-chatbot-form');
+    this.input = container.querySelector('.dc-chatbot-input');
+    this.messages = container.querySelector('.dc-chatbot-messages');
+    this.loading = container.querySelector('.dc-chatbot-loading');
     this.sendBtn = container.querySelector('.dc-chatbot-send');
-    this.backdrop = document.querySelector('#dc-chatbot-backdrop');
-    this.initialOptions = container.querySelector('#dc-chatbot-initial-options');
+    this.stopBtn = container.querySelector('.dc-chatbot-stop');
+    this.attachBtn = container.querySelector('.dc-chatbot-attach');
+    this.fileInput = container.querySelector('.dc-chatbot-file');
+    this.status = container.querySelector('.dc-chatbot-status');
+    this.backdrop = container.querySelector('.dc-chatbot-backdrop');
+    this.initialOptions = container.querySelector('.dc-chatbot-initial-options');
     this.inputContainer = container.querySelector('.dc-chatbot-input-container');
+    this.commandMenu = container.querySelector('.dc-chatbot-commands');
+    this.siteModelPanel = container.querySelector('.dc-chatbot-site-model');
+    this.commandIndex = -1; // Highlighted slash command suggestion
   }
 
   DecoupledChatbot.prototype.init = function () {
@@ -72,29 +145,123 @@
       this.loading.style.display = 'none';
     }
 
+    // Keep the closed panel out of the tab order
+    if (this.inline) {
+      this.isOpen = true;
+    } else {
+      this.panel.inert = true;
+    }
+
+    this.renderActionButtons();
     this.bindEvents();
-    this.setupAutoTrigger();
+    if (!this.inline) {
+      this.setupAutoTrigger();
+    }
     this.updateWelcomeTime();
     this.initializeInitialState();
   };
 
   DecoupledChatbot.prototype.bindEvents = function () {
     // Trigger button
-    this.trigger.addEventListener('click', (e) => {
-      e.preventDefault();
-      this.toggle();
+    if (this.trigger) {
+      this.trigger.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.toggle();
+      });
+    }
+
+    // Transcript export
+    this.panel.querySelectorAll('.dc-chatbot-export-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.exportTranscript(button.getAttribute('data-format'));
+      });
     });
 
     // Close button
-    this.closeBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      this.close();
+    if (this.closeBtn) {
+      this.closeBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.close();
+      });
+    }
+
+    // Form submission; inside another form, e.g. on node forms, the chat
+    // form is rendered as a div and the send button as a plain button
+    if (this.form.tagName === 'FORM') {
+      this.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.sendMessage();
+      });
+    } else {
+      this.sendBtn.addEventListener('click', () => {
+        this.sendMessage();
+      });
+    }
+
+    // The content types panel is filled the first time it is opened
+    if (this.siteModelPanel) {
+      this.siteModelPanel.addEventListener('toggle', () => {
+        if (this.siteModelPanel.open) {
+          this.renderSiteModel();
+        }
+      });
+    }
+
+    // Stop the pending reply
+    if (this.stopBtn) {
+      this.stopBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.cancelRequest('stop');
+      });
+    }
+
+    // Content model attachments: file picker, drag and drop, paste
+    if (this.attachBtn && !this.canUseMode('model-content')) {
+      this.attachBtn.hidden = true;
+    }
+    if (this.attachBtn && this.fileInput) {
+      this.attachBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.fileInput.click();
+      });
+
+      this.fileInput.addEventListener('change', () => {
+        if (this.fileInput.files.length) {
+          this.handleAttachment(this.fileInput.files[0]);
+        }
+        this.fileInput.value = '';
+      });
+    }
+
+    this.panel.addEventListener('dragover', (e) => {
+      if (e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types, 'Files') !== -1) {
+        e.preventDefault();
+        this.panel.classList.add('is-dragover');
+      }
     });
 
-    // Form submission
-    this.form.addEventListener('submit', (e) => {
-      e.preventDefault();
-      this.sendMessage();
+    this.panel.addEventListener('dragleave', (e) => {
+      if (!this.panel.contains(e.relatedTarget)) {
+        this.panel.classList.remove('is-dragover');
+      }
+    });
+
+    this.panel.addEventListener('drop', (e) => {
+      this.panel.classList.remove('is-dragover');
+      if (e.dataTransfer && e.dataTransfer.files.length) {
+        e.preventDefault();
+        this.handleAttachment(e.dataTransfer.files[0]);
+      }
+    });
+
+    this.input.addEventListener('paste', (e) => {
+      const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+      const format = this.canUseMode('model-content') && this.detectAttachmentFormat(text);
+      if (format) {
+        e.preventDefault();
+        this.importAttachment(text, format === 'csv' ? 'pasted.csv' : 'pasted.json');
+      }
     });
 
     // Input events
@@ -105,13 +272,47 @@
       }
     });
 
-    // Close on escape key
+    // Slash command autocomplete
+    if (this.commandMenu) {
+      this.input.addEventListener('input', () => {
+        this.updateCommandMenu();
+      });
+
+      this.input.addEventListener('keydown', (e) => {
+        this.handleCommandKeydown(e);
+      });
+
+      this.input.addEventListener('blur', () => {
+        this.hideCommandMenu();
+      });
+
+      // Keep focus in the input while picking a suggestion
+      this.commandMenu.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const option = e.target.closest('[data-command]');
+        if (option) {
+          this.selectCommand(option.getAttribute('data-command'), true);
+        }
+      });
+    }
+
+    // Close on escape key, keep Tab inside the open dialog
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isOpen) {
+      if (!this.isOpen || this.inline) {
+        return;
+      }
+      if (e.key === 'Escape') {
         this.close();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
       }
     });
 
+    // Arrow keys move between the action buttons
+    this.initialOptions.querySelector('.chatbot-action-buttons').addEventListener('keydown', (e) => {
+      this.handleActionButtonKeydown(e);
+    });
+
     // Close when clicking backdrop
     if (this.backdrop) {
       this.backdrop.addEventListener('click', (e) => {
@@ -121,23 +322,172 @@
       });
     }
 
-    // Action button handlers
-    const actionButtons = this.container.querySelectorAll('.chatbot-action-btn');
-    actionButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        const action = button.getAttribute('data-action');
-        this.handleActionButton(action);
-      });
+    // Keep the latest state when navigating away
+    window.addEventListener('pagehide', () => {
+      this.saveSession();
     });
   };
 
+  /**
+   * Opens the panel on the first configured trigger that fires: a delay,
+   * a scroll depth or exit intent. Nothing is armed when the targeting
+   * rules exclude this page, user or visit.
+   */
   DecoupledChatbot.prototype.setupAutoTrigger = function () {
+    const rules = this.settings.autoOpen;
+    if (!this.shouldAutoOpen()) {
+      return;
+    }
+
+    const cleanup = [];
+    const fire = () => {
+      cleanup.forEach(callback => callback());
+      if (!this.isOpen && this.shouldAutoOpen()) {
+        this.recordAutoOpen();
+        this.open();
+      }
+    };
+
     if (this.settings.triggerDelay > 0) {
-      setTimeout(() => {
-        if (!this.isOpen) {
-          this.open();
+      const timer = setTimeout(fire, this.settings.triggerDelay);
+      cleanup.push(() => clearTimeout(timer));
+    }
+
+    if (rules.scrollDepth > 0) {
+      const onScroll = () => {
+        const height = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = height > 0 ? (window.scrollY / height) * 100 : 100;
+        if (depth >= rules.scrollDepth) {
+          fire();
+        }
+      };
+      window.addEventListener('scroll', onScroll, { passive: true });
+      cleanup.push(() => window.removeEventListener('scroll', onScroll));
+    }
+
+    if (rules.exitIntent) {
+      // The pointer left through the top edge, towards the tabs or URL bar
+      const onMouseOut = (e) => {
+        if (!e.relatedTarget && e.clientY <= 0) {
+          fire();
         }
-      }, this.settings.triggerDelay);
+      };
+      document.addEventListener('mouseout', onMouseOut);
+      cleanup.push(() => document.removeEventListener('mouseout', onMouseOut));
+    }
+
+    // Opening the panel by hand disarms the remaining triggers
+    const onOpen = () => {
+      cleanup.forEach(callback => callback());
+    };
+    this.container.addEventListener('dc-chatbot:open', onOpen);
+    cleanup.push(() => this.container.removeEventListener('dc-chatbot:open', onOpen));
+  };
+
+  /**
+   * Checks the auto-open targeting rules for this page and visitor.
+   */
+  DecoupledChatbot.prototype.shouldAutoOpen = function () {
+    const rules = this.settings.autoOpen;
+    const state = this.getAutoOpenState();
+
+    // Closed by the visitor: never again
+    if (state.dismissedAt) {
+      return false;
+    }
+
+    if (rules.frequency === 'session' && this.readStorage(window.sessionStorage, this.getAutoOpenKey())) {
+      return false;
+    }
+    if (rules.frequency === 'day' && state.openedAt && Date.now() - state.openedAt < 86400000) {
+      return false;
+    }
+
+    const userRoles = this.settings.userRoles || [];
+    if (rules.roles.length && !rules.roles.some(role => userRoles.indexOf(role) !== -1)) {
+      return false;
+    }
+
+    if (rules.include.length && !this.matchesPath(rules.include)) {
+      return false;
+    }
+
+    return !this.matchesPath(rules.exclude);
+  };
+
+  /**
+   * Checks the current page against path patterns.
+   *
+   * Patterns start with "/" and may use "*" as a wildcard; "<front>" is the
+   * front page. Both the alias in the address bar and the system path
+   * (e.g. "/node/1") are tried, as with block visibility.
+   *
+   * @param {string[]} patterns
+   *   The path patterns.
+   *
+   * @return {boolean}
+   *   Whether any pattern matches.
+   */
+  DecoupledChatbot.prototype.matchesPath = function (patterns) {
+    const path = drupalSettings.path || {};
+    const prefix = (path.baseUrl || '/') + (path.pathPrefix || '');
+    let alias = decodeURIComponent(window.location.pathname);
+    if (alias.indexOf(prefix) === 0) {
+      alias = '/' + alias.substring(prefix.length);
+    }
+
+    const candidates = [alias.replace(/(.)\/$/, '$1')];
+    if (path.currentPath) {
+      candidates.push('/' + path.currentPath);
+    }
+
+    return patterns.some(pattern => {
+      if (pattern === '<front>') {
+        return !!path.isFront;
+      }
+      const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+      return candidates.some(candidate => regex.test(candidate));
+    });
+  };
+
+  DecoupledChatbot.prototype.getAutoOpenKey = function () {
+    return `dcChatbot.autoOpen.${this.getSpaceId()}.${this.id}`;
+  };
+
+  /**
+   * Returns when the panel last auto-opened and when the visitor closed it.
+   */
+  DecoupledChatbot.prototype.getAutoOpenState = function () {
+    return this.readStorage(window.localStorage, this.getAutoOpenKey()) || {};
+  };
+
+  DecoupledChatbot.prototype.setAutoOpenState = function (values) {
+    this.writeStorage(window.localStorage, this.getAutoOpenKey(), Object.assign(this.getAutoOpenState(), values));
+  };
+
+  DecoupledChatbot.prototype.recordAutoOpen = function () {
+    this.setAutoOpenState({ openedAt: Date.now() });
+    this.writeStorage(window.sessionStorage, this.getAutoOpenKey(), { openedAt: Date.now() });
+  };
+
+  /**
+   * Reads a JSON value from browser storage, or null.
+   */
+  DecoupledChatbot.prototype.readStorage = function (storage, key) {
+    try {
+      return JSON.parse(storage.getItem(key));
+    }
+    catch (e) {
+      return null;
+    }
+  };
+
+  DecoupledChatbot.prototype.writeStorage = function (storage, key, value) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    }
+    catch (e) {
+      // Storage may be unavailable (private browsing) or full.
     }
   };
 
@@ -157,8 +507,18 @@
   };
 
   DecoupledChatbot.prototype.open = function () {
+    if (this.inline) {
+      return;
+    }
+
+    // Focus returns here when the dialog closes
+    if (!this.isOpen && document.activeElement && document.activeElement !== document.body && !this.panel.contains(document.activeElement)) {
+      this.returnFocus = document.activeElement;
+    }
+
     this.panel.classList.add('open');
     this.panel.setAttribute('aria-hidden', 'false');
+    this.panel.inert = false;
     this.isOpen = true;
 
     // Show backdrop
@@ -167,18 +527,33 @@
       this.backdrop.setAttribute('aria-hidden', 'false');
     }
 
-    // Focus input
+    // Focus into the dialog once it has slid in
     setTimeout(() => {
-      this.input.focus();
-    }, 400);
+      this.focusPanel();
+    }, this.prefersReducedMotion() ? 0 : 400);
 
     // Update trigger button
     this.trigger.setAttribute('aria-expanded', 'true');
+    this.saveSession();
+    this.dispatch('open');
   };
 
   DecoupledChatbot.prototype.close = function () {
+    if (this.inline) {
+      return;
+    }
+
+    // Nobody is watching the reply any more
+    this.cancelRequest('close');
+
+    // Closed by the visitor: stop auto-opening
+    if (this.isOpen) {
+      this.setAutoOpenState({ dismissedAt: Date.now() });
+    }
+
     this.panel.classList.remove('open');
     this.panel.setAttribute('aria-hidden', 'true');
+    this.panel.inert = true;
     this.isOpen = false;
 
     // Hide backdrop
@@ -187,29 +562,33 @@
       this.backdrop.setAttribute('aria-hidden', 'true');
     }
 
-    // Update trigger button
+    // Update trigger button and restore focus
     this.trigger.setAttribute('aria-expanded', 'false');
-    this.trigger.focus();
+    const returnFocus = this.returnFocus && document.body.contains(this.returnFocus) ? this.returnFocus : this.trigger;
+    this.returnFocus = null;
+    returnFocus.focus();
+    this.saveSession();
+    this.dispatch('close');
   };
 
   DecoupledChatbot.prototype.initializeInitialState = function () {
-    // Keep input container visible but disabled initially, enable buttons
+    // Input stays usable for questions and slash commands, buttons enabled
     this.inputContainer.classList.remove('hidden');
-    this.disableInput();
+    this.enableInput();
     this.enableActionButtons();
   };
 
   DecoupledChatbot.prototype.returnToInitialState = function () {
     // Reset to initial state
-    this.currentMode = null;
+    this.setMode(null);
     this.modelContentStep = null;
 
-    // Disable input and enable buttons
-    this.disableInput();
+    // Enable input and buttons
+    this.enableInput();
     this.enableActionButtons();
 
     // Reset input placeholder
-    this.input.placeholder = 'Type your message...';
+    this.input.placeholder = DecoupledChatbot.defaultPlaceholder;
     this.input.value = '';
   };
 
@@ -217,9 +596,8 @@
     const buttons = this.container.querySelectorAll('.chatbot-action-btn');
     buttons.forEach(button => {
       button.disabled = false;
-      button.style.opacity = '1';
-      button.style.pointerEvents = 'auto';
     });
+    this.updateActionButtonTabindex();
     this.initialOptions.classList.remove('hidden');
   };
 
@@ -227,8 +605,6 @@
     const buttons = this.container.querySelectorAll('.chatbot-action-btn');
     buttons.forEach(button => {
       button.disabled = true;
-      button.style.opacity = '0.5';
-      button.style.pointerEvents = 'none';
     });
     // During workflows, keep buttons visible but disabled
     // During completion, this will be overridden by hideActionButtons
@@ -244,175 +620,1683 @@
   DecoupledChatbot.prototype.enableInput = function () {
     this.input.disabled = false;
     this.sendBtn.disabled = false;
-    this.input.style.opacity = '1';
-    this.sendBtn.style.opacity = '1';
-    this.input.style.pointerEvents = 'auto';
-    this.sendBtn.style.pointerEvents = 'auto';
   };
 
   DecoupledChatbot.prototype.disableInput = function () {
     this.input.disabled = true;
     this.sendBtn.disabled = true;
-    this.input.style.opacity = '0.5';
-    this.sendBtn.style.opacity = '0.5';
-    this.input.style.pointerEvents = 'none';
-    this.sendBtn.style.pointerEvents = 'none';
   };
 
+  /**
+   * Returns the controls Tab can reach inside the panel, in order.
+   */
+  DecoupledChatbot.prototype.getFocusableElements = function () {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]), textarea:not([disabled]), select:not([disabled]), [tabindex]';
+    return Array.prototype.filter.call(this.panel.querySelectorAll(selector), element => {
+      return element.tabIndex >= 0 && !element.hidden && element.getClientRects().length > 0;
+    });
+  };
 
-  DecoupledChatbot.prototype.handleActionButton = function (action) {
-    this.currentMode = action;
+  /**
+   * Moves focus into the panel: the input if usable, else the first control.
+   */
+  DecoupledChatbot.prototype.focusPanel = function () {
+    if (!this.isOpen) {
+      return;
+    }
 
-    // Disable buttons and enable input during workflow
-    this.disableActionButtons();
-    this.enableInput();
+    const focusable = this.getFocusableElements();
+    const target = focusable.indexOf(this.input) !== -1 ? this.input : focusable[0];
+    if (target) {
+      target.focus();
+    }
+  };
 
-    if (action === 'model-content') {
-      this.startModelContentFlow();
-    } else if (action === 'answer-question') {
-      this.startQuestionAnswerFlow();
+  /**
+   * Whether focus left the panel without the user moving it, e.g. because
+   * the focused control was disabled.
+   *
+   * An inline chatbot shares the page, so focus elsewhere on it is the
+   * user's choice.
+   */
+  DecoupledChatbot.prototype.hasLostFocus = function () {
+    const active = document.activeElement;
+    if (this.panel.contains(active)) {
+      return false;
     }
+    return !this.inline || !active || active === document.body;
   };
 
-  DecoupledChatbot.prototype.startModelContentFlow = function () {
-    this.modelContentStep = 'description';
-    this.addMessage('Describe the content type you want to create (e.g., "blog post with title, body, author, and tags").', 'bot');
-    this.input.placeholder = 'Describe your content type...';
-    this.input.focus();
+  /**
+   * Wraps Tab and Shift+Tab around the open dialog.
+   */
+  DecoupledChatbot.prototype.trapFocus = function (e) {
+    const focusable = this.getFocusableElements();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!first) {
+      e.preventDefault();
+    } else if (!this.panel.contains(active)) {
+      // Focus was lost, e.g. when the focused control was disabled
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
   };
 
-  DecoupledChatbot.prototype.startQuestionAnswerFlow = function () {
-    this.addMessage('I\'m here to help answer your questions about Decoupled Drupal! What would you like to know?', 'bot');
-    this.input.placeholder = 'Ask your question...';
-    this.input.focus();
+  /**
+   * Roving tabindex: only one action button is in the tab order.
+   */
+  DecoupledChatbot.prototype.updateActionButtonTabindex = function (current) {
+    const buttons = Array.prototype.slice.call(this.initialOptions.querySelectorAll('.chatbot-action-btn'));
+    const enabled = buttons.filter(button => !button.disabled);
+    const active = enabled.indexOf(current) !== -1 ? current : enabled[0];
+
+    buttons.forEach(button => {
+      button.tabIndex = button === active ? 0 : -1;
+    });
   };
 
-  DecoupledChatbot.prototype.sendMessage = function () {
-    const message = this.input.value.trim();
-    if (!message || this.sendBtn.disabled) {
+  DecoupledChatbot.prototype.handleActionButtonKeydown = function (e) {
+    const buttons = Array.prototype.filter.call(this.initialOptions.querySelectorAll('.chatbot-action-btn'), button => !button.disabled);
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) {
       return;
     }
 
-    // Add user message to UI
-    this.addMessage(message, 'user');
-
-    // Clear input and disable send button
-    this.input.value = '';
-    this.setSendingState(true);
-
-    if (this.currentMode === 'model-content') {
-      this.handleModelContentMessage(message);
-    } else {
-      this.handleQuestionAnswerMessage(message);
+    let next = null;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      next = buttons[(index + 1) % buttons.length];
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      next = buttons[(index - 1 + buttons.length) % buttons.length];
+    } else if (e.key === 'Home') {
+      next = buttons[0];
+    } else if (e.key === 'End') {
+      next = buttons[buttons.length - 1];
     }
-  };
 
-  DecoupledChatbot.prototype.handleModelContentMessage = function (message) {
-    if (this.modelContentStep === 'description') {
-      // Process the content description and generate import configuration
-      this.callModelContentAPI(message)
-        .then(response => {
-          this.addMessageWithStartOver(response.response, 'bot');
-          this.hideLoading(); // Hide loading indicator immediately
-          this.setSendingState(false);
-          // After model content creation, disable input and hide buttons
-          this.disableInput();
-          this.hideActionButtons();
-          this.currentMode = null;
-          this.modelContentStep = null;
-        })
-        .catch(error => {
-          console.error('Model content API error:', error);
-          this.addMessage('Sorry, I encountered an error while generating your content model. Please try again.', 'bot', true);
-          this.hideLoading();
-          this.setSendingState(false);
-          this.enableActionButtons();
-          this.currentMode = null;
-          this.modelContentStep = null;
-        });
+    if (next) {
+      e.preventDefault();
+      this.updateActionButtonTabindex(next);
+      next.focus();
     }
   };
 
-  DecoupledChatbot.prototype.handleQuestionAnswerMessage = function (message) {
-    // Send to regular chat API
-    this.callChatAPI(message)
-      .then(response => {
-        this.addMessage(response.response, 'bot');
-        this.setSendingState(false);
-        // Keep buttons disabled after Q&A completion, keep input enabled for follow-up
-        this.currentMode = null;
-        this.input.focus();
-      })
-      .catch(error => {
-        console.error('Chat API error:', error);
-        this.addMessage('Sorry, I encountered an error. Please try again later.', 'bot', true);
-        this.setSendingState(false);
-        // On error, allow user to try the buttons again
-        this.enableActionButtons();
-        this.currentMode = null;
-        this.input.focus();
-      });
+  DecoupledChatbot.prototype.prefersReducedMotion = function () {
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
   };
 
-  DecoupledChatbot.prototype.addMessage = function (content, sender, isError = false) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `dc-chatbot-message ${sender}-message${isError ? ' error-message' : ''}`;
+  /**
+   * Reads text out through the polite Drupal live region.
+   */
+  DecoupledChatbot.prototype.announce = function (text) {
+    if (text && Drupal.announce) {
+      Drupal.announce(text, 'polite');
+    }
+  };
 
-    const contentDiv = document.createElement('div');
-    contentDiv.className = 'message-content';
 
-    // Render markdown for bot messages, plain text for user messages
-    if (sender === 'bot') {
-      contentDiv.innerHTML = this.parseMarkdown(content);
-    } else {
-      contentDiv.textContent = content;
+  DecoupledChatbot.prototype.handleActionButton = function (action) {
+    const mode = DecoupledChatbot.getMode(action);
+    if (!mode || !this.canUseMode(action)) {
+      return;
     }
 
-    const timeDiv = document.createElement('div');
-    timeDiv.className = 'message-time';
-    timeDiv.textContent = this.formatTime(new Date());
+    this.modelContentStep = null;
+    this.setMode(action);
 
-    messageDiv.appendChild(contentDiv);
-    messageDiv.appendChild(timeDiv);
+    // Disable buttons and enable input during workflow
+    this.disableActionButtons();
+    this.enableInput();
+    this.input.placeholder = mode.placeholder || DecoupledChatbot.defaultPlaceholder;
+
+    if (mode.start) {
+      mode.start.call(this);
+    }
+  };
+
+  /**
+   * Ends the active mode's flow, calling its onComplete callback.
+   *
+   * @param {object} result
+   *   The final /api/chat response data for the flow.
+   */
+  DecoupledChatbot.prototype.completeMode = function (result) {
+    const mode = DecoupledChatbot.getMode(this.currentMode);
+    this.setMode(null);
+
+    if (mode && mode.onComplete) {
+      mode.onComplete.call(this, result);
+    }
+  };
+
+  /**
+   * Sets the active mode, announcing the change.
+   *
+   * @param {string|null} id
+   *   The registered mode id, or null when no flow is active.
+   */
+  DecoupledChatbot.prototype.setMode = function (id) {
+    const previousMode = this.currentMode;
+    this.currentMode = id;
+
+    if (previousMode !== id) {
+      this.dispatch('mode-changed', { mode: id, previousMode: previousMode });
+    }
+  };
+
+  /**
+   * Dispatches a "dc-chatbot:<type>" CustomEvent from the container.
+   *
+   * Events bubble, so listeners may be added to the document. The detail
+   * always carries the chatbot instance and its id.
+   *
+   * @param {string} type
+   *   One of open, close, message-sent, response-received, error,
+   *   mode-changed or import-undone.
+   * @param {object} detail
+   *   (optional) The event payload.
+   */
+  DecoupledChatbot.prototype.dispatch = function (type, detail) {
+    this.container.dispatchEvent(new CustomEvent('dc-chatbot:' + type, {
+      bubbles: true,
+      detail: Object.assign({ chatbot: this, instanceId: this.id }, detail)
+    }));
+  };
+
+  /**
+   * Opens the panel and sends a question, as if the user had typed it.
+   *
+   * @param {string} text
+   *   The question.
+   * @param {object} options
+   *   (optional)
+   *   - mode: Registered mode to ask in. Starts that flow if it is not the
+   *     active one. Defaults to the active flow, or the default mode.
+   *   - send: Set to false to only prefill the input.
+   *
+   * @return {boolean}
+   *   FALSE if the chatbot cannot take a question right now.
+   */
+  DecoupledChatbot.prototype.ask = function (text, options = {}) {
+    const message = String(text || '').trim();
+    if (!this.settings.enabled || !message || this.isSending || this.modelContentStep === 'review') {
+      return false;
+    }
+
+    const modeId = options.mode || (this.input.disabled ? this.getDefaultMode() : this.currentMode);
+    if (modeId && modeId !== this.currentMode) {
+      if (!this.canUseMode(modeId)) {
+        return false;
+      }
+      this.handleActionButton(modeId);
+    }
+
+    if (!this.isOpen) {
+      this.open();
+    }
+
+    this.input.value = message;
+    if (options.send === false) {
+      this.input.focus();
+    } else {
+      this.sendMessage();
+    }
+
+    return true;
+  };
+
+  /**
+   * Clears the conversation and returns to the initial options.
+   */
+  DecoupledChatbot.prototype.reset = function () {
+    this.startOver();
+  };
+
+  /**
+   * Whether the current user may use a registered mode.
+   *
+   * The server checks access too; this only keeps the UI from offering
+   * modes that would be refused.
+   */
+  DecoupledChatbot.prototype.canUseMode = function (id) {
+    const mode = DecoupledChatbot.getMode(id);
+    return !!mode && (!mode.access || mode.access.call(this) !== false);
+  };
+
+  /**
+   * Returns the mode for messages sent outside of any flow.
+   *
+   * Instances may pick their own with the 'defaultMode' setting.
+   */
+  DecoupledChatbot.prototype.getDefaultMode = function () {
+    const id = this.settings.defaultMode;
+    return id && this.canUseMode(id) ? id : DecoupledChatbot.defaultMode;
+  };
+
+  /**
+   * Renders one action button per registered mode the user may use.
+   */
+  DecoupledChatbot.prototype.renderActionButtons = function () {
+    const wrapper = this.initialOptions.querySelector('.chatbot-action-buttons');
+    wrapper.innerHTML = '';
+
+    DecoupledChatbot.getModes().filter(mode => this.canUseMode(mode.id)).forEach(mode => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chatbot-action-btn';
+      button.setAttribute('data-action', mode.id);
+      button.textContent = mode.label;
+      button.addEventListener('click', () => {
+        this.handleActionButton(mode.id);
+      });
+      wrapper.appendChild(button);
+    });
+
+    this.updateActionButtonTabindex();
+  };
+
+  DecoupledChatbot.prototype.startModelContentFlow = function () {
+    this.modelContentStep = 'description';
+    this.addMessage(Drupal.t('Describe the content type you want to create (e.g., "blog post with title, body, author, and tags").'), 'bot', false, true);
+    this.input.focus();
+  };
+
+  DecoupledChatbot.prototype.startQuestionAnswerFlow = function () {
+    // Load the summary while the question is typed
+    this.getSiteModel();
+    this.addMessage(Drupal.t('I\'m here to help answer your questions about Decoupled Drupal! What would you like to know?'), 'bot', false, true);
+    this.input.focus();
+  };
+
+  DecoupledChatbot.prototype.startGraphQLFlow = function () {
+    // Queries are written against the site's own types
+    this.getSiteModel();
+    this.addMessage(Drupal.t('Describe the data you need (e.g., "latest 5 news articles with tags and image URL") and I will write a GraphQL query you can run here.'), 'bot', false, true);
+    this.input.focus();
+  };
+
+  DecoupledChatbot.prototype.sendMessage = function () {
+    const message = this.input.value.trim();
+    if (!message || this.sendBtn.disabled) {
+      return;
+    }
+
+    this.hideCommandMenu();
+    if (message.charAt(0) === '/') {
+      this.input.value = '';
+      this.runCommand(message);
+      return;
+    }
+
+    // A question typed before picking an option goes to the default mode
+    if (!this.currentMode) {
+      this.disableActionButtons();
+    }
+
+    // Capture prior turns before the new message joins the history
+    const history = this.getConversationHistory();
+
+    // Add user message to UI
+    this.addMessage(message, 'user');
+
+    // Clear input and disable send button
+    this.input.value = '';
+    this.setSendingState(true);
+
+    this.dispatch('message-sent', {
+      message: message,
+      mode: this.currentMode || this.getDefaultMode(),
+      history: history
+    });
+
+    // Messages outside a flow (e.g. Q&A follow-ups) go to the default mode
+    const mode = DecoupledChatbot.getMode(this.currentMode) || DecoupledChatbot.getMode(this.getDefaultMode());
+    mode.onMessage.call(this, message, history);
+  };
+
+  /**
+   * Runs a slash command, e.g. "/model blog post with tags".
+   *
+   * @param {string} text
+   *   The input text, starting with "/".
+   */
+  DecoupledChatbot.prototype.runCommand = function (text) {
+    const match = text.match(/^\/(\S*)\s*([\s\S]*)$/);
+    const name = match[1].toLowerCase();
+    const command = DecoupledChatbot.getCommand(name || 'help');
+
+    if (!command) {
+      this.addMessage(Drupal.t('Unknown command "/!name". Type /help to see the available commands.', { '!name': name }), 'bot', false, true);
+      return;
+    }
+
+    command.run.call(this, match[2].trim());
+  };
+
+  /**
+   * Lists the registered slash commands.
+   */
+  DecoupledChatbot.prototype.showCommandHelp = function () {
+    const lines = DecoupledChatbot.getCommands().map(command => {
+      const usage = command.hint ? `/${command.name} ${command.hint}` : `/${command.name}`;
+      return `- \`${usage}\` ${command.description || ''}`.trim();
+    });
+    this.addMessage(`**${Drupal.t('Commands')}**\n\n${lines.join('\n')}`, 'bot', false, true);
+  };
+
+  /**
+   * Lists the site's content types and paragraph types.
+   */
+  DecoupledChatbot.prototype.showContentTypes = function () {
+    this.setStatus(Drupal.t('Loading content types…'));
+
+    return window.DecoupledChatbotTransport.request(this.getEndpoint('content-types'))
+      .then(data => window.DecoupledChatbotTransport.checkShape(data, { node: 'array', paragraph: 'array?' }))
+      .then(data => {
+        const list = (title, bundles) => {
+          const items = (bundles || []).map(bundle => {
+            const description = bundle.description ? ` – ${bundle.description}` : '';
+            return `- **${bundle.label}** (\`${bundle.id}\`)${description}`;
+          });
+          return `**${title}**\n\n${items.length ? items.join('\n') : `_${Drupal.t('None yet.')}_`}`;
+        };
+
+        const sections = [list(Drupal.t('Content types'), data.node)];
+        if (data.paragraph && data.paragraph.length) {
+          sections.push(list(Drupal.t('Paragraph types'), data.paragraph));
+        }
+        this.setStatus('');
+        this.addMessage(sections.join('\n\n'), 'bot', false, true);
+      })
+      .catch(error => {
+        console.error('Content types error:', error);
+        this.setStatus('');
+        this.addMessage(Drupal.t('Sorry, I could not load the content types.'), 'bot', true, true);
+      });
+  };
+
+  /**
+   * Loads the summary of the site's bundles, fields and GraphQL types.
+   *
+   * The summary is loaded once per page. A failed load is retried on the
+   * next call.
+   *
+   * @return {Promise<object|null>}
+   *   The summary, with 'graphql' and 'bundles' keys, or NULL if it could
+   *   not be loaded.
+   */
+  DecoupledChatbot.prototype.getSiteModel = function () {
+    if (!this.siteModel) {
+      this.siteModel = window.DecoupledChatbotTransport.request(this.getEndpoint('site-model'))
+        .then(data => window.DecoupledChatbotTransport.checkShape(data, { bundles: 'array' }))
+        .catch(error => {
+          console.error('Site model error:', error);
+          this.siteModel = null;
+          return null;
+        });
+    }
+
+    return this.siteModel;
+  };
+
+  /**
+   * Forgets the loaded summary after the content model changed.
+   */
+  DecoupledChatbot.prototype.resetSiteModel = function () {
+    this.siteModel = null;
+    if (this.siteModelPanel) {
+      this.siteModelPanel.querySelector('.dc-chatbot-site-model-body').removeAttribute('data-loaded');
+      if (this.siteModelPanel.open) {
+        this.renderSiteModel();
+      }
+    }
+  };
+
+  /**
+   * Fills the "Your content types" panel with the bundles and their fields.
+   */
+  DecoupledChatbot.prototype.renderSiteModel = function () {
+    const body = this.siteModelPanel.querySelector('.dc-chatbot-site-model-body');
+    if (body.getAttribute('data-loaded') === 'true') {
+      return;
+    }
+    body.textContent = Drupal.t('Loading content types…');
+
+    this.getSiteModel().then(model => {
+      body.innerHTML = '';
+      if (!model) {
+        body.textContent = Drupal.t('Sorry, I could not load the content types.');
+        return;
+      }
+
+      const sections = [
+        { entity: 'node', title: Drupal.t('Content types') },
+        { entity: 'paragraph', title: Drupal.t('Paragraph types') }
+      ];
+      sections.forEach(section => {
+        const bundles = model.bundles.filter(bundle => bundle.entity === section.entity);
+        if (!bundles.length && section.entity !== 'node') {
+          return;
+        }
+
+        const heading = document.createElement('h4');
+        heading.textContent = section.title;
+        body.appendChild(heading);
+
+        if (!bundles.length) {
+          const empty = document.createElement('p');
+          empty.textContent = Drupal.t('None yet.');
+          body.appendChild(empty);
+          return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'site-model-bundles';
+        bundles.forEach(bundle => {
+          const item = document.createElement('li');
+          const label = document.createElement('strong');
+          label.textContent = bundle.label;
+          const id = document.createElement('code');
+          id.textContent = bundle.bundle;
+          item.append(label, ' ', id);
+          if (bundle.graphql) {
+            const type = document.createElement('span');
+            type.className = 'site-model-graphql';
+            type.textContent = Drupal.t('GraphQL: @type', { '@type': bundle.graphql.type });
+            item.append(' ', type);
+          }
+
+          const fields = document.createElement('ul');
+          fields.className = 'site-model-fields';
+          (bundle.fields || []).forEach(field => {
+            const fieldItem = document.createElement('li');
+            const type = document.createElement('code');
+            type.textContent = field.type;
+            fieldItem.append(field.required ? Drupal.t('@label (required)', { '@label': field.label }) : field.label, ' ', type);
+            fields.appendChild(fieldItem);
+          });
+          if (fields.children.length) {
+            item.appendChild(fields);
+          }
+          list.appendChild(item);
+        });
+        body.appendChild(list);
+      });
+
+      body.setAttribute('data-loaded', 'true');
+    });
+  };
+
+  /**
+   * Shows the slash commands matching the input, or the argument hint of
+   * the command being typed.
+   */
+  DecoupledChatbot.prototype.updateCommandMenu = function () {
+    const match = this.input.value.match(/^\/(\S*)(\s?)/);
+    if (!match || this.input.disabled) {
+      this.hideCommandMenu();
+      return;
+    }
+
+    const name = match[1].toLowerCase();
+    let commands;
+    if (match[2]) {
+      // The name is complete: show what the command expects
+      const command = DecoupledChatbot.getCommand(name);
+      commands = command && command.hint ? [command] : [];
+    } else {
+      commands = DecoupledChatbot.getCommands().filter(command => command.name.indexOf(name) === 0);
+    }
+
+    if (!commands.length) {
+      this.hideCommandMenu();
+      return;
+    }
+
+    this.commandMenu.innerHTML = '';
+    commands.forEach(command => {
+      const option = document.createElement('li');
+      option.id = `${this.commandMenu.id}-${command.name}`;
+      option.className = 'dc-chatbot-command';
+      option.setAttribute('role', 'option');
+
+      const label = document.createElement('span');
+      label.className = 'command-name';
+      label.textContent = `/${command.name}`;
+      option.appendChild(label);
+
+      if (command.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'command-hint';
+        hint.textContent = ` ${command.hint}`;
+        option.appendChild(hint);
+      }
+
+      if (command.description) {
+        const description = document.createElement('span');
+        description.className = 'command-description';
+        description.textContent = command.description;
+        option.appendChild(description);
+      }
+
+      if (match[2]) {
+        option.setAttribute('aria-disabled', 'true');
+      } else {
+        option.setAttribute('data-command', command.name);
+      }
+      this.commandMenu.appendChild(option);
+    });
+
+    this.commandMenu.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+    this.highlightCommand(match[2] ? -1 : 0);
+  };
+
+  DecoupledChatbot.prototype.hideCommandMenu = function () {
+    if (!this.commandMenu || this.commandMenu.hidden) {
+      return;
+    }
+
+    this.commandMenu.hidden = true;
+    this.commandMenu.innerHTML = '';
+    this.commandIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  };
+
+  /**
+   * Highlights a command suggestion by index; -1 highlights none.
+   */
+  DecoupledChatbot.prototype.highlightCommand = function (index) {
+    const options = this.commandMenu.querySelectorAll('[data-command]');
+    this.commandIndex = index >= 0 && index < options.length ? index : -1;
+
+    options.forEach((option, i) => {
+      option.setAttribute('aria-selected', i === this.commandIndex ? 'true' : 'false');
+    });
+
+    if (this.commandIndex === -1) {
+      this.input.removeAttribute('aria-activedescendant');
+    } else {
+      const option = options[this.commandIndex];
+      this.input.setAttribute('aria-activedescendant', option.id);
+      option.scrollIntoView({ block: 'nearest' });
+    }
+  };
+
+  /**
+   * Handles arrow keys, Enter, Tab and Escape while suggestions are shown.
+   */
+  DecoupledChatbot.prototype.handleCommandKeydown = function (e) {
+    if (this.commandMenu.hidden) {
+      return;
+    }
+
+    const options = this.commandMenu.querySelectorAll('[data-command]');
+    if (e.key === 'Escape') {
+      // Close the suggestions, not the dialog
+      e.preventDefault();
+      e.stopPropagation();
+      this.hideCommandMenu();
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && options.length) {
+      e.preventDefault();
+      // Wrap around at either end
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const start = this.commandIndex === -1 ? (step === 1 ? -1 : 0) : this.commandIndex;
+      this.highlightCommand((start + step + options.length) % options.length);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && this.commandIndex !== -1 && !e.shiftKey) {
+      e.preventDefault();
+      this.selectCommand(options[this.commandIndex].getAttribute('data-command'), e.key === 'Enter');
+    }
+  };
+
+  /**
+   * Completes a command in the input.
+   *
+   * @param {string} name
+   *   The command name.
+   * @param {boolean} run
+   *   Whether to run commands that take no arguments right away.
+   */
+  DecoupledChatbot.prototype.selectCommand = function (name, run) {
+    const command = DecoupledChatbot.getCommand(name);
+    if (!command) {
+      return;
+    }
+
+    this.input.focus();
+    if (command.hint || !run) {
+      this.input.value = `/${command.name} `;
+      this.updateCommandMenu();
+      return;
+    }
+
+    this.input.value = `/${command.name}`;
+    this.sendMessage();
+  };
+
+  /**
+   * Reads an attached content model file and imports it.
+   *
+   * @param {File} file
+   *   A JSON file in the dc_import format, or a CSV field list.
+   */
+  DecoupledChatbot.prototype.handleAttachment = function (file) {
+    if (!/\.(json|csv)$/i.test(file.name)) {
+      this.addMessage(Drupal.t('**!name** is not a JSON or CSV file.', { '!name': file.name }), 'bot', true);
+      return;
+    }
+    if (file.size > this.settings.attachmentMaxSize) {
+      this.addMessage(Drupal.t('**!name** is too large to import.', { '!name': file.name }), 'bot', true);
+      return;
+    }
+
+    file.text()
+      .then(text => {
+        this.importAttachment(text, file.name);
+      })
+      .catch(error => {
+        console.error('Decoupled Drupal Chatbot: Failed to read attachment', error);
+        this.addMessage(Drupal.t('Sorry, **!name** could not be read.', { '!name': file.name }), 'bot', true);
+      });
+  };
+
+  /**
+   * Recognizes pasted text that is a content model rather than a question.
+   *
+   * @return {string|null}
+   *   'json', 'csv' or null.
+   */
+  DecoupledChatbot.prototype.detectAttachmentFormat = function (text) {
+    text = text.trim();
+    if (/^\{[\s\S]*"model"[\s\S]*\}$/.test(text)) {
+      return 'json';
+    }
+
+    // A multi-line field list whose header names the bundle and field type
+    const header = text.split(/\r?\n/, 1)[0].toLowerCase();
+    if (text.indexOf('\n') !== -1 && /\b(bundle|content_type)\b/.test(header) && /\b(field_)?type\b/.test(header)) {
+      return 'csv';
+    }
+
+    return null;
+  };
+
+  /**
+   * Validates an attached content model and sends it for review.
+   *
+   * JSON is checked against the dc_import schema and CSV field lists are
+   * converted to the same format first. Valid models go through the normal
+   * review and import steps; errors are listed in the chat.
+   *
+   * @param {string} text
+   *   The file contents.
+   * @param {string} name
+   *   The file name, used to tell CSV from JSON.
+   */
+  DecoupledChatbot.prototype.importAttachment = function (text, name) {
+    if (!this.canUseMode('model-content')) {
+      this.announce(Drupal.t('You are not allowed to import content models.'));
+      return;
+    }
+    if (!this.settings.enabled || this.isSending || this.modelContentStep === 'review') {
+      this.announce(Drupal.t('Finish the current step before attaching a content model.'));
+      return;
+    }
+
+    if (this.currentMode !== 'model-content') {
+      this.disableActionButtons();
+      this.setMode('model-content');
+      const mode = DecoupledChatbot.getMode('model-content');
+      this.input.placeholder = (mode && mode.placeholder) || DecoupledChatbot.defaultPlaceholder;
+    }
+    this.modelContentStep = 'description';
+
+    this.addMessage(`📎 ${name}`, 'user');
+    this.setSendingState(true);
+
+    const attachments = window.DecoupledChatbotAttachments;
+    let config = null;
+    let errors = [];
+
+    if (/\.csv$/i.test(name)) {
+      const converted = attachments.csvToModel(text);
+      config = converted.config;
+      errors = converted.errors;
+    } else {
+      try {
+        config = JSON.parse(text);
+      }
+      catch (error) {
+        errors = [Drupal.t('The file is not valid JSON: !error', { '!error': error.message })];
+      }
+    }
+
+    if (errors.length) {
+      this.showAttachmentErrors(name, errors);
+      return;
+    }
+
+    this.getImportSchema()
+      .then(schema => {
+        errors = attachments.validate(config, schema);
+        if (errors.length) {
+          this.showAttachmentErrors(name, errors);
+          return;
+        }
+
+        return this.callModelContentPreviewAPI(config).then(response => {
+          if (response.errors && response.errors.length) {
+            this.showAttachmentErrors(name, response.errors);
+            return;
+          }
+
+          this.setSendingState(false);
+          this.showModelReview(response.response, response.proposal, response.warnings || []);
+        });
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') {
+          if (error.reason !== 'reset') {
+            this.setSendingState(false);
+          }
+          return;
+        }
+
+        console.error('Model content preview error:', error);
+        this.dispatch('error', { mode: 'model-content', error: error.message });
+        this.addMessage(Drupal.t('Sorry, I could not check that content model. Please try again.'), 'bot', true);
+        this.setSendingState(false);
+      });
+  };
+
+  /**
+   * Lists validation errors for an attachment, keeping the flow open.
+   */
+  DecoupledChatbot.prototype.showAttachmentErrors = function (name, errors) {
+    const shown = errors.slice(0, 10).map(error => `- \`${String(error).replace(/`/g, "'")}\``);
+    if (errors.length > shown.length) {
+      shown.push('- ' + Drupal.formatPlural(errors.length - shown.length, '…and 1 more', '…and @count more'));
+    }
+
+    this.setSendingState(false);
+    this.addMessage([
+      Drupal.t('**!name** can\'t be imported:', { '!name': name }),
+      shown.join('\n'),
+      Drupal.t('Fix the file and attach it again, or describe the content type instead.')
+    ].join('\n\n'), 'bot', true);
+  };
+
+  /**
+   * Loads the dc_import schema once per page.
+   *
+   * @return {Promise<object|null>}
+   *   The schema, or null to use the built-in fallback schema.
+   */
+  DecoupledChatbot.prototype.getImportSchema = function () {
+    if (!DecoupledChatbot.importSchema) {
+      DecoupledChatbot.importSchema = window.DecoupledChatbotTransport.request(Drupal.url('api/chat/import-schema'))
+        .catch(() => null);
+    }
+
+    return DecoupledChatbot.importSchema;
+  };
+
+  DecoupledChatbot.prototype.handleModelContentMessage = function (message) {
+    if (this.modelContentStep === 'description') {
+      // Process the content description and generate import configuration
+      let stream = null;
+      this.callModelContentAPI(message, chunk => {
+        stream = stream || this.beginStreamingMessage();
+        this.appendStreamingChunk(stream, chunk);
+      })
+        .then(response => {
+          // The streamed configuration is replaced by the review table
+          this.endStreamingMessage(stream);
+          this.dispatch('response-received', {
+            message: message,
+            response: response.response,
+            mode: 'model-content',
+            data: response
+          });
+
+          if (response.proposal) {
+            this.hideLoading();
+            this.setSendingState(false);
+            this.showModelReview(response.response, response.proposal, response.warnings || []);
+            return;
+          }
 
-    this.messages.appendChild(messageDiv);
+          this.addResponse(response, { startOver: true });
+          this.hideLoading(); // Hide loading indicator immediately
+          this.setSendingState(false);
+          // After model content creation, disable input and hide buttons
+          this.disableInput();
+          this.hideActionButtons();
+          this.modelContentStep = null;
+          this.completeMode(response);
+        })
+        .catch(error => {
+          this.endStreamingMessage(stream);
+          if (error.name === 'AbortError') {
+            // Stopped: stay in the flow so the description can be sent again
+            if (error.reason !== 'reset') {
+              this.setSendingState(false);
+            }
+            return;
+          }
 
-    // Scroll to bottom
-    this.messages.scrollTop = this.messages.scrollHeight;
+          console.error('Model content API error:', error);
+          this.dispatch('error', { message: message, mode: 'model-content', error: error.message });
+          this.addMessage(error.name === 'TimeoutError'
+            ? Drupal.t('Sorry, generating your content model took too long. Please try again.')
+            : Drupal.t('Sorry, I encountered an error while generating your content model. Please try again.'), 'bot', true);
+          this.hideLoading();
+          this.setSendingState(false);
+          this.enableActionButtons();
+          this.setMode(null);
+          this.modelContentStep = null;
+        });
+    }
+  };
+
+  /**
+   * Shows a proposed content model for review before anything is imported.
+   */
+  DecoupledChatbot.prototype.showModelReview = function (content, proposal, warnings) {
+    this.modelContentStep = 'review';
+    this.disableInput();
+
+    const entry = {
+      content: content,
+      sender: 'bot',
+      timestamp: Date.now(),
+      isError: false,
+      mode: this.currentMode,
+      review: {
+        proposal: proposal,
+        warnings: warnings,
+        status: 'pending'
+      }
+    };
+
+    const messageDiv = this.renderMessage(entry);
+    this.messageHistory.push(entry);
+    this.saveSession();
+
+    this.announce(Drupal.t('Review the proposed content model, then approve or cancel it.'));
+    const approveBtn = messageDiv.querySelector('.review-approve');
+    if (approveBtn && this.isOpen) {
+      approveBtn.focus();
+    }
+  };
+
+  /**
+   * Renders the review table and actions for a proposed content model.
+   */
+  DecoupledChatbot.prototype.renderModelReview = function (entry, container) {
+    const review = entry.review;
+    const proposal = review.proposal;
+    container.innerHTML = '';
+
+    if (review.warnings.length) {
+      const warningList = document.createElement('ul');
+      warningList.className = 'review-warnings';
+      review.warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        warningList.appendChild(item);
+      });
+      container.appendChild(warningList);
+    }
+
+    (proposal.model || []).forEach(def => {
+      const heading = document.createElement('h4');
+      heading.textContent = `${def.label || def.bundle} (${def.entity || 'node'}.${def.bundle})`;
+      container.appendChild(heading);
+
+      const table = document.createElement('table');
+      table.className = 'review-fields';
+      const headerRow = table.createTHead().insertRow();
+      [Drupal.t('Field'), Drupal.t('Label'), Drupal.t('Type'), ''].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        headerRow.appendChild(th);
+      });
+
+      const tbody = table.createTBody();
+      if (def.body) {
+        const row = tbody.insertRow();
+        ['body', Drupal.t('Body'), 'text_with_summary', ''].forEach(value => {
+          row.insertCell().textContent = value;
+        });
+      }
+
+      (def.fields || []).forEach((field, index) => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = field.id;
+        row.insertCell().textContent = field.label || field.name || '';
+        const typeCell = row.insertCell();
+        const typeCode = document.createElement('code');
+        typeCode.textContent = field.type;
+        typeCell.appendChild(typeCode);
+
+        const removeCell = row.insertCell();
+        if (review.status === 'pending') {
+          const removeBtn = document.createElement('button');
+          removeBtn.type = 'button';
+          removeBtn.className = 'review-remove-field';
+          removeBtn.textContent = '×';
+          removeBtn.setAttribute('aria-label', Drupal.t('Remove field !field', { '!field': field.id }));
+          removeBtn.addEventListener('click', () => {
+            this.removeProposedField(entry, def, index);
+            this.renderModelReview(entry, container);
+          });
+          removeCell.appendChild(removeBtn);
+        }
+      });
+
+      container.appendChild(table);
+    });
+
+    const sampleNodes = (proposal.content || []).filter(item => (item.type || '').indexOf('node.') === 0);
+    if (sampleNodes.length) {
+      const heading = document.createElement('h4');
+      heading.textContent = Drupal.t('Sample content');
+      container.appendChild(heading);
+
+      const list = document.createElement('ul');
+      list.className = 'review-samples';
+      sampleNodes.forEach(item => {
+        const listItem = document.createElement('li');
+        listItem.textContent = `${(item.values && item.values.title) || item.id} (${item.type.substring(5)})`;
+        list.appendChild(listItem);
+      });
+      container.appendChild(list);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'review-actions';
+    if (review.status === 'pending') {
+      const approveBtn = document.createElement('button');
+      approveBtn.type = 'button';
+      approveBtn.className = 'review-approve';
+      approveBtn.textContent = Drupal.t('Approve');
+      approveBtn.addEventListener('click', () => {
+        this.approveModelReview(entry, container);
+      });
+
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.className = 'review-cancel';
+      cancelBtn.textContent = Drupal.t('Cancel');
+      cancelBtn.addEventListener('click', () => {
+        this.cancelModelReview(entry, container);
+      });
+
+      actions.appendChild(approveBtn);
+      actions.appendChild(cancelBtn);
+    } else {
+      const status = document.createElement('span');
+      status.className = 'review-status';
+      status.textContent = {
+        importing: Drupal.t('Importing…'),
+        approved: Drupal.t('Approved'),
+        cancelled: Drupal.t('Cancelled')
+      }[review.status] || '';
+      actions.appendChild(status);
+    }
+    container.appendChild(actions);
+  };
+
+  /**
+   * Renders the undo button of an import, or its confirmation step.
+   *
+   * The confirmation lists what the rollback deletes. The server refuses
+   * the rollback when content was added to the imported bundles since; the
+   * reasons are listed instead of the Undo button.
+   */
+  DecoupledChatbot.prototype.renderUndo = function (entry, container) {
+    const changeset = entry.changeset;
+    container.innerHTML = '';
+
+    const addButton = (className, text, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      container.appendChild(button);
+      return button;
+    };
+
+    const addStatus = (text) => {
+      const status = document.createElement('span');
+      status.className = 'undo-status';
+      status.textContent = text;
+      container.appendChild(status);
+    };
+
+    if (changeset.status === 'applied') {
+      addButton('undo-start', Drupal.t('Undo this import'), () => {
+        this.confirmUndo(entry, container);
+      });
+      return;
+    }
+
+    if (changeset.status === 'loading') {
+      addStatus(Drupal.t('Checking what the import created…'));
+      return;
+    }
+
+    if (changeset.status === 'undoing') {
+      addStatus(Drupal.t('Undoing the import…'));
+      return;
+    }
+
+    if (changeset.status === 'rolled_back') {
+      addStatus(Drupal.t('This import was undone.'));
+      return;
+    }
+
+    // Confirmation step
+    const conflicts = changeset.conflicts || [];
+    const intro = document.createElement('p');
+    intro.textContent = conflicts.length
+      ? Drupal.t('This import cannot be undone, because content was added since:')
+      : Drupal.t('Undoing the import deletes:');
+    container.appendChild(intro);
+
+    const list = document.createElement('ul');
+    list.className = conflicts.length ? 'undo-conflicts' : 'undo-items';
+    (conflicts.length ? conflicts : (changeset.items || []).map(item => {
+      const group = DecoupledChatbot.undoItemLabels[item.entity_type] || item.entity_type;
+      return `${group}: ${item.label}`;
+    })).forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    if (!conflicts.length) {
+      const confirmBtn = addButton('undo-confirm', Drupal.t('Undo import'), () => {
+        this.undoImport(entry, container);
+      });
+      if (this.isOpen) {
+        confirmBtn.focus();
+      }
+    }
+    addButton('undo-cancel', conflicts.length ? Drupal.t('Close') : Drupal.t('Cancel'), () => {
+      entry.changeset = { id: changeset.id, status: 'applied' };
+      this.renderUndo(entry, container);
+    });
+  };
+
+  /**
+   * Fetches what undoing an import would delete and asks to confirm.
+   */
+  DecoupledChatbot.prototype.confirmUndo = function (entry, container) {
+    const id = entry.changeset.id;
+    entry.changeset.status = 'loading';
+    this.renderUndo(entry, container);
+
+    window.DecoupledChatbotTransport.request(this.getEndpoint(`changeset/${id}`))
+      .then(data => window.DecoupledChatbotTransport.checkShape(data, { status: 'string', items: 'array', conflicts: 'array' }))
+      .then(data => {
+        entry.changeset = data.status === 'applied'
+          ? { id: id, status: 'confirm', items: data.items, conflicts: data.conflicts }
+          : { id: id, status: 'rolled_back' };
+        this.renderUndo(entry, container);
+        this.announce(data.conflicts.length
+          ? Drupal.t('This import cannot be undone.')
+          : Drupal.formatPlural(data.items.length, 'Undoing the import deletes 1 item. Confirm or cancel.', 'Undoing the import deletes @count items. Confirm or cancel.'));
+        this.saveSession();
+      })
+      .catch(error => {
+        console.error('Changeset error:', error);
+        entry.changeset = { id: id, status: 'applied' };
+        this.renderUndo(entry, container);
+        this.addMessage(Drupal.t('Sorry, I could not check what the import created. Please try again.'), 'bot', true);
+      });
+  };
+
+  /**
+   * Rolls an import back once the user confirmed.
+   */
+  DecoupledChatbot.prototype.undoImport = function (entry, container) {
+    const changeset = entry.changeset;
+    entry.changeset = { id: changeset.id, status: 'undoing' };
+    this.renderUndo(entry, container);
+    this.setSendingState(true);
+
+    window.DecoupledChatbotTransport.request(this.getEndpoint(`changeset/${changeset.id}/rollback`), { method: 'POST' })
+      .then(data => window.DecoupledChatbotTransport.checkShape(data, { response: 'string', deleted: 'array' }))
+      .then(data => {
+        entry.changeset = { id: changeset.id, status: 'rolled_back' };
+        this.renderUndo(entry, container);
+        this.resetSiteModel();
+        this.setSendingState(false);
+        this.dispatch('import-undone', { changeset: changeset.id, deleted: data.deleted });
+        this.addMessage(data.response, 'bot', false, true);
+      })
+      .catch(error => {
+        console.error('Rollback error:', error);
+        this.setSendingState(false);
+        // Content added in the meantime: show why instead of the button
+        const conflicts = error.data && Array.isArray(error.data.conflicts) ? error.data.conflicts : [];
+        entry.changeset = conflicts.length
+          ? { id: changeset.id, status: 'confirm', items: [], conflicts: conflicts }
+          : { id: changeset.id, status: 'applied' };
+        this.renderUndo(entry, container);
+        if (!conflicts.length) {
+          this.addMessage(Drupal.t('Sorry, the import could not be undone: !error', { '!error': error.message }), 'bot', true);
+        }
+        this.saveSession();
+      });
+  };
+
+  /**
+   * Drops a field from a proposal, along with its sample values.
+   */
+  DecoupledChatbot.prototype.removeProposedField = function (entry, def, index) {
+    const fieldId = def.fields[index].id;
+    def.fields.splice(index, 1);
+
+    const contentType = `${def.entity || 'node'}.${def.bundle}`;
+    (entry.review.proposal.content || []).forEach(item => {
+      if (item.type === contentType && item.values) {
+        delete item.values[fieldId];
+      }
+    });
+
+    this.saveSession();
+  };
+
+  DecoupledChatbot.prototype.approveModelReview = function (entry, container) {
+    entry.review.status = 'importing';
+    this.renderModelReview(entry, container);
+    this.setSendingState(true);
+
+    this.callModelContentImportAPI(entry.review.proposal)
+      .then(response => {
+        entry.review.status = 'approved';
+        this.renderModelReview(entry, container);
+        this.resetSiteModel();
+        this.setSendingState(false);
+        this.dispatch('response-received', {
+          response: response.response,
+          mode: 'model-content',
+          data: response
+        });
+        this.addResponse(response, { startOver: true });
+        this.modelContentStep = null;
+        this.completeMode(response);
+
+        // Keep the conversation going to refine the new content type
+        const def = (entry.review.proposal.model || []).find(item => (item.entity || 'node') === 'node');
+        if (def && this.canUseMode('refine-model')) {
+          this.refineTarget = { entity: 'node', bundle: def.bundle, label: def.label || def.bundle };
+          this.handleActionButton('refine-model');
+        } else {
+          // Otherwise the flow is over: disable input and hide buttons
+          this.disableInput();
+          this.hideActionButtons();
+        }
+        this.saveSession();
+      })
+      .catch(error => {
+        console.error('Model content import error:', error);
+        this.dispatch('error', { mode: 'model-content', error: error.message });
+        // Leave the proposal open so the user can retry or cancel
+        entry.review.status = 'pending';
+        this.renderModelReview(entry, container);
+        this.setSendingState(false);
+        this.disableInput();
+        this.addMessage(error.name === 'TimeoutError'
+          ? Drupal.t('Sorry, the import is taking too long. Check your content types before approving again.')
+          : Drupal.t('Sorry, the import failed. You can approve again or cancel.'), 'bot', true);
+      });
+  };
+
+  DecoupledChatbot.prototype.cancelModelReview = function (entry, container) {
+    entry.review.status = 'cancelled';
+    this.renderModelReview(entry, container);
+    this.returnToInitialState();
+    this.addMessage(Drupal.t('No problem, nothing was created. Pick an option to start again.'), 'bot', false, true);
+  };
+
+  /**
+   * Starts refining this.refineTarget, or asks which content type to refine.
+   */
+  DecoupledChatbot.prototype.startRefineFlow = function () {
+    if (!this.refineTarget) {
+      this.showRefinePicker();
+      return;
+    }
+
+    this.addMessage(Drupal.t('What would you like to change in **!label**? For example "add a subtitle field", "make tags required" or "rename Author Name to Byline".', { '!label': this.refineTarget.label }), 'bot', false, true);
+    this.input.focus();
+  };
+
+  /**
+   * Lists the site's content types as buttons that start refining them.
+   */
+  DecoupledChatbot.prototype.showRefinePicker = function () {
+    this.setStatus(Drupal.t('Loading content types…'));
+
+    return window.DecoupledChatbotTransport.request(this.getEndpoint('content-types'))
+      .then(data => window.DecoupledChatbotTransport.checkShape(data, { node: 'array', paragraph: 'array?' }))
+      .then(data => {
+        this.setStatus('');
+        const actions = data.node.map(type => ({ label: type.label, command: `/refine ${type.id}` }))
+          .concat((data.paragraph || []).map(type => ({ label: `${type.label} (${Drupal.t('paragraph')})`, command: `/refine paragraph.${type.id}` })));
+        const text = actions.length
+          ? Drupal.t('Which content type do you want to refine?')
+          : Drupal.t('This site has no content types to refine yet.');
+
+        this.addResponse({
+          response: text,
+          parts: [
+            { type: 'text', content: text },
+            { type: 'actions', items: actions }
+          ]
+        }, { uiOnly: true });
+      })
+      .catch(error => {
+        console.error('Content types error:', error);
+        this.setStatus('');
+        this.addMessage(Drupal.t('Sorry, I could not load the content types. Type /refine followed by the machine name instead.'), 'bot', true);
+      });
+  };
+
+  DecoupledChatbot.prototype.handleRefineMessage = function (message, history) {
+    if (!this.refineTarget) {
+      this.setSendingState(false);
+      this.showRefinePicker();
+      return;
+    }
+
+    this.callRefineAPI(message, history)
+      .then(response => {
+        if (response.target) {
+          this.refineTarget = response.target;
+        }
+        this.setSendingState(false);
+        this.dispatch('response-received', {
+          message: message,
+          response: response.response,
+          mode: 'refine-model',
+          data: response
+        });
+
+        if (response.changes && response.changes.length) {
+          this.addResponse(response, {
+            refine: { target: this.refineTarget, changes: response.changes, status: 'pending' }
+          });
+          this.announce(Drupal.t('Review the proposed changes, then apply or discard them.'));
+        } else {
+          this.addResponse(response);
+        }
+        this.input.focus();
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') {
+          if (error.reason !== 'reset') {
+            this.setSendingState(false);
+          }
+          return;
+        }
+
+        console.error('Refine model error:', error);
+        this.dispatch('error', { message: message, mode: 'refine-model', error: error.message });
+        this.setSendingState(false);
+
+        // The content type is gone, e.g. after undoing its import
+        if (error.status === 400) {
+          this.refineTarget = null;
+          this.addMessage(Drupal.t('I could not find that content type.'), 'bot', true);
+          this.showRefinePicker();
+          return;
+        }
+
+        this.addMessage(error.name === 'TimeoutError'
+          ? Drupal.t('Sorry, the response took too long. Please try again.')
+          : Drupal.t('Sorry, I encountered an error while preparing the changes. Please try again.'), 'bot', true);
+      });
+  };
+
+  /**
+   * Renders the Apply and Discard buttons of proposed content type changes.
+   *
+   * The before/after summary itself is a "changes" part of the reply.
+   */
+  DecoupledChatbot.prototype.renderRefineReview = function (entry, container) {
+    const refine = entry.refine;
+    container.innerHTML = '';
+
+    const actions = document.createElement('div');
+    actions.className = 'review-actions';
+    if (refine.status === 'pending') {
+      const applyBtn = document.createElement('button');
+      applyBtn.type = 'button';
+      applyBtn.className = 'review-approve';
+      applyBtn.textContent = Drupal.t('Apply changes');
+      applyBtn.addEventListener('click', () => {
+        this.applyRefineChanges(entry, container);
+      });
+
+      const discardBtn = document.createElement('button');
+      discardBtn.type = 'button';
+      discardBtn.className = 'review-cancel';
+      discardBtn.textContent = Drupal.t('Discard');
+      discardBtn.addEventListener('click', () => {
+        refine.status = 'discarded';
+        this.renderRefineReview(entry, container);
+        this.addMessage(Drupal.t('No problem, nothing was changed.'), 'bot', false, true);
+      });
+
+      actions.appendChild(applyBtn);
+      actions.appendChild(discardBtn);
+    } else {
+      const status = document.createElement('span');
+      status.className = 'review-status';
+      status.textContent = {
+        applying: Drupal.t('Applying…'),
+        applied: Drupal.t('Applied'),
+        discarded: Drupal.t('Discarded')
+      }[refine.status] || '';
+      actions.appendChild(status);
+    }
+    container.appendChild(actions);
+  };
+
+  DecoupledChatbot.prototype.applyRefineChanges = function (entry, container) {
+    const refine = entry.refine;
+    refine.status = 'applying';
+    this.renderRefineReview(entry, container);
+    this.setSendingState(true);
+
+    this.callRefineApplyAPI(refine.target, refine.changes)
+      .then(response => {
+        refine.status = 'applied';
+        this.renderRefineReview(entry, container);
+        this.resetSiteModel();
+        if (response.target) {
+          this.refineTarget = response.target;
+        }
+        this.setSendingState(false);
+        this.dispatch('response-received', {
+          response: response.response,
+          mode: 'refine-model',
+          data: response
+        });
+        this.addResponse(response);
+        this.saveSession();
+      })
+      .catch(error => {
+        console.error('Refine model apply error:', error);
+        this.dispatch('error', { mode: 'refine-model', error: error.message });
+        refine.status = 'pending';
+        this.renderRefineReview(entry, container);
+        this.setSendingState(false);
+        this.addMessage(error.name === 'TimeoutError'
+          ? Drupal.t('Sorry, applying the changes is taking too long. Check the content type before applying again.')
+          : Drupal.t('Sorry, the changes could not be applied. You can apply again or discard them.'), 'bot', true);
+      });
+  };
+
+  /**
+   * Asks for a GraphQL query; the mode stays active for follow-up changes.
+   */
+  DecoupledChatbot.prototype.handleGraphQLMessage = function (message, history) {
+    this.callChatAPI(message, history, null, 'graphql-query')
+      .then(response => {
+        this.setSendingState(false);
+        this.dispatch('response-received', {
+          message: message,
+          response: response.response,
+          mode: 'graphql-query',
+          data: response
+        });
+        this.addResponse(response);
+        this.input.focus();
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') {
+          if (error.reason !== 'reset') {
+            this.setSendingState(false);
+          }
+          return;
+        }
+
+        console.error('GraphQL query error:', error);
+        this.dispatch('error', { message: message, mode: 'graphql-query', error: error.message });
+        this.setSendingState(false);
+        this.addMessage(error.name === 'TimeoutError'
+          ? Drupal.t('Sorry, the response took too long. Please try again.')
+          : Drupal.t('Sorry, I could not write that query. Please try again.'), 'bot', true);
+        this.input.focus();
+      });
+  };
+
+  /**
+   * Runs a query against the GraphQL Compose endpoint with the session.
+   *
+   * @param {string} query
+   *   The query.
+   *
+   * @return {Promise<object>}
+   *   The GraphQL response, with 'data' and/or 'errors'.
+   */
+  DecoupledChatbot.prototype.runGraphQLQuery = function (query) {
+    return window.DecoupledChatbotTransport.request(this.settings.graphqlEndpoint, { body: { query: query } })
+      .then(data => window.DecoupledChatbotTransport.checkShape(data, { data: 'object?', errors: 'array?' }));
+  };
+
+  DecoupledChatbot.prototype.handleQuestionAnswerMessage = function (message, history) {
+    const mode = this.currentMode || this.getDefaultMode();
+
+    // Send to regular chat API, rendering the reply as it streams in
+    let stream = null;
+    this.callChatAPI(message, history, chunk => {
+      stream = stream || this.beginStreamingMessage();
+      this.appendStreamingChunk(stream, chunk);
+    })
+      .then(response => {
+        this.endStreamingMessage(stream);
+        this.addResponse(response);
+        this.setSendingState(false);
+        this.dispatch('response-received', {
+          message: message,
+          response: response.response,
+          mode: mode,
+          data: response
+        });
+        // Keep buttons disabled after Q&A completion, keep input enabled for follow-up
+        this.completeMode(response);
+        this.input.focus();
+      })
+      .catch(error => {
+        this.endStreamingMessage(stream);
+        if (error.name === 'AbortError') {
+          if (error.reason !== 'reset') {
+            // Keep whatever arrived before the reply was stopped
+            if (stream && stream.text) {
+              this.addMessage(stream.text, 'bot');
+            }
+            this.setSendingState(false);
+          }
+          return;
+        }
+
+        console.error('Chat API error:', error);
+        this.dispatch('error', { message: message, mode: mode, error: error.message });
+        this.addMessage(error.name === 'TimeoutError'
+          ? Drupal.t('Sorry, the response took too long. Please try again.')
+          : Drupal.t('Sorry, I encountered an error. Please try again later.'), 'bot', true);
+        this.setSendingState(false);
+        // On error, allow user to try the buttons again
+        this.enableActionButtons();
+        this.setMode(null);
+        this.input.focus();
+      });
+  };
+
+  DecoupledChatbot.prototype.addMessage = function (content, sender, isError = false, uiOnly = false) {
+    const entry = {
+      content: content,
+      sender: sender,
+      timestamp: Date.now(),
+      isError: isError,
+      uiOnly: uiOnly,
+      mode: this.currentMode
+    };
+
+    this.announceMessage(this.renderMessage(entry));
 
     // Store in history
-    this.messageHistory.push({
+    this.messageHistory.push(entry);
+    this.saveSession();
+  };
+
+  DecoupledChatbot.prototype.addMessageWithStartOver = function (content, sender, isError = false) {
+    const entry = {
       content: content,
       sender: sender,
       timestamp: Date.now(),
-      isError: isError
-    });
+      isError: isError,
+      startOver: true,
+      mode: this.currentMode
+    };
+
+    this.announceMessage(this.renderMessage(entry));
+
+    // Store in history
+    this.messageHistory.push(entry);
+    this.saveSession();
+  };
+
+  /**
+   * Adds a bot reply from /api/chat response data.
+   *
+   * The reply is kept as Markdown in 'content' for history, copying and
+   * transcripts; its typed 'parts', if any, are what gets rendered.
+   *
+   * @param {object} response
+   *   The response data, with a 'response' string and optional 'parts'.
+   * @param {object} options
+   *   (optional)
+   *   - startOver: Show the "Start Over" button below the reply.
+   *   - uiOnly: The reply was built in the browser; it is not sent back as
+   *     history or rated.
+   *   - refine: Proposed content type changes to review, see
+   *     renderRefineReview().
+   *
+   * A 'changeset' id in the response adds an "Undo this import" button.
+   */
+  DecoupledChatbot.prototype.addResponse = function (response, options = {}) {
+    const entry = {
+      content: response.response,
+      sender: 'bot',
+      timestamp: Date.now(),
+      isError: false,
+      uiOnly: !!options.uiOnly,
+      startOver: !!options.startOver,
+      mode: this.currentMode
+    };
+    if (options.refine) {
+      entry.refine = options.refine;
+    }
+    if (Array.isArray(response.parts) && response.parts.length) {
+      entry.parts = response.parts;
+    }
+    // Content model imports can be undone, see renderUndo()
+    if (response.changeset) {
+      entry.changeset = { id: response.changeset, status: 'applied' };
+    }
+
+    this.announceMessage(this.renderMessage(entry));
+
+    // Store in history
+    this.messageHistory.push(entry);
+    this.saveSession();
+  };
+
+  /**
+   * Announces a newly added bot message to screen readers.
+   */
+  DecoupledChatbot.prototype.announceMessage = function (messageDiv) {
+    if (messageDiv.classList.contains('bot-message')) {
+      this.announce(messageDiv.querySelector('.message-content').textContent.trim());
+    }
   };
 
-  DecoupledChatbot.prototype.addMessageWithStartOver = function (content, sender, isError = false) {
+  /**
+   * Renders a message history entry into the messages area.
+   */
+  DecoupledChatbot.prototype.renderMessage = function (entry) {
+    const sender = entry.sender;
+
     const messageDiv = document.createElement('div');
-    messageDiv.className = `dc-chatbot-message ${sender}-message${isError ? ' error-message' : ''}`;
+    messageDiv.className = `dc-chatbot-message ${sender}-message${entry.isError ? ' error-message' : ''}`;
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'message-content';
 
-    // Render markdown for bot messages, plain text for user messages
+    // Render typed parts or markdown for bot messages, plain text for user
+    // messages. Replies from older servers only have the markdown.
     if (sender === 'bot') {
-      contentDiv.innerHTML = this.parseMarkdown(content);
+      if (!entry.parts || !this.renderParts(entry, contentDiv)) {
+        contentDiv.innerHTML = this.parseMarkdown(entry.content);
+      }
     } else {
-      contentDiv.textContent = content;
+      contentDiv.textContent = entry.content;
+    }
+
+    // Content model proposals awaiting approval
+    if (entry.review) {
+      const reviewDiv = document.createElement('div');
+      reviewDiv.className = 'chatbot-review';
+      this.renderModelReview(entry, reviewDiv);
+      contentDiv.appendChild(reviewDiv);
+    }
+
+    // Content type changes awaiting approval
+    if (entry.refine) {
+      const refineDiv = document.createElement('div');
+      refineDiv.className = 'chatbot-review chatbot-refine-review';
+      this.renderRefineReview(entry, refineDiv);
+      contentDiv.appendChild(refineDiv);
+    }
+
+    // Imports that can still be undone
+    if (entry.changeset) {
+      const undoDiv = document.createElement('div');
+      undoDiv.className = 'chatbot-undo';
+      this.renderUndo(entry, undoDiv);
+      contentDiv.appendChild(undoDiv);
     }
 
     // Add "Start Over" button for bot messages
-    if (sender === 'bot') {
+    if (entry.startOver && sender === 'bot') {
       const startOverDiv = document.createElement('div');
       startOverDiv.className = 'start-over-container';
       startOverDiv.style.marginTop = '12px';
       startOverDiv.style.textAlign = 'center';
 
       const startOverBtn = document.createElement('button');
+      startOverBtn.type = 'button';
       startOverBtn.className = 'start-over-btn';
-      startOverBtn.textContent = 'Start Over';
+      startOverBtn.textContent = Drupal.t('Start Over');
       startOverBtn.style.cssText = `
         padding: 8px 16px;
         border: none;
@@ -449,173 +2333,903 @@
 
     const timeDiv = document.createElement('div');
     timeDiv.className = 'message-time';
-    timeDiv.textContent = this.formatTime(new Date());
+    timeDiv.textContent = this.formatTime(new Date(entry.timestamp));
+
+    // Bot replies can be copied as their original Markdown
+    if (sender === 'bot' && !entry.isError && !entry.uiOnly) {
+      const copyBtn = document.createElement('button');
+      copyBtn.type = 'button';
+      copyBtn.className = 'message-copy';
+      copyBtn.textContent = Drupal.t('Copy');
+      copyBtn.setAttribute('aria-label', Drupal.t('Copy message'));
+      copyBtn.addEventListener('click', () => {
+        this.copyMessage(entry, copyBtn);
+      });
+      timeDiv.appendChild(copyBtn);
+    }
 
     messageDiv.appendChild(contentDiv);
     messageDiv.appendChild(timeDiv);
 
+    // Answers can be rated; reviews have their own Approve/Cancel step
+    if (sender === 'bot' && !entry.isError && !entry.uiOnly && !entry.review && !entry.refine) {
+      const feedbackDiv = document.createElement('div');
+      feedbackDiv.className = 'message-feedback';
+      this.renderFeedback(entry, feedbackDiv);
+      messageDiv.appendChild(feedbackDiv);
+    }
+
     this.messages.appendChild(messageDiv);
 
     // Scroll to bottom
     this.messages.scrollTop = this.messages.scrollHeight;
 
-    // Store in history
-    this.messageHistory.push({
-      content: content,
-      sender: sender,
-      timestamp: Date.now(),
-      isError: isError
+    return messageDiv;
+  };
+
+  /**
+   * Renders the typed parts of a reply, skipping those it cannot render.
+   *
+   * @return {number}
+   *   The number of parts rendered.
+   */
+  DecoupledChatbot.prototype.renderParts = function (entry, container) {
+    let rendered = 0;
+
+    entry.parts.forEach(part => {
+      const render = part && typeof part.type === 'string' ? DecoupledChatbot.getPartRenderer(part.type) : null;
+      if (!render) {
+        return;
+      }
+
+      const partDiv = document.createElement('div');
+      partDiv.className = `chatbot-part chatbot-part-${part.type}`;
+      if (render.call(this, part, partDiv, entry) !== false) {
+        container.appendChild(partDiv);
+        rendered++;
+      }
+    });
+
+    return rendered;
+  };
+
+  /**
+   * Creates an empty bot message that grows as streamed chunks arrive.
+   *
+   * The loading indicator is replaced by this message as soon as the first
+   * chunk is received.
+   */
+  DecoupledChatbot.prototype.beginStreamingMessage = function () {
+    this.hideLoading();
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'dc-chatbot-message bot-message streaming-message';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+
+    messageDiv.appendChild(contentDiv);
+    this.messages.appendChild(messageDiv);
+
+    return {
+      element: messageDiv,
+      content: contentDiv,
+      text: ''
+    };
+  };
+
+  DecoupledChatbot.prototype.appendStreamingChunk = function (stream, chunk) {
+    stream.text += chunk;
+    stream.content.innerHTML = this.parseMarkdown(stream.text);
+
+    // Scroll to bottom
+    this.messages.scrollTop = this.messages.scrollHeight;
+  };
+
+  DecoupledChatbot.prototype.endStreamingMessage = function (stream) {
+    // The final reply is rendered (and stored in history) as a regular message
+    if (stream && stream.element.parentNode) {
+      stream.element.parentNode.removeChild(stream.element);
+    }
+  };
+
+  /**
+   * Renders the thumbs up/down buttons, or the thanks once feedback is sent.
+   */
+  DecoupledChatbot.prototype.renderFeedback = function (entry, container) {
+    container.innerHTML = '';
+
+    if (entry.feedback && entry.feedback.sent) {
+      const thanks = document.createElement('span');
+      thanks.className = 'feedback-thanks';
+      thanks.textContent = `${entry.feedback.rating > 0 ? '👍' : '👎'} ${Drupal.t('Thanks for your feedback!')}`;
+      container.appendChild(thanks);
+      return;
+    }
+
+    const selected = entry.feedback ? entry.feedback.rating : 0;
+    [[1, '👍', Drupal.t('Helpful answer')], [-1, '👎', Drupal.t('Unhelpful answer')]].forEach(([rating, icon, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'feedback-btn';
+      button.textContent = icon;
+      button.setAttribute('aria-label', label);
+      button.setAttribute('title', label);
+      button.setAttribute('aria-pressed', selected === rating ? 'true' : 'false');
+      button.addEventListener('click', () => {
+        entry.feedback = { rating: rating };
+        this.renderFeedback(entry, container);
+        const comment = container.querySelector('.feedback-comment');
+        if (comment) {
+          comment.focus();
+        }
+      });
+      container.appendChild(button);
+    });
+
+    if (!selected) {
+      return;
+    }
+
+    // The comment is optional; the rating is only saved on send
+    const form = document.createElement('div');
+    form.className = 'feedback-form';
+
+    const comment = document.createElement('textarea');
+    comment.className = 'feedback-comment';
+    comment.rows = 2;
+    comment.maxLength = 2000;
+    comment.placeholder = selected > 0 ? Drupal.t('What was helpful? (optional)') : Drupal.t('What was wrong or missing? (optional)');
+    comment.setAttribute('aria-label', Drupal.t('Feedback comment (optional)'));
+
+    const sendBtn = document.createElement('button');
+    sendBtn.type = 'button';
+    sendBtn.className = 'feedback-send';
+    sendBtn.textContent = Drupal.t('Send feedback');
+    sendBtn.addEventListener('click', () => {
+      sendBtn.disabled = true;
+      this.sendFeedback(entry, selected, comment.value.trim())
+        .then(() => {
+          entry.feedback = { rating: selected, sent: true };
+          this.saveSession();
+          this.renderFeedback(entry, container);
+          this.announce(Drupal.t('Thanks for your feedback!'));
+        })
+        .catch(error => {
+          console.error('Decoupled Drupal Chatbot: Failed to send feedback', error);
+          sendBtn.disabled = false;
+          sendBtn.textContent = Drupal.t('Try again');
+          this.announce(Drupal.t('Your feedback could not be sent.'));
+        });
+    });
+
+    form.appendChild(comment);
+    form.appendChild(sendBtn);
+    container.appendChild(form);
+  };
+
+  /**
+   * Posts a rating for a bot answer to the feedback endpoint.
+   */
+  DecoupledChatbot.prototype.sendFeedback = function (entry, rating, comment) {
+    return window.DecoupledChatbotTransport.request(this.getEndpoint('feedback'), {
+      body: {
+        question: this.getQuestionFor(entry),
+        answer: entry.content,
+        mode: entry.mode || this.getDefaultMode(),
+        rating: rating,
+        comment: comment
+      }
+    });
+  };
+
+  /**
+   * Returns the user message a bot answer replied to, if any.
+   */
+  DecoupledChatbot.prototype.getQuestionFor = function (entry) {
+    for (let i = this.messageHistory.indexOf(entry) - 1; i >= 0; i--) {
+      const previous = this.messageHistory[i];
+      if (previous.sender === 'user') {
+        return previous.content;
+      }
+    }
+    return '';
+  };
+
+  DecoupledChatbot.prototype.copyMessage = function (entry, button) {
+    Drupal.dcClipboard.copyText(entry.content)
+      .then(() => {
+        button.textContent = Drupal.t('Copied!');
+        this.announce(Drupal.t('Message copied to the clipboard.'));
+      })
+      .catch(error => {
+        console.error('Decoupled Drupal Chatbot: Failed to copy', error);
+        button.textContent = Drupal.t('Failed');
+        this.announce(Drupal.t('The message could not be copied.'));
+      })
+      .then(() => {
+        setTimeout(() => {
+          button.textContent = Drupal.t('Copy');
+        }, 2000);
+      });
+  };
+
+  /**
+   * Downloads the conversation as a Markdown or JSON file.
+   *
+   * @param {string} format
+   *   Either 'markdown' or 'json'.
+   */
+  DecoupledChatbot.prototype.exportTranscript = function (format) {
+    if (!this.messageHistory.length) {
+      this.announce(Drupal.t('There is no conversation to export yet.'));
+      return;
+    }
+
+    const exportedAt = new Date();
+    const stamp = exportedAt.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    const filename = `chatbot-transcript-${stamp}.${format === 'json' ? 'json' : 'md'}`;
+
+    try {
+      if (format === 'json') {
+        Drupal.dcClipboard.downloadFile(this.getTranscriptJson(exportedAt), filename, 'application/json');
+      } else {
+        Drupal.dcClipboard.downloadFile(this.getTranscriptMarkdown(exportedAt), filename, 'text/markdown');
+      }
+      this.announce(Drupal.t('Conversation exported.'));
+    }
+    catch (error) {
+      console.error('Decoupled Drupal Chatbot: Failed to export', error);
+      this.announce(Drupal.t('The conversation could not be exported.'));
+    }
+  };
+
+  DecoupledChatbot.prototype.getTranscriptJson = function (exportedAt) {
+    return JSON.stringify({
+      exportedAt: exportedAt.toISOString(),
+      spaceId: this.getSpaceId(),
+      messages: this.messageHistory.map(entry => {
+        const message = {
+          sender: entry.sender,
+          content: entry.content,
+          timestamp: new Date(entry.timestamp).toISOString(),
+          mode: entry.mode || null
+        };
+        if (entry.isError) {
+          message.isError = true;
+        }
+        if (entry.review) {
+          message.review = entry.review;
+        }
+        if (entry.parts) {
+          message.parts = entry.parts;
+        }
+        return message;
+      })
+    }, null, 2);
+  };
+
+  DecoupledChatbot.prototype.getTranscriptMarkdown = function (exportedAt) {
+    const lines = [
+      `# ${Drupal.t('Decoupled Drupal Chat transcript')}`,
+      '',
+      Drupal.t('Exported !date', { '!date': exportedAt.toISOString() }),
+      ''
+    ];
+
+    this.messageHistory.forEach(entry => {
+      const mode = entry.mode ? ` (${entry.mode})` : '';
+      lines.push(`## ${entry.sender === 'user' ? Drupal.t('You') : Drupal.t('Assistant')} · ${new Date(entry.timestamp).toISOString()}${mode}`);
+      lines.push('');
+      lines.push(entry.content);
+      if (entry.review) {
+        lines.push('');
+        lines.push(`_${Drupal.t('Proposed content model: !status', { '!status': entry.review.status })}_`);
+      }
+      lines.push('');
     });
+
+    return lines.join('\n');
   };
 
   DecoupledChatbot.prototype.startOver = function () {
+    this.cancelRequest('reset');
+    this.setSendingState(false);
+
     // Clear all messages except the welcome message
-    const welcomeMessage = this.messages.querySelector('#dc-chatbot-welcome');
+    const welcomeMessage = this.messages.querySelector('.dc-chatbot-welcome');
     this.messages.innerHTML = '';
     if (welcomeMessage) {
       this.messages.appendChild(welcomeMessage);
     }
 
     // Add the initial options back
-    const initialOptionsClone = this.initialOptions.cloneNode(true);
-    this.messages.appendChild(initialOptionsClone);
+    this.messages.appendChild(this.initialOptions);
 
-    // Re-bind action button events for the cloned buttons
-    const actionButtons = initialOptionsClone.querySelectorAll('.chatbot-action-btn');
-    actionButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        const action = button.getAttribute('data-action');
-        this.handleActionButton(action);
+    // Reset state
+    this.setMode(null);
+    this.modelContentStep = null;
+    this.refineTarget = null;
+    this.messageHistory = [];
+    this.clearSession();
+
+    // Return to initial state: buttons and input enabled
+    this.enableInput();
+    this.enableActionButtons();
+
+    // Clear input
+    this.input.value = '';
+    this.input.placeholder = DecoupledChatbot.defaultPlaceholder;
+    this.hideCommandMenu();
+
+    // Update welcome time
+    this.updateWelcomeTime();
+
+    // Scroll to top
+    this.messages.scrollTop = 0;
+    this.focusPanel();
+  };
+
+  DecoupledChatbot.prototype.setSendingState = function (sending) {
+    this.isSending = sending;
+    this.sendBtn.disabled = sending;
+    this.input.disabled = sending;
+    this.messages.setAttribute('aria-busy', sending ? 'true' : 'false');
+
+    // Disabling the input drops focus; bring it back once replies can be sent
+    if (!sending && this.isOpen && this.hasLostFocus()) {
+      this.focusPanel();
+    }
+
+    if (sending) {
+      this.showLoading();
+    } else {
+      this.hideLoading();
+    }
+  };
+
+  DecoupledChatbot.prototype.showLoading = function () {
+    console.log('Decoupled Drupal Chatbot: Showing loading');
+    if (this.loading) {
+      // Add loading indicator to messages area
+      this.messages.appendChild(this.loading);
+      this.loading.setAttribute('aria-hidden', 'false');
+      this.loading.style.display = 'block';
+      this.announce(Drupal.t('The assistant is typing…'));
+
+      // Scroll to bottom to show loading
+      this.messages.scrollTop = this.messages.scrollHeight;
+    }
+  };
+
+  DecoupledChatbot.prototype.hideLoading = function () {
+    console.log('Decoupled Drupal Chatbot: Hiding loading');
+    if (this.loading && this.loading.parentNode === this.messages) {
+      this.loading.setAttribute('aria-hidden', 'true');
+      this.loading.style.display = 'none';
+
+      // Remove from messages area
+      this.messages.removeChild(this.loading);
+    }
+  };
+
+  /**
+   * Builds the window of prior turns sent along with a question.
+   *
+   * Walks back from the most recent message, skipping errors and UI-only
+   * prompts, until either the turn limit or the approximate token budget
+   * (roughly four characters per token) is reached.
+   */
+  DecoupledChatbot.prototype.getConversationHistory = function () {
+    const history = [];
+    let budget = this.settings.historyTokenBudget;
+
+    for (let i = this.messageHistory.length - 1; i >= 0 && history.length < this.settings.historyMaxTurns; i--) {
+      const entry = this.messageHistory[i];
+      if (entry.isError || entry.uiOnly) {
+        continue;
+      }
+
+      const tokens = Math.ceil(entry.content.length / 4);
+      if (tokens > budget) {
+        break;
+      }
+      budget -= tokens;
+
+      history.unshift({
+        role: entry.sender === 'user' ? 'user' : 'assistant',
+        content: entry.content
+      });
+    }
+
+    return history;
+  };
+
+  /**
+   * Sends a message to the chat endpoint, streaming the reply.
+   *
+   * @param {string} message
+   *   The user message.
+   * @param {Array} history
+   *   Prior turns, see getConversationHistory().
+   * @param {function} onChunk
+   *   (optional) Receives streamed text as it arrives.
+   * @param {string} mode
+   *   (optional) The mode id. Defaults to the active or default mode.
+   *
+   * @return {Promise<object>}
+   *   The response data, with at least a 'response' string.
+   */
+  DecoupledChatbot.prototype.callChatAPI = function (message, history, onChunk, mode) {
+    mode = mode || this.currentMode || this.getDefaultMode();
+    const definition = DecoupledChatbot.getMode(mode);
+    const siteModel = definition && definition.siteModel ? this.getSiteModel() : Promise.resolve(null);
+
+    return siteModel.then(model => this.postChat({
+      message: message,
+      mode: mode,
+      history: history || [],
+      siteModel: model || undefined,
+      stream: true
+    }, onChunk, {
+      shape: { response: 'string', parts: 'array?', proposal: 'object?', warnings: 'array?' }
+    }));
+  };
+
+  DecoupledChatbot.prototype.callModelContentAPI = function (contentDescription, onChunk) {
+    return this.callChatAPI(contentDescription, [], onChunk, 'model-content');
+  };
+
+  DecoupledChatbot.prototype.callModelContentImportAPI = function (config) {
+    // Importing twice would duplicate the content model, so never retry it
+    return this.postChat({
+      mode: 'model-content',
+      step: 'import',
+      config: config
+    }, null, { retry: false, stoppable: false });
+  };
+
+  DecoupledChatbot.prototype.callModelContentPreviewAPI = function (config) {
+    return this.postChat({
+      mode: 'model-content',
+      step: 'preview',
+      config: config
+    }, null, {
+      shape: { response: 'string', proposal: 'object?', warnings: 'array?', errors: 'array?' }
+    });
+  };
+
+  DecoupledChatbot.prototype.callRefineAPI = function (message, history) {
+    return this.postChat({
+      message: message,
+      mode: 'refine-model',
+      step: 'propose',
+      history: history || [],
+      target: { entity: this.refineTarget.entity, bundle: this.refineTarget.bundle }
+    }, null, {
+      shape: { response: 'string', parts: 'array?', changes: 'array?', target: 'object?' }
+    });
+  };
+
+  DecoupledChatbot.prototype.callRefineApplyAPI = function (target, changes) {
+    // Applied changes could be applied twice, so never retry
+    return this.postChat({
+      mode: 'refine-model',
+      step: 'apply',
+      target: { entity: target.entity, bundle: target.bundle },
+      changes: changes
+    }, null, { retry: false, stoppable: false });
+  };
+
+  /**
+   * Returns the URL of the chat endpoint, or of one of its sub-paths.
+   *
+   * @param {string} path
+   *   (optional) A sub-path such as 'feedback'.
+   */
+  DecoupledChatbot.prototype.getEndpoint = function (path) {
+    const endpoint = this.settings.apiEndpoint.replace(/\/$/, '');
+    return path ? `${endpoint}/${path}` : endpoint;
+  };
+
+  /**
+   * Posts a request to the chat endpoint and reads the reply.
+   *
+   * The language and page context are added to the body. Requests go
+   * through DecoupledChatbotTransport, which adds the CSRF token.
+   *
+   * Gives up after settings.requestTimeout without receiving anything,
+   * rejecting with a TimeoutError. Network errors and 502/503/504 responses
+   * are retried with exponential backoff, 429 responses after their
+   * Retry-After delay. While the browser is offline the request is queued
+   * until the connection returns. A request stopped with cancelRequest()
+   * rejects with an AbortError whose reason is the one passed.
+   *
+   * @param {object} body
+   *   The JSON request body.
+   * @param {function} onChunk
+   *   (optional) Receives streamed text as it arrives.
+   * @param {object} options
+   *   (optional)
+   *   - retry: Set to false for requests that must not be repeated.
+   *   - stoppable: Set to false to keep the request out of reach of the
+   *     Stop button, closing the panel and "Start Over".
+   *   - shape: Expected response properties, see
+   *     DecoupledChatbotTransport.checkShape(). Defaults to a 'response'
+   *     string and an optional 'parts' list.
+   *
+   * @return {Promise<object>}
+   *   The response data.
+   */
+  DecoupledChatbot.prototype.postChat = function (body, onChunk, options = {}) {
+    body = Object.assign({
+      language: this.getLanguage(),
+      context: {
+        spaceId: this.getSpaceId(),
+        timestamp: Date.now()
+      }
+    }, body);
+
+    const request = {
+      controller: new AbortController(),
+      reason: null,
+      timer: null
+    };
+    const signal = request.controller.signal;
+    const maxRetries = options.retry === false ? 0 : this.settings.maxRetries;
+
+    if (options.stoppable !== false) {
+      this.activeRequest = request;
+      this.toggleStopButton(true);
+    }
+
+    // The timeout counts from the last sign of life
+    const touch = () => {
+      clearTimeout(request.timer);
+      if (this.settings.requestTimeout > 0) {
+        request.timer = setTimeout(() => {
+          this.abortRequest(request, 'timeout');
+        }, this.settings.requestTimeout);
+      }
+    };
+
+    const retry = (retries, delay) => {
+      clearTimeout(request.timer);
+      this.setStatus(Drupal.formatPlural(Math.ceil(delay / 1000), 'Connection problem. Retrying in 1 second…', 'Connection problem. Retrying in @count seconds…'));
+      return this.wait(delay, signal).then(() => attempt(retries + 1));
+    };
+
+    const attempt = (retries) => {
+      if (navigator.onLine === false) {
+        clearTimeout(request.timer);
+        this.setStatus(Drupal.t('You are offline. Your message will be sent when the connection returns.'));
+        return this.waitForOnline(signal).then(() => attempt(retries));
+      }
+
+      this.setStatus('');
+      touch();
+
+      return window.DecoupledChatbotTransport.send(this.getEndpoint(), {
+        body: body,
+        accept: 'application/x-ndjson, application/json',
+        signal: signal
+      })
+        .then(response => {
+          const delay = this.getRetryDelay(response, retries);
+          if (delay !== null && retries < maxRetries && delay <= this.settings.retryMaxDelay) {
+            return retry(retries, delay);
+          }
+
+          touch();
+          return window.DecoupledChatbotTransport.parse(response, chunk => {
+            touch();
+            if (onChunk) {
+              onChunk(chunk);
+            }
+          });
+        }, error => {
+          // send() itself only rejects when aborted or on network failure
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+          if (navigator.onLine === false) {
+            return attempt(retries);
+          }
+          if (retries < maxRetries) {
+            return retry(retries, this.getBackoffDelay(retries));
+          }
+          throw error;
+        });
+    };
+
+    return attempt(0)
+      .then(data => window.DecoupledChatbotTransport.checkShape(data, options.shape || { response: 'string', parts: 'array?' }))
+      .catch(error => {
+        if (!request.reason) {
+          throw error;
+        }
+
+        const reason = request.reason;
+        error = new Error(reason === 'timeout' ? 'The request timed out' : 'The request was cancelled');
+        error.name = reason === 'timeout' ? 'TimeoutError' : 'AbortError';
+        error.reason = reason;
+        throw error;
+      })
+      .finally(() => {
+        clearTimeout(request.timer);
+        if (this.activeRequest === request) {
+          this.activeRequest = null;
+          this.toggleStopButton(false);
+          this.setStatus('');
+        }
       });
+  };
+
+  /**
+   * Cancels the pending request, if any.
+   *
+   * @param {string} reason
+   *   Why the request is cancelled: 'stop', 'close' or 'reset'.
+   *
+   * @return {boolean}
+   *   TRUE if a request was cancelled.
+   */
+  DecoupledChatbot.prototype.cancelRequest = function (reason) {
+    if (!this.activeRequest) {
+      return false;
+    }
+
+    this.abortRequest(this.activeRequest, reason || 'stop');
+    return true;
+  };
+
+  DecoupledChatbot.prototype.abortRequest = function (request, reason) {
+    if (!request.reason) {
+      request.reason = reason;
+      request.controller.abort();
+    }
+  };
+
+  /**
+   * Returns how long to wait before retrying a response, or null.
+   */
+  DecoupledChatbot.prototype.getRetryDelay = function (response, retries) {
+    if (response.status === 429) {
+      const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+      return retryAfter !== null ? retryAfter : this.getBackoffDelay(retries);
+    }
+
+    if ([502, 503, 504].indexOf(response.status) !== -1) {
+      return this.getBackoffDelay(retries);
+    }
+
+    return null;
+  };
+
+  DecoupledChatbot.prototype.getBackoffDelay = function (retries) {
+    // Jitter keeps many widgets from retrying in lockstep
+    return this.settings.retryDelay * Math.pow(2, retries) + Math.floor(Math.random() * this.settings.retryDelay);
+  };
+
+  /**
+   * Parses a Retry-After header, in seconds or as an HTTP date.
+   *
+   * @return {number|null}
+   *   The delay in milliseconds, or null if the header is missing or invalid.
+   */
+  DecoupledChatbot.prototype.parseRetryAfter = function (value) {
+    if (!value) {
+      return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  };
+
+  /**
+   * Resolves after a delay, or rejects as soon as the signal aborts.
+   */
+  DecoupledChatbot.prototype.wait = function (delay, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
     });
+  };
 
-    // Reset state
-    this.currentMode = null;
-    this.modelContentStep = null;
-    this.messageHistory = [];
+  /**
+   * Resolves when the browser is back online, or rejects if aborted first.
+   */
+  DecoupledChatbot.prototype.waitForOnline = function (signal) {
+    return new Promise((resolve, reject) => {
+      const onOnline = () => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        window.removeEventListener('online', onOnline);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      window.addEventListener('online', onOnline, { once: true });
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  };
 
-    // Return to initial state: buttons enabled, input disabled
-    this.disableInput();
-    this.enableActionButtons();
+  DecoupledChatbot.prototype.toggleStopButton = function (show) {
+    if (!this.stopBtn) {
+      return;
+    }
+    this.stopBtn.hidden = !show;
+    this.sendBtn.hidden = show;
 
-    // Clear input
-    this.input.value = '';
-    this.input.placeholder = 'Type your message...';
+    // Sending disabled the focused control; the Stop button takes its place
+    if (show && this.isOpen && this.hasLostFocus()) {
+      this.stopBtn.focus();
+    }
+  };
 
-    // Update welcome time
-    this.updateWelcomeTime();
+  /**
+   * Shows a short notice above the input, or hides it when text is empty.
+   */
+  DecoupledChatbot.prototype.setStatus = function (text) {
+    if (!this.status) {
+      return;
+    }
+    this.status.textContent = text;
+    this.status.hidden = !text;
+  };
 
-    // Scroll to top
-    this.messages.scrollTop = 0;
+  /**
+   * Returns the storage key for this user's session on this space.
+   *
+   * Each instance keeps its own conversation.
+   */
+  DecoupledChatbot.prototype.getSessionKey = function () {
+    const uid = drupalSettings.user ? drupalSettings.user.uid : 0;
+    const key = `dcChatbot.session.${uid}.${this.getSpaceId()}`;
+    return this.id === 'default' ? key : `${key}.${this.id}`;
   };
 
-  DecoupledChatbot.prototype.setSendingState = function (sending) {
-    this.sendBtn.disabled = sending;
-    this.input.disabled = sending;
+  /**
+   * Saves the conversation and workflow state to browser storage.
+   */
+  DecoupledChatbot.prototype.saveSession = function () {
+    if (!this.settings.sessionLifetime) {
+      return;
+    }
 
-    if (sending) {
-      this.showLoading();
-    } else {
-      this.hideLoading();
+    try {
+      window.localStorage.setItem(this.getSessionKey(), JSON.stringify({
+        savedAt: Date.now(),
+        isOpen: this.isOpen,
+        currentMode: this.currentMode,
+        modelContentStep: this.modelContentStep,
+        refineTarget: this.refineTarget,
+        messageHistory: this.messageHistory
+      }));
+    }
+    catch (e) {
+      // Storage may be unavailable (private browsing) or full.
+      console.warn('Decoupled Drupal Chatbot: Could not save session', e);
     }
   };
 
-  DecoupledChatbot.prototype.showLoading = function () {
-    console.log('Decoupled Drupal Chatbot: Showing loading');
-    if (this.loading) {
-      // Add loading indicator to messages area
-      this.messages.appendChild(this.loading);
-      this.loading.setAttribute('aria-hidden', 'false');
-      this.loading.style.display = 'block';
-
-      // Scroll to bottom to show loading
-      this.messages.scrollTop = this.messages.scrollHeight;
+  /**
+   * Removes the stored session.
+   */
+  DecoupledChatbot.prototype.clearSession = function () {
+    try {
+      window.localStorage.removeItem(this.getSessionKey());
+    }
+    catch (e) {
+      // Nothing stored if storage is unavailable.
     }
   };
 
-  DecoupledChatbot.prototype.hideLoading = function () {
-    console.log('Decoupled Drupal Chatbot: Hiding loading');
-    if (this.loading && this.loading.parentNode === this.messages) {
-      this.loading.setAttribute('aria-hidden', 'true');
-      this.loading.style.display = 'none';
+  /**
+   * Restores a stored session, re-rendering messages and workflow state.
+   *
+   * @return {boolean}
+   *   TRUE if a session was restored.
+   */
+  DecoupledChatbot.prototype.restoreSession = function () {
+    if (!this.settings.sessionLifetime) {
+      return false;
+    }
 
-      // Remove from messages area
-      this.messages.removeChild(this.loading);
+    let session = null;
+    try {
+      session = JSON.parse(window.localStorage.getItem(this.getSessionKey()));
+    }
+    catch (e) {
+      session = null;
     }
-  };
 
-  DecoupledChatbot.prototype.callChatAPI = function (message) {
-    // Call the local Drupal API endpoint
-    return fetch('/api/chat', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        message: message,
-        context: {
-          spaceId: this.getSpaceId(),
-          timestamp: Date.now(),
-        }
-      })
-    })
-      .then(response => {
-        if (!response.ok) {
-          return response.json().then(errorData => {
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-          }).catch(() => {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          });
-        }
-        return response.json();
-      })
-      .then(data => {
-        if (data.error) {
-          throw new Error(data.error);
-        }
-        return data;
-      });
-  };
+    if (!session || !Array.isArray(session.messageHistory)) {
+      return false;
+    }
 
-  DecoupledChatbot.prototype.callModelContentAPI = function (contentDescription) {
-    // For now, use the Drupal endpoint with mode parameter
-    return fetch('/api/chat', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        message: contentDescription,
-        mode: 'model-content',
-        context: {
-          spaceId: this.getSpaceId(),
-          timestamp: Date.now(),
-        }
-      })
-    })
-      .then(response => {
-        if (!response.ok) {
-          return response.json().then(errorData => {
-            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-          }).catch(() => {
-            throw new Error(`HTTP error! status: ${response.status}`);
-          });
-        }
-        return response.json();
-      })
-      .then(data => {
-        if (data.error) {
-          throw new Error(data.error);
-        }
-        return data;
-      });
+    if (Date.now() - session.savedAt > this.settings.sessionLifetime) {
+      this.clearSession();
+      return false;
+    }
+
+    this.messageHistory = session.messageHistory;
+    this.messageHistory.forEach(entry => {
+      // The page was left mid-import; let the user decide again
+      if (entry.review && entry.review.status === 'importing') {
+        entry.review.status = 'pending';
+      }
+      if (entry.refine && entry.refine.status === 'applying') {
+        entry.refine.status = 'pending';
+      }
+      // Likewise mid-undo; the confirmation is fetched again
+      if (entry.changeset && entry.changeset.status !== 'rolled_back') {
+        entry.changeset = { id: entry.changeset.id, status: 'applied' };
+      }
+      this.renderMessage(entry);
+    });
+
+    this.currentMode = session.currentMode || null;
+    this.modelContentStep = session.modelContentStep || null;
+    this.refineTarget = session.refineTarget || null;
+
+    const lastEntry = this.messageHistory[this.messageHistory.length - 1];
+    if (this.modelContentStep === 'review') {
+      // Waiting on Approve or Cancel in the review table
+      this.disableActionButtons();
+      this.disableInput();
+    } else if (this.currentMode) {
+      // Mid-workflow: continue where the user left off
+      this.disableActionButtons();
+      this.enableInput();
+      const mode = DecoupledChatbot.getMode(this.currentMode);
+      this.input.placeholder = (mode && mode.placeholder) || DecoupledChatbot.defaultPlaceholder;
+    } else if (lastEntry && lastEntry.startOver) {
+      // Model content flow finished: only "Start Over" remains
+      this.disableInput();
+      this.hideActionButtons();
+    } else if (lastEntry && lastEntry.isError) {
+      this.enableInput();
+      this.enableActionButtons();
+    } else if (lastEntry) {
+      // Q&A follow-up questions stay enabled
+      this.disableActionButtons();
+      this.enableInput();
+    }
+
+    if (session.isOpen) {
+      this.open();
+    }
+
+    return true;
   };
 
   // Helper method to extract space ID from URL or configuration
   DecoupledChatbot.prototype.getSpaceId = function () {
     // Try to get from drupalSettings first
-    if (drupalSettings.decoupledChatbot && drupalSettings.decoupledChatbot.spaceId) {
-      return drupalSettings.decoupledChatbot.spaceId;
+    if (this.settings.spaceId) {
+      return this.settings.spaceId;
     }
 
     // For ddev.site URLs, return the full hostname
@@ -640,8 +3254,8 @@
   DecoupledChatbot.prototype.getNextjsApiUrl = function () {
     // In development, the Next.js app typically runs on localhost:3333
     // In production, this should be configured via drupalSettings
-    if (drupalSettings.decoupledChatbot && drupalSettings.decoupledChatbot.nextjsApiUrl) {
-      return drupalSettings.decoupledChatbot.nextjsApiUrl;
+    if (this.settings.nextjsApiUrl) {
+      return this.settings.nextjsApiUrl;
     }
 
     // Development fallback
@@ -654,114 +3268,619 @@
   };
 
   DecoupledChatbot.prototype.parseMarkdown = function (text) {
-    // Escape HTML to prevent XSS
-    text = text.replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#039;');
-
-    // Convert newlines to line breaks for processing
-    text = text.replace(/\n/g, '<br>');
-
-    // Parse markdown elements
-    // Bold text **text**
-    text = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-
-    // Italic text *text* (but not at start of line to avoid conflicts with lists)
-    text = text.replace(/(?<!^|\s)\*(.*?)\*/g, '<em>$1</em>');
-
-    // Code `code`
-    text = text.replace(/`(.*?)`/g, '<code>$1</code>');
-
-    // Headers (simple # support)
-    text = text.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-    text = text.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-    text = text.replace(/^# (.*$)/gim, '<h1>$1</h1>');
-
-    // Links [text](url)
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-
-    // Process lists more carefully
-    const lines = text.split('<br>');
-    let result = [];
-    let inList = false;
-    let listType = null;
-
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i].trim();
-
-      // Check if this is a list item
-      const ulMatch = line.match(/^\* (.*)$/);
-      const olMatch = line.match(/^\d+\. (.*)$/);
-
-      if (ulMatch) {
-        // Unordered list item
-        if (!inList || listType !== 'ul') {
-          if (inList) {
-            result.push(`</${listType}>`);
-          }
-          result.push('<ul>');
-          listType = 'ul';
-          inList = true;
-        }
-        result.push(`<li>${ulMatch[1]}</li>`);
-      } else if (olMatch) {
-        // Ordered list item
-        if (!inList || listType !== 'ol') {
-          if (inList) {
-            result.push(`</${listType}>`);
-          }
-          result.push('<ol>');
-          listType = 'ol';
-          inList = true;
-        }
-        result.push(`<li>${olMatch[1]}</li>`);
+    // Site-relative links in replies ("/node/1/edit") honor the base path
+    // and language prefix of this site.
+    const path = drupalSettings.path || {};
+    return window.DecoupledChatbotMarkdown.render(text, {
+      basePath: (path.baseUrl || '/') + (path.pathPrefix || '')
+    });
+  };
+
+  /**
+   * Returns the interface language code, e.g. "de".
+   */
+  DecoupledChatbot.prototype.getLanguage = function () {
+    return (drupalSettings.path && drupalSettings.path.currentLanguage) || document.documentElement.lang || 'en';
+  };
+
+  DecoupledChatbot.prototype.formatTime = function (date) {
+    return date.toLocaleTimeString(this.getLanguage(), {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  /**
+   * Live chatbot instances, keyed by instance id.
+   */
+  const instances = {};
+
+  /**
+   * Returns a live chatbot instance.
+   *
+   * @param {string} id
+   *   (optional) The instance id. Defaults to 'default'.
+   *
+   * @return {DecoupledChatbot|null}
+   *   The instance, or null if it has not been attached.
+   */
+  DecoupledChatbot.getInstance = function (id) {
+    return instances[id || 'default'] || null;
+  };
+
+  DecoupledChatbot.getInstances = function () {
+    return Object.keys(instances).map(id => instances[id]);
+  };
+
+  /**
+   * Registered chatbot modes, keyed by id.
+   */
+  const modes = {};
+
+  /**
+   * The mode used for messages sent outside of any flow.
+   */
+  DecoupledChatbot.defaultMode = 'answer-question';
+
+  /**
+   * Registers a chatbot mode, rendered as an action button in the panel.
+   *
+   * Call this from a library that depends on dc_chatbot/chatbot so the mode
+   * exists before the chatbot behavior attaches. Callbacks run with the
+   * chatbot instance as `this`. The mode id is sent to /api/chat, where a
+   * service tagged dc_chatbot_mode_handler may handle it.
+   *
+   * @param {object} mode
+   *   - id: Unique machine name, sent to /api/chat as "mode".
+   *   - label: Action button text.
+   *   - placeholder: (optional) Input placeholder while the mode is active.
+   *   - weight: (optional) Buttons are ordered by ascending weight.
+   *   - access: (optional) Returns FALSE to hide the mode from the current
+   *     user. The server must refuse the mode for them as well.
+   *   - siteModel: (optional) Whether this.callChatAPI() sends the summary
+   *     of the site's content model along, see getSiteModel().
+   *   - start: (optional) Called when the action button is clicked.
+   *   - onMessage: Called with (message, history) for each user message.
+   *     It must call this.setSendingState(false) once the reply is shown;
+   *     this.callChatAPI() sends the message with this mode's id.
+   *   - onComplete: (optional) Called with the final response data when the
+   *     flow calls this.completeMode().
+   */
+  DecoupledChatbot.registerMode = function (mode) {
+    if (!mode || !mode.id || !mode.label || typeof mode.onMessage !== 'function') {
+      throw new Error('Decoupled Drupal Chatbot: A mode needs an id, a label and an onMessage callback.');
+    }
+    modes[mode.id] = Object.assign({ weight: 0 }, mode);
+  };
+
+  DecoupledChatbot.getMode = function (id) {
+    return (id && modes[id]) || null;
+  };
+
+  DecoupledChatbot.getModes = function () {
+    return Object.keys(modes)
+      .map(id => modes[id])
+      .sort((a, b) => a.weight - b.weight);
+  };
+
+  DecoupledChatbot.registerMode({
+    id: 'model-content',
+    label: Drupal.t('Model Content'),
+    placeholder: Drupal.t('Describe your content type...'),
+    weight: 0,
+    access: function () {
+      return this.settings.modelContentAccess !== false;
+    },
+    start: function () {
+      this.startModelContentFlow();
+    },
+    onMessage: function (message) {
+      this.handleModelContentMessage(message);
+    }
+  });
+
+  DecoupledChatbot.registerMode({
+    id: 'refine-model',
+    label: Drupal.t('Refine a Content Type'),
+    placeholder: Drupal.t('Describe a change, e.g. "add a subtitle field"...'),
+    weight: 5,
+    access: function () {
+      return this.settings.modelContentAccess !== false;
+    },
+    start: function () {
+      this.startRefineFlow();
+    },
+    onMessage: function (message, history) {
+      this.handleRefineMessage(message, history);
+    }
+  });
+
+  DecoupledChatbot.registerMode({
+    id: 'graphql-query',
+    label: Drupal.t('Write a GraphQL Query'),
+    placeholder: Drupal.t('Describe the data you need...'),
+    weight: 20,
+    siteModel: true,
+    access: function () {
+      return !!this.settings.graphqlEndpoint;
+    },
+    start: function () {
+      this.startGraphQLFlow();
+    },
+    onMessage: function (message, history) {
+      this.handleGraphQLMessage(message, history);
+    }
+  });
+
+  DecoupledChatbot.registerMode({
+    id: 'answer-question',
+    label: Drupal.t('Answer a Question'),
+    placeholder: Drupal.t('Ask your question...'),
+    weight: 10,
+    siteModel: true,
+    start: function () {
+      this.startQuestionAnswerFlow();
+    },
+    onMessage: function (message, history) {
+      this.handleQuestionAnswerMessage(message, history);
+    }
+  });
+
+  /**
+   * Labels for the entity types an import creates, in undo confirmations.
+   */
+  DecoupledChatbot.undoItemLabels = {
+    node: Drupal.t('Content'),
+    media: Drupal.t('Media'),
+    paragraph: Drupal.t('Paragraph'),
+    field_config: Drupal.t('Field'),
+    field_storage_config: Drupal.t('Field storage'),
+    node_type: Drupal.t('Content type'),
+    paragraphs_type: Drupal.t('Paragraph type')
+  };
+
+  /**
+   * Input placeholder outside of any flow.
+   */
+  DecoupledChatbot.defaultPlaceholder = Drupal.t('Type a message, or / for commands...');
+
+  /**
+   * Registered slash commands, keyed by name.
+   */
+  const commands = {};
+
+  /**
+   * Registers a slash command, offered as the user types "/" in the input.
+   *
+   * Like modes, commands should be registered from a library that depends
+   * on dc_chatbot/chatbot. The run callback gets the chatbot instance as
+   * `this`.
+   *
+   * @param {object} command
+   *   - name: Lowercase name typed after the slash, e.g. "types".
+   *   - description: (optional) Short help text.
+   *   - hint: (optional) Argument hint, e.g. "<question>". Commands with a
+   *     hint are completed rather than run when picked from the list.
+   *   - run: Called with the text after the name, trimmed.
+   */
+  DecoupledChatbot.registerCommand = function (command) {
+    if (!command || !/^[a-z0-9_-]+$/.test(command.name || '') || typeof command.run !== 'function') {
+      throw new Error('Decoupled Drupal Chatbot: A command needs a lowercase name and a run callback.');
+    }
+    commands[command.name] = command;
+  };
+
+  DecoupledChatbot.getCommand = function (name) {
+    return (name && commands[name]) || null;
+  };
+
+  DecoupledChatbot.getCommands = function () {
+    return Object.keys(commands)
+      .sort()
+      .map(name => commands[name]);
+  };
+
+  DecoupledChatbot.registerCommand({
+    name: 'model',
+    description: Drupal.t('Generate a content model from a description.'),
+    hint: Drupal.t('<description>'),
+    run: function (args) {
+      if (args) {
+        this.ask(args, { mode: 'model-content' });
       } else {
-        // Not a list item
-        if (inList) {
-          result.push(`</${listType}>`);
-          inList = false;
-          listType = null;
-        }
-        if (line) {
-          // Handle paragraphs - wrap non-header, non-list content in <p> tags
-          // But don't wrap single bullet points in <p> tags
-          if (!line.match(/^<h[123]>/) && !line.match(/^•/) && line.length > 0) {
-            result.push(`<p>${line}</p>`);
-          } else if (line.match(/^•/)) {
-            // Handle standalone bullet points that aren't in lists
-            // Remove the bullet character since CSS will add it
-            const cleanedLine = line.replace(/^•\s*/, '');
-            result.push(`<div class="bullet-item">${cleanedLine}</div>`);
-          } else {
-            result.push(line);
-          }
-        }
+        this.handleActionButton('model-content');
+      }
+    }
+  });
+
+  DecoupledChatbot.registerCommand({
+    name: 'refine',
+    description: Drupal.t('Change the fields of an existing content type.'),
+    hint: Drupal.t('<content type>'),
+    run: function (args) {
+      if (!this.canUseMode('refine-model')) {
+        this.addMessage(Drupal.t('You are not allowed to change content types.'), 'bot', false, true);
+        return;
+      }
+
+      const match = args.match(/^(?:(node|paragraph)\.)?([a-z0-9_]+)$/);
+      if (args && !match) {
+        this.addMessage(Drupal.t('Type the machine name of a content type, e.g. /refine article.'), 'bot', false, true);
+        return;
+      }
+
+      this.refineTarget = match ? { entity: match[1] || 'node', bundle: match[2], label: match[2] } : null;
+      this.handleActionButton('refine-model');
+    }
+  });
+
+  DecoupledChatbot.registerCommand({
+    name: 'ask',
+    description: Drupal.t('Ask a question about Decoupled Drupal.'),
+    hint: Drupal.t('<question>'),
+    run: function (args) {
+      if (args) {
+        this.ask(args, { mode: 'answer-question' });
+      } else {
+        this.handleActionButton('answer-question');
       }
     }
+  });
+
+  DecoupledChatbot.registerCommand({
+    name: 'types',
+    description: Drupal.t('List the content types of this site.'),
+    run: function () {
+      this.showContentTypes();
+    }
+  });
+
+  DecoupledChatbot.registerCommand({
+    name: 'reset',
+    description: Drupal.t('Clear the conversation and start over.'),
+    run: function () {
+      this.startOver();
+    }
+  });
 
-    // Close any open list
-    if (inList) {
-      result.push(`</${listType}>`);
+  DecoupledChatbot.registerCommand({
+    name: 'help',
+    description: Drupal.t('Show the available commands.'),
+    run: function () {
+      this.showCommandHelp();
     }
+  });
 
-    // Join without <br> since we're using proper HTML elements now
-    text = result.join('');
+  /**
+   * Links in reply parts must be site-relative or http(s).
+   */
+  function isSafeUrl(url) {
+    return typeof url === 'string' && /^(\/(?![\/\\])|https?:\/\/)/i.test(url);
+  }
 
-    // Clean up any remaining <br> tags that might interfere
-    text = text.replace(/<br>/g, '');
+  /**
+   * Renderers for the typed parts of a reply, keyed by part type.
+   */
+  const partRenderers = {};
 
-    return text;
+  /**
+   * Registers a renderer for one type of reply part.
+   *
+   * /api/chat responses may carry a 'parts' list of typed blocks next to
+   * the Markdown 'response'. Parts of unknown types are skipped; a reply
+   * with no renderable part falls back to the Markdown.
+   *
+   * @param {string} type
+   *   The part type, e.g. "entities".
+   * @param {function} render
+   *   Called with (part, container, entry) and the chatbot instance as
+   *   `this`. It fills the container, or returns FALSE to skip the part.
+   */
+  DecoupledChatbot.registerPartRenderer = function (type, render) {
+    if (!type || typeof render !== 'function') {
+      throw new Error('Decoupled Drupal Chatbot: A part renderer needs a type and a render callback.');
+    }
+    partRenderers[type] = render;
   };
 
-  DecoupledChatbot.prototype.formatTime = function (date) {
-    return date.toLocaleTimeString([], {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  DecoupledChatbot.getPartRenderer = function (type) {
+    return (type && partRenderers[type]) || null;
   };
 
+  // Markdown text: {content}
+  DecoupledChatbot.registerPartRenderer('text', function (part, container) {
+    if (typeof part.content !== 'string' || !part.content) {
+      return false;
+    }
+    container.innerHTML = this.parseMarkdown(part.content);
+  });
+
+  // Created entities as cards: {title?, items: [{entity_type, bundle, id,
+  // label, links: {view?, edit?, preview?}}]}
+  DecoupledChatbot.registerPartRenderer('entities', function (part, container) {
+    if (!Array.isArray(part.items) || !part.items.length) {
+      return false;
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = part.title || Drupal.t('Sample content created');
+    container.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'entity-cards';
+    part.items.forEach(item => {
+      const card = document.createElement('li');
+      card.className = 'entity-card';
+
+      const label = document.createElement('span');
+      label.className = 'entity-label';
+      label.textContent = item.label || `${item.entity_type} ${item.id}`;
+      card.appendChild(label);
+
+      if (item.bundle) {
+        const bundle = document.createElement('code');
+        bundle.className = 'entity-bundle';
+        bundle.textContent = item.bundle;
+        card.appendChild(bundle);
+      }
+
+      const links = document.createElement('div');
+      links.className = 'entity-links';
+      [
+        ['view', Drupal.t('View')],
+        ['edit', Drupal.t('Edit')],
+        ['preview', Drupal.t('Preview')]
+      ].forEach(([key, text]) => {
+        const url = item.links && item.links[key];
+        if (!isSafeUrl(url)) {
+          return;
+        }
+        const link = document.createElement('a');
+        link.className = `entity-link entity-link-${key}`;
+        link.href = url;
+        link.textContent = text;
+        link.setAttribute('aria-label', `${text}: ${label.textContent}`);
+        // The preview is served by the decoupled frontend
+        if (key === 'preview') {
+          link.target = '_blank';
+          link.rel = 'noopener noreferrer';
+        }
+        links.appendChild(link);
+      });
+      if (links.childNodes.length) {
+        card.appendChild(links);
+      }
+
+      list.appendChild(card);
+    });
+    container.appendChild(list);
+  });
+
+  // Collapsible warning list: {title?, items: [string]}
+  DecoupledChatbot.registerPartRenderer('warnings', function (part, container) {
+    const items = Array.isArray(part.items) ? part.items.filter(item => typeof item === 'string') : [];
+    if (!items.length) {
+      return false;
+    }
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = part.title || Drupal.formatPlural(items.length, '1 warning', '@count warnings');
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    items.forEach(warning => {
+      const item = document.createElement('li');
+      item.textContent = warning;
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+    container.appendChild(details);
+  });
+
+  // Buttons: {items: [{label, url} or {label, command: "/types"}]}
+  DecoupledChatbot.registerPartRenderer('actions', function (part, container) {
+    (Array.isArray(part.items) ? part.items : []).forEach(action => {
+      if (!action || !action.label) {
+        return;
+      }
+
+      if (isSafeUrl(action.url)) {
+        const link = document.createElement('a');
+        link.className = 'part-action';
+        link.href = action.url;
+        link.textContent = action.label;
+        container.appendChild(link);
+      } else if (typeof action.command === 'string' && action.command.charAt(0) === '/') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'part-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          if (!this.isSending) {
+            this.runCommand(action.command);
+          }
+        });
+        container.appendChild(button);
+      }
+    });
+
+    if (!container.childNodes.length) {
+      return false;
+    }
+  });
+
+  // Before/after table of content type changes: {items: [{op, field,
+  // before, after}]}, see DrupalContentImporter::applyFieldChanges()
+  DecoupledChatbot.registerPartRenderer('changes', function (part, container) {
+    const items = Array.isArray(part.items) ? part.items.filter(item => item && item.after) : [];
+    if (!items.length) {
+      return false;
+    }
+
+    const describe = (state) => {
+      if (!state) {
+        return '—';
+      }
+      const details = [state.label, state.type, state.required ? Drupal.t('required') : Drupal.t('optional')];
+      if (state.description) {
+        details.push(state.description);
+      }
+      return details.join(' · ');
+    };
+
+    const table = document.createElement('table');
+    table.className = 'review-fields';
+    const headerRow = table.createTHead().insertRow();
+    [Drupal.t('Field'), Drupal.t('Before'), Drupal.t('After')].forEach(title => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      headerRow.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    items.forEach(item => {
+      const row = tbody.insertRow();
+      row.className = `change-${item.op === 'add' ? 'add' : 'update'}`;
+      const fieldCell = row.insertCell();
+      const code = document.createElement('code');
+      code.textContent = item.field;
+      fieldCell.appendChild(code);
+      row.insertCell().textContent = describe(item.before);
+      row.insertCell().textContent = describe(item.after);
+    });
+    container.appendChild(table);
+  });
+
+  /**
+   * Creates a button that copies text and announces it.
+   */
+  function createCopyButton(chatbot, label, getText, announcement) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'part-code-copy';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      Drupal.dcClipboard.copyText(getText())
+        .then(() => {
+          button.textContent = Drupal.t('Copied!');
+          chatbot.announce(announcement);
+        })
+        .catch(error => {
+          console.error('Decoupled Drupal Chatbot: Failed to copy', error);
+          button.textContent = Drupal.t('Failed');
+        })
+        .then(() => {
+          setTimeout(() => {
+            button.textContent = label;
+          }, 2000);
+        });
+    });
+    return button;
+  }
+
+  // Code with a copy button: {content, language?}
+  DecoupledChatbot.registerPartRenderer('code', function (part, container) {
+    if (typeof part.content !== 'string' || !part.content) {
+      return false;
+    }
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    if (typeof part.language === 'string' && /^[a-z0-9_+-]+$/i.test(part.language)) {
+      code.className = `language-${part.language}`;
+    }
+    code.textContent = part.content;
+    pre.appendChild(code);
+    container.appendChild(pre);
+
+    container.appendChild(createCopyButton(this, Drupal.t('Copy code'), () => part.content, Drupal.t('Code copied to the clipboard.')));
+  });
+
+  // Highlighted query with copy and run buttons: {query}. Results are shown
+  // as a JSON tree, with a TypeScript type to copy.
+  DecoupledChatbot.registerPartRenderer('graphql', function (part, container) {
+    if (typeof part.query !== 'string' || !part.query.trim()) {
+      return false;
+    }
+
+    const graphql = window.DecoupledChatbotGraphQL;
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.className = 'language-graphql';
+    code.appendChild(graphql.highlight(part.query));
+    pre.appendChild(code);
+    container.appendChild(pre);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'graphql-toolbar';
+    toolbar.appendChild(createCopyButton(this, Drupal.t('Copy query'), () => part.query, Drupal.t('Query copied to the clipboard.')));
+    container.appendChild(toolbar);
+
+    const results = document.createElement('div');
+    results.className = 'graphql-results';
+    results.hidden = true;
+    container.appendChild(results);
+
+    if (!this.settings.graphqlEndpoint) {
+      return;
+    }
+
+    const runBtn = document.createElement('button');
+    runBtn.type = 'button';
+    runBtn.className = 'part-action graphql-run';
+    runBtn.textContent = Drupal.t('Run query');
+    runBtn.addEventListener('click', () => {
+      runBtn.disabled = true;
+      results.hidden = false;
+      results.textContent = Drupal.t('Running query…');
+
+      const showResponse = (response) => {
+        results.innerHTML = '';
+        const errors = (response.errors || []).map(error => (error && error.message) || String(error));
+        if (errors.length) {
+          const list = document.createElement('ul');
+          list.className = 'graphql-errors';
+          errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+          });
+          results.appendChild(list);
+        }
+
+        if (response.data) {
+          results.appendChild(graphql.renderTree(response.data));
+          const type = graphql.toTypeScript(response.data, part.query);
+          results.appendChild(createCopyButton(this, Drupal.t('Copy TypeScript type'), () => type, Drupal.t('TypeScript type copied to the clipboard.')));
+        }
+
+        this.announce(errors.length
+          ? Drupal.formatPlural(errors.length, 'The query returned 1 error.', 'The query returned @count errors.')
+          : Drupal.t('The query results are shown below it.'));
+      };
+
+      this.runGraphQLQuery(part.query)
+        .then(showResponse)
+        .catch(error => {
+          // Invalid queries come back as 400 responses with 'errors'
+          if (error.data && Array.isArray(error.data.errors)) {
+            showResponse(error.data);
+            return;
+          }
+          console.error('GraphQL run error:', error);
+          results.textContent = error.status === 403
+            ? Drupal.t('You are not allowed to run this query.')
+            : Drupal.t('Sorry, the query could not be run.');
+        })
+        .then(() => {
+          runBtn.disabled = false;
+          runBtn.textContent = Drupal.t('Run again');
+        });
+    });
+    toolbar.insertBefore(runBtn, toolbar.firstChild);
+  });
+
   // Export for potential external use
   window.DecoupledChatbot = DecoupledChatbot;
 
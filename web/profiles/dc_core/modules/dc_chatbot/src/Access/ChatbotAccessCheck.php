@@ -0,0 +1,45 @@
+<?php
+
+namespace Drupal\dc_chatbot\Access;
+
+use Drupal\Core\Access\AccessResult;
+use Drupal\Core\Routing\Access\AccessInterface;
+use Drupal\Core\Session\AccountInterface;
+use Drupal\dc_chatbot\Authentication\ApiKeyAuthenticator;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Checks access to the chat API routes.
+ *
+ * Requests authenticated with the API key come from the standalone widget
+ * and run as the anonymous user, so they are allowed on the strength of the
+ * key; anonymous users do not need the chatbot permission for the widget to
+ * work. Every other request needs 'use decoupled chatbot', so a request
+ * without the key cannot use the chatbot by just leaving out its Origin.
+ *
+ * Use on routes with "_dc_chatbot_access: 'TRUE'" and
+ * "_auth: ['api_key', 'cookie']".
+ */
+class ChatbotAccessCheck implements AccessInterface {
+
+  /**
+   * Checks access.
+   *
+   * @param \Drupal\Core\Session\AccountInterface $account
+   *   The current user.
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The current request.
+   *
+   * @return \Drupal\Core\Access\AccessResultInterface
+   *   The access result.
+   */
+  public function access(AccountInterface $account, Request $request) {
+    // The key is checked per request, so the result must not be cached.
+    if ($request->attributes->get(ApiKeyAuthenticator::REQUEST_ATTRIBUTE)) {
+      return AccessResult::allowed()->setCacheMaxAge(0);
+    }
+
+    return AccessResult::allowedIfHasPermission($account, 'use decoupled chatbot')->setCacheMaxAge(0);
+  }
+
+}
@@ -9,9 +9,21 @@ use Symfony\Component\HttpFoundation\Request;
 
 /**
  * API Key authentication provider.
+ *
+ * The key is read from the X-API-Key header only, never from the query
+ * string, where it would end up in server logs, proxies and Referer
+ * headers. It is embedded in the standalone widget and therefore public,
+ * so it authenticates as the anonymous user. The request attribute it sets
+ * opens the chat API routes (see ChatbotAccessCheck) and is what
+ * CorsSubscriber requires of cross-origin widget requests.
  */
 class ApiKeyAuthenticator implements AuthenticationProviderInterface {
 
+  /**
+   * Request attribute set once a request's API key has been verified.
+   */
+  const REQUEST_ATTRIBUTE = '_dc_chatbot_api_key';
+
   /**
    * The config factory.
    *
@@ -43,15 +55,15 @@ class ApiKeyAuthenticator implements AuthenticationProviderInterface {
    * {@inheritdoc}
    */
   public function applies(Request $request) {
-    return $request->headers->has('X-API-Key') || $request->query->has('api_key');
+    return $request->headers->has('X-API-Key');
   }
 
   /**
    * {@inheritdoc}
    */
   public function authenticate(Request $request) {
-    $api_key = $request->headers->get('X-API-Key') ?: $request->query->get('api_key');
-    
+    $api_key = $request->headers->get('X-API-Key');
+
     if (empty($api_key)) {
       return NULL;
     }
@@ -65,6 +77,8 @@ class ApiKeyAuthenticator implements AuthenticationProviderInterface {
     }
 
     if (hash_equals($configured_key, $api_key)) {
+      $request->attributes->set(self::REQUEST_ATTRIBUTE, TRUE);
+
       // Return anonymous user for API key authentication
       return \Drupal::entityTypeManager()->getStorage('user')->load(0);
     }
@@ -0,0 +1,40 @@
+<?php
+
+namespace Drupal\dc_chatbot\ChatMode;
+
+/**
+ * Collects the chat mode handlers tagged dc_chatbot_mode_handler.
+ */
+class ChatModeHandlerCollector {
+
+  /**
+   * The handlers, keyed by mode id.
+   *
+   * @var \Drupal\dc_chatbot\ChatMode\ChatModeHandlerInterface[]
+   */
+  protected $handlers = [];
+
+  /**
+   * Adds a mode handler.
+   *
+   * @param \Drupal\dc_chatbot\ChatMode\ChatModeHandlerInterface $handler
+   *   The handler.
+   */
+  public function addHandler(ChatModeHandlerInterface $handler) {
+    $this->handlers[$handler->getModeId()] = $handler;
+  }
+
+  /**
+   * Returns the handler for a mode, if one is registered.
+   *
+   * @param string $mode
+   *   The mode id.
+   *
+   * @return \Drupal\dc_chatbot\ChatMode\ChatModeHandlerInterface|null
+   *   The handler, or NULL if the mode has no server-side handler.
+   */
+  public function getHandler($mode) {
+    return $this->handlers[$mode] ?? NULL;
+  }
+
+}
@@ -0,0 +1,55 @@
+<?php
+
+namespace Drupal\dc_chatbot\ChatMode;
+
+use Drupal\Core\Session\AccountInterface;
+
+/**
+ * Handles /api/chat requests for a chatbot mode registered in the widget.
+ *
+ * Services implementing this interface are tagged dc_chatbot_mode_handler.
+ * The mode id must match the id passed to DecoupledChatbot.registerMode().
+ * The /api/chat route only requires access to the chatbot, so a mode that
+ * does more than answer questions checks its own permission in access().
+ */
+interface ChatModeHandlerInterface {
+
+  /**
+   * Returns the id of the mode this handler serves.
+   *
+   * @return string
+   *   The mode id, e.g. 'model-content'.
+   */
+  public function getModeId();
+
+  /**
+   * Checks whether an account may use the mode.
+   *
+   * Requests are only passed to handle() when access is allowed.
+   *
+   * @param \Drupal\Core\Session\AccountInterface $account
+   *   The account making the request.
+   *
+   * @return \Drupal\Core\Access\AccessResultInterface
+   *   The access result.
+   */
+  public function access(AccountInterface $account);
+
+  /**
+   * Handles a chat request for the mode.
+   *
+   * @param array $data
+   *   The decoded request data, with 'message', 'mode' and a normalized
+   *   'history' list.
+   *
+   * @return array
+   *   Response data for the widget, typically with a 'response' key holding
+   *   the reply text, or an 'error' key. A 'parts' list of typed blocks
+   *   ('text', 'entities', 'warnings', 'actions', 'code', 'graphql' or
+   *   'suggestion') is rendered instead of the reply text when present;
+   *   see the part renderers in js/chatbot.js and js/chatbot-writing.js
+   *   for their properties.
+   */
+  public function handle(array $data);
+
+}
@@ -0,0 +1,155 @@
+<?php
+
+namespace Drupal\dc_chatbot\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\dc_chatbot\Service\ChangesetRollback;
+use Drupal\dc_chatbot\Service\ChangesetStorage;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Endpoints to review and undo chatbot content model imports.
+ */
+class ChangesetController extends ControllerBase {
+
+  /**
+   * The changeset storage.
+   *
+   * @var \Drupal\dc_chatbot\Service\ChangesetStorage
+   */
+  protected $changesetStorage;
+
+  /**
+   * The changeset rollback service.
+   *
+   * @var \Drupal\dc_chatbot\Service\ChangesetRollback
+   */
+  protected $changesetRollback;
+
+  /**
+   * Constructs a new ChangesetController object.
+   *
+   * @param \Drupal\dc_chatbot\Service\ChangesetStorage $changeset_storage
+   *   The changeset storage.
+   * @param \Drupal\dc_chatbot\Service\ChangesetRollback $changeset_rollback
+   *   The changeset rollback service.
+   */
+  public function __construct(ChangesetStorage $changeset_storage, ChangesetRollback $changeset_rollback) {
+    $this->changesetStorage = $changeset_storage;
+    $this->changesetRollback = $changeset_rollback;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('dc_chatbot.changeset_storage'),
+      $container->get('dc_chatbot.changeset_rollback')
+    );
+  }
+
+  /**
+   * Lists what undoing an import would delete, for the confirmation.
+   *
+   * @param int $changeset
+   *   The changeset ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The changeset 'status', the 'items' a rollback would delete and any
+   *   'conflicts' that prevent it.
+   */
+  public function view($changeset) {
+    $record = $this->changesetStorage->load($changeset);
+    if ($error = $this->checkAccess($record)) {
+      return $error;
+    }
+
+    $applied = $record->status === ChangesetStorage::STATUS_APPLIED;
+    return new JsonResponse([
+      'id' => (int) $record->id,
+      'status' => $record->status,
+      'items' => $applied ? $this->changesetRollback->describe($record) : [],
+      'conflicts' => $applied ? $this->changesetRollback->findConflicts($record) : [],
+    ]);
+  }
+
+  /**
+   * Undoes an import.
+   *
+   * @param int $changeset
+   *   The changeset ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The result message and the deleted items, or an error with the
+   *   'conflicts' that prevent the rollback.
+   */
+  public function rollback($changeset) {
+    $record = $this->changesetStorage->load($changeset);
+    if ($error = $this->checkAccess($record)) {
+      return $error;
+    }
+
+    if ($record->status !== ChangesetStorage::STATUS_APPLIED) {
+      return new JsonResponse([
+        'error' => 'This import was already undone',
+      ], Response::HTTP_CONFLICT);
+    }
+
+    // Never delete content editors have added since the import.
+    $conflicts = $this->changesetRollback->findConflicts($record);
+    if ($conflicts) {
+      return new JsonResponse([
+        'error' => 'The import cannot be undone because content was added since',
+        'conflicts' => $conflicts,
+      ], Response::HTTP_CONFLICT);
+    }
+
+    try {
+      $deleted = $this->changesetRollback->rollback($record);
+    }
+    catch (\Exception $e) {
+      return new JsonResponse([
+        'error' => 'The import could not be fully undone: ' . $e->getMessage(),
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+
+    $text = "↩️ **Import undone**\n\n";
+    foreach ($deleted as $item) {
+      $text .= "• Deleted {$item['entity_type']}: {$item['label']}\n";
+    }
+
+    return new JsonResponse([
+      'response' => $text,
+      'deleted' => $deleted,
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Checks that a changeset exists and belongs to the current user.
+   *
+   * Site administrators may undo anyone's import.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse|null
+   *   An error response, or NULL if access is allowed.
+   */
+  protected function checkAccess($record) {
+    if (!$record) {
+      return new JsonResponse([
+        'error' => 'Changeset not found',
+      ], Response::HTTP_NOT_FOUND);
+    }
+
+    if ((int) $record->uid !== (int) $this->currentUser()->id() && !$this->currentUser()->hasPermission('administer decoupled chatbot')) {
+      return new JsonResponse([
+        'error' => 'You are not allowed to undo this import',
+      ], Response::HTTP_FORBIDDEN);
+    }
+
+    return NULL;
+  }
+
+}
@@ -4,17 +4,57 @@ namespace Drupal\dc_chatbot\Controller;
 
 use Drupal\Core\Controller\ControllerBase;
 use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Flood\FloodInterface;
+use Drupal\Core\Url;
+use Drupal\dc_chatbot\ChatMode\ChatModeHandlerCollector;
+use Drupal\dc_chatbot\Service\ChangesetStorage;
 use Drupal\dc_chatbot\Service\ChatbotService;
+use Drupal\dc_chatbot\Service\FeedbackStorage;
+use Drupal\dc_chatbot\Service\SiteModelBuilder;
+use Drupal\dc_import\Service\DrupalContentImporter;
+use Drupal\dc_import\Service\JsonSchemaValidator;
+use Drupal\path_alias\AliasManagerInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 /**
  * Controller for chatbot API endpoints.
  */
 class ChatbotController extends ControllerBase {
 
+  /**
+   * Maximum number of prior turns forwarded to the AI service.
+   */
+  const HISTORY_MAX_TURNS = 20;
+
+  /**
+   * Maximum total length, in characters, of forwarded prior turns.
+   */
+  const HISTORY_MAX_LENGTH = 12000;
+
+  /**
+   * Maximum length, in characters, of the site model summary sent along.
+   */
+  const SITE_MODEL_MAX_LENGTH = 30000;
+
+  /**
+   * Maximum number of node form fields sent along by the writing assistant.
+   */
+  const DOCUMENT_MAX_FIELDS = 50;
+
+  /**
+   * Maximum length, in characters, of each of those field values.
+   */
+  const DOCUMENT_VALUE_MAX_LENGTH = 8000;
+
+  /**
+   * Maximum feedback submissions per client IP per hour.
+   */
+  const FEEDBACK_FLOOD_LIMIT = 60;
+
   /**
    * The config factory.
    *
@@ -29,6 +69,62 @@ class ChatbotController extends ControllerBase {
    */
   protected $chatbotService;
 
+  /**
+   * The chat mode handler collector.
+   *
+   * @var \Drupal\dc_chatbot\ChatMode\ChatModeHandlerCollector
+   */
+  protected $modeHandlers;
+
+  /**
+   * The feedback storage.
+   *
+   * @var \Drupal\dc_chatbot\Service\FeedbackStorage
+   */
+  protected $feedbackStorage;
+
+  /**
+   * The flood service.
+   *
+   * @var \Drupal\Core\Flood\FloodInterface
+   */
+  protected $flood;
+
+  /**
+   * The changeset storage.
+   *
+   * @var \Drupal\dc_chatbot\Service\ChangesetStorage
+   */
+  protected $changesetStorage;
+
+  /**
+   * The site model builder.
+   *
+   * @var \Drupal\dc_chatbot\Service\SiteModelBuilder
+   */
+  protected $siteModelBuilder;
+
+  /**
+   * The dc_import content importer.
+   *
+   * @var \Drupal\dc_import\Service\DrupalContentImporter
+   */
+  protected $importer;
+
+  /**
+   * The dc_import schema validator.
+   *
+   * @var \Drupal\dc_import\Service\JsonSchemaValidator
+   */
+  protected $schemaValidator;
+
+  /**
+   * The path alias manager.
+   *
+   * @var \Drupal\path_alias\AliasManagerInterface
+   */
+  protected $aliasManager;
+
   /**
    * Constructs a new ChatbotController object.
    *
@@ -36,10 +132,34 @@ class ChatbotController extends ControllerBase {
    *   The config factory.
    * @param \Drupal\dc_chatbot\Service\ChatbotService $chatbot_service
    *   The chatbot service.
+   * @param \Drupal\dc_chatbot\ChatMode\ChatModeHandlerCollector $mode_handlers
+   *   The chat mode handler collector.
+   * @param \Drupal\dc_chatbot\Service\FeedbackStorage $feedback_storage
+   *   The feedback storage.
+   * @param \Drupal\Core\Flood\FloodInterface $flood
+   *   The flood service.
+   * @param \Drupal\dc_chatbot\Service\ChangesetStorage $changeset_storage
+   *   The changeset storage.
+   * @param \Drupal\dc_chatbot\Service\SiteModelBuilder $site_model_builder
+   *   The site model builder.
+   * @param \Drupal\dc_import\Service\DrupalContentImporter $importer
+   *   The dc_import content importer.
+   * @param \Drupal\dc_import\Service\JsonSchemaValidator $schema_validator
+   *   The dc_import schema validator.
+   * @param \Drupal\path_alias\AliasManagerInterface $alias_manager
+   *   The path alias manager.
    */
-  public function __construct(ConfigFactoryInterface $config_factory, ChatbotService $chatbot_service) {
+  public function __construct(ConfigFactoryInterface $config_factory, ChatbotService $chatbot_service, ChatModeHandlerCollector $mode_handlers, FeedbackStorage $feedback_storage, FloodInterface $flood, ChangesetStorage $changeset_storage, SiteModelBuilder $site_model_builder, DrupalContentImporter $importer, JsonSchemaValidator $schema_validator, AliasManagerInterface $alias_manager) {
     $this->configFactory = $config_factory;
     $this->chatbotService = $chatbot_service;
+    $this->modeHandlers = $mode_handlers;
+    $this->feedbackStorage = $feedback_storage;
+    $this->flood = $flood;
+    $this->changesetStorage = $changeset_storage;
+    $this->siteModelBuilder = $site_model_builder;
+    $this->importer = $importer;
+    $this->schemaValidator = $schema_validator;
+    $this->aliasManager = $alias_manager;
   }
 
   /**
@@ -48,7 +168,15 @@ class ChatbotController extends ControllerBase {
   public static function create(ContainerInterface $container) {
     return new static(
       $container->get('config.factory'),
-      $container->get('dc_chatbot.chatbot_service')
+      $container->get('dc_chatbot.chatbot_service'),
+      $container->get('dc_chatbot.mode_handler_collector'),
+      $container->get('dc_chatbot.feedback_storage'),
+      $container->get('flood'),
+      $container->get('dc_chatbot.changeset_storage'),
+      $container->get('dc_chatbot.site_model'),
+      $container->get('dc_import.importer'),
+      $container->get('dc_import.schema_validator'),
+      $container->get('path_alias.manager')
     );
   }
 
@@ -65,12 +193,107 @@ class ChatbotController extends ControllerBase {
     try {
       $data = json_decode($request->getContent(), TRUE);
 
+      // Content modeling changes configuration, so every step needs its own
+      // permission on top of access to the chatbot.
+      if (in_array($data['mode'] ?? NULL, ['model-content', 'refine-model'], TRUE) && !$this->currentUser()->hasPermission('use chatbot content modeling')) {
+        return new JsonResponse([
+          'error' => 'You are not allowed to model content',
+        ], Response::HTTP_FORBIDDEN);
+      }
+
+      // Generated queries are run with the editor's session, so only offer
+      // them to editors who may run queries at all.
+      if (($data['mode'] ?? NULL) === 'graphql-query' && !$this->currentUser()->hasPermission('execute graphql_compose_server arbitrary graphql requests')) {
+        return new JsonResponse([
+          'error' => 'You are not allowed to run GraphQL queries',
+        ], Response::HTTP_FORBIDDEN);
+      }
+
+      // The assistant reads and drafts the fields of node forms, which is
+      // more than answering questions about the site.
+      if (($data['mode'] ?? NULL) === 'write-content' && !$this->currentUser()->hasPermission('use chatbot writing assistant')) {
+        return new JsonResponse([
+          'error' => 'You are not allowed to use the writing assistant',
+        ], Response::HTTP_FORBIDDEN);
+      }
+
+      // An approved content model proposal carries no message.
+      if (($data['mode'] ?? NULL) === 'model-content' && ($data['step'] ?? NULL) === 'import') {
+        return $this->handleModelContentImport($data);
+      }
+
+      // So does an uploaded one, which goes straight to review.
+      if (($data['mode'] ?? NULL) === 'model-content' && ($data['step'] ?? NULL) === 'preview') {
+        return $this->handleModelContentPreview($data);
+      }
+
+      // Approved changes to an existing content type carry no message either.
+      if (($data['mode'] ?? NULL) === 'refine-model' && ($data['step'] ?? NULL) === 'apply') {
+        return $this->handleRefineApply($data);
+      }
+
       if (empty($data['message'])) {
         return new JsonResponse([
           'error' => 'Message is required',
         ], Response::HTTP_BAD_REQUEST);
       }
 
+      // Only forward well-formed prior turns.
+      $data['history'] = $this->normalizeHistory($data['history'] ?? []);
+
+      // Answer in the editor's language, falling back to the page language.
+      $language = $data['language'] ?? NULL;
+      if (!is_string($language) || !preg_match('/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/', $language)) {
+        $language = $this->languageManager()->getCurrentLanguage()->getId();
+      }
+      $data['language'] = $language;
+
+      // The summary from siteModel() grounds answers; drop anything else.
+      if (isset($data['siteModel']) && (!is_array($data['siteModel']) || strlen(json_encode($data['siteModel'])) > self::SITE_MODEL_MAX_LENGTH)) {
+        unset($data['siteModel']);
+      }
+
+      // The node form the writing assistant drafts text for.
+      if (isset($data['document'])) {
+        $data['document'] = $this->normalizeDocument($data['document']);
+      }
+
+      if (($data['mode'] ?? NULL) === 'write-content') {
+        if (empty($data['document'])) {
+          return new JsonResponse([
+            'error' => 'Document is required',
+          ], Response::HTTP_BAD_REQUEST);
+        }
+        return $this->handleWritingRequest($data);
+      }
+
+      if (($data['mode'] ?? NULL) === 'refine-model') {
+        return $this->handleRefineRequest($data);
+      }
+
+      if (($data['mode'] ?? NULL) === 'graphql-query') {
+        return $this->handleGraphQLRequest($data);
+      }
+
+      // Modes registered by other modules answer with plain JSON.
+      $handler = !empty($data['mode']) ? $this->modeHandlers->getHandler($data['mode']) : NULL;
+      if ($handler) {
+        if (!$handler->access($this->currentUser())->isAllowed()) {
+          return new JsonResponse([
+            'error' => 'You are not allowed to use this chat mode',
+          ], Response::HTTP_FORBIDDEN);
+        }
+
+        return new JsonResponse($handler->handle($data) + [
+          'timestamp' => time(),
+        ]);
+      }
+
+      // Stream the reply as newline-delimited JSON when the widget asks.
+      if (!empty($data['stream'])) {
+        return $this->streamChatResponse($data);
+      }
+
       // Check if this is a model content request
       if (!empty($data['mode']) && $data['mode'] === 'model-content') {
         return $this->handleModelContentRequest($data);
@@ -94,6 +317,281 @@ class ChatbotController extends ControllerBase {
     }
   }
 
+  /**
+   * Saves a rating given to a chatbot answer.
+   *
+   * Expects 'answer', 'rating' (1 or -1) and optionally 'question', 'mode'
+   * and 'comment'.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response.
+   */
+  public function feedback(Request $request) {
+    $data = json_decode($request->getContent(), TRUE);
+    $rating = (int) ($data['rating'] ?? 0);
+
+    if (!is_array($data) || !in_array($rating, [1, -1], TRUE) || !is_string($data['answer'] ?? NULL) || trim($data['answer']) === '') {
+      return new JsonResponse([
+        'error' => 'An answer and a rating of 1 or -1 are required',
+      ], Response::HTTP_BAD_REQUEST);
+    }
+
+    if (!$this->flood->isAllowed('dc_chatbot.feedback', self::FEEDBACK_FLOOD_LIMIT)) {
+      return new JsonResponse([
+        'error' => 'Too many feedback submissions. Please try again later.',
+      ], Response::HTTP_TOO_MANY_REQUESTS);
+    }
+    $this->flood->register('dc_chatbot.feedback');
+
+    $text = function ($value, $length) {
+      return is_string($value) && trim($value) !== '' ? mb_substr(trim($value), 0, $length) : NULL;
+    };
+
+    try {
+      $id = $this->feedbackStorage->add([
+        'uid' => $this->currentUser()->id(),
+        'mode' => mb_substr(preg_replace('/[^a-z0-9_-]/', '', strtolower((string) ($data['mode'] ?? ''))), 0, 64),
+        'question' => $text($data['question'] ?? NULL, self::HISTORY_MAX_LENGTH),
+        'answer' => $text($data['answer'], self::HISTORY_MAX_LENGTH),
+        'rating' => $rating,
+        'comment' => $text($data['comment'] ?? NULL, 2000),
+      ]);
+
+      return new JsonResponse([
+        'id' => $id,
+        'timestamp' => time(),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('dc_chatbot')->error('Feedback error: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'error' => 'Internal server error',
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Lists the content types and paragraph types of the site.
+   *
+   * Backs the chatbot's /types command.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response, with 'node' and 'paragraph' lists of bundles, each
+   *   with 'id', 'label' and 'description' keys.
+   */
+  public function contentTypes() {
+    $bundles = [
+      'node' => 'node_type',
+      'paragraph' => 'paragraphs_type',
+    ];
+
+    $result = [];
+    foreach ($bundles as $key => $bundle_entity_type) {
+      $result[$key] = [];
+      if (!$this->entityTypeManager()->hasDefinition($bundle_entity_type)) {
+        continue;
+      }
+
+      foreach ($this->entityTypeManager()->getStorage($bundle_entity_type)->loadMultiple() as $bundle) {
+        $result[$key][] = [
+          'id' => $bundle->id(),
+          'label' => $bundle->label(),
+          'description' => method_exists($bundle, 'getDescription') ? (string) $bundle->getDescription() : '',
+        ];
+      }
+
+      usort($result[$key], function ($a, $b) {
+        return strnatcasecmp($a['label'], $b['label']);
+      });
+    }
+
+    return new JsonResponse($result);
+  }
+
+  /**
+   * Summarizes the bundles, fields and GraphQL types of the site.
+   *
+   * The widget sends it along with questions so answers are about this
+   * site, and lists it in its "Your content types" panel.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response, as built by SiteModelBuilder::build().
+   */
+  public function siteModel() {
+    return new JsonResponse($this->siteModelBuilder->build());
+  }
+
+  /**
+   * Returns the dc_import schema, for validating attached content models.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response, with the schema or a 503 error.
+   */
+  public function importSchema() {
+    $schema = $this->schemaValidator->getSchema();
+    if (!$schema) {
+      return new JsonResponse([
+        'error' => 'The import schema is not available',
+      ], Response::HTTP_SERVICE_UNAVAILABLE);
+    }
+
+    $response = new JsonResponse($schema);
+    $response->setMaxAge(3600);
+    $response->setPrivate();
+    return $response;
+  }
+
+  /**
+   * Normalizes the conversation history sent by the widget.
+   *
+   * Keeps only user and assistant turns with string content, most recent
+   * last, bounded by HISTORY_MAX_TURNS and HISTORY_MAX_LENGTH.
+   *
+   * @param mixed $history
+   *   The raw history from the request body.
+   *
+   * @return array
+   *   A list of turns, each with 'role' and 'content' keys.
+   */
+  private function normalizeHistory($history) {
+    if (!is_array($history)) {
+      return [];
+    }
+
+    $turns = [];
+    $length = 0;
+    foreach (array_reverse(array_values($history)) as $turn) {
+      if (count($turns) >= self::HISTORY_MAX_TURNS) {
+        break;
+      }
+      if (!is_array($turn) || !isset($turn['role'], $turn['content']) || !is_string($turn['content'])) {
+        continue;
+      }
+      if (!in_array($turn['role'], ['user', 'assistant'], TRUE) || trim($turn['content']) === '') {
+        continue;
+      }
+
+      $length += mb_strlen($turn['content']);
+      if ($length > self::HISTORY_MAX_LENGTH) {
+        break;
+      }
+
+      $turns[] = [
+        'role' => $turn['role'],
+        'content' => $turn['content'],
+      ];
+    }
+
+    return array_reverse($turns);
+  }
+
+  /**
+   * Normalizes the node form sent by the writing assistant.
+   *
+   * @param mixed $document
+   *   The raw document from the request body, with the 'bundle', its
+   *   'label', the 'target' field the editor was last writing in and the
+   *   'fields' of the form with their current 'value'.
+   *
+   * @return array|null
+   *   The document with at most DOCUMENT_MAX_FIELDS fields, each value cut
+   *   to DOCUMENT_VALUE_MAX_LENGTH, or NULL if it has no bundle.
+   */
+  private function normalizeDocument($document) {
+    if (!is_array($document) || !isset($document['bundle']) || !is_string($document['bundle']) || !preg_match('/^[a-z0-9_]+$/', $document['bundle'])) {
+      return NULL;
+    }
+
+    $fields = [];
+    foreach (is_array($document['fields'] ?? NULL) ? $document['fields'] : [] as $field) {
+      if (count($fields) >= self::DOCUMENT_MAX_FIELDS) {
+        break;
+      }
+      // Field names, or e.g. body.summary for the summary of the body.
+      if (!is_array($field) || !isset($field['name']) || !is_string($field['name']) || !preg_match('/^[a-z0-9_]+(\.summary)?$/', $field['name'])) {
+        continue;
+      }
+
+      $fields[$field['name']] = [
+        'name' => $field['name'],
+        'label' => is_string($field['label'] ?? NULL) ? mb_substr($field['label'], 0, 255) : $field['name'],
+        'type' => is_string($field['type'] ?? NULL) ? mb_substr($field['type'], 0, 64) : 'string',
+        'value' => is_string($field['value'] ?? NULL) ? mb_substr($field['value'], 0, self::DOCUMENT_VALUE_MAX_LENGTH) : '',
+      ];
+    }
+
+    $target = $document['target'] ?? NULL;
+    return [
+      'bundle' => $document['bundle'],
+      'label' => is_string($document['label'] ?? NULL) ? mb_substr($document['label'], 0, 255) : $document['bundle'],
+      'target' => is_string($target) && isset($fields[$target]) ? $target : NULL,
+      'fields' => array_values($fields),
+    ];
+  }
+
+  /**
+   * Streams a chat response as newline-delimited JSON events.
+   *
+   * Emits {"type": "delta", "content": "..."} while the AI response arrives,
+   * then a final {"type": "done", "response": "..."} carrying the complete
+   * reply, or {"type": "error", "error": "..."} on failure.
+   *
+   * @param array $data
+   *   The decoded request data.
+   *
+   * @return \Symfony\Component\HttpFoundation\StreamedResponse
+   *   The streamed response.
+   */
+  private function streamChatResponse(array $data) {
+    $response = new StreamedResponse(function () use ($data) {
+      $emit = function (array $event) {
+        echo json_encode($event) . "\n";
+        if (ob_get_level() > 0) {
+          ob_flush();
+        }
+        flush();
+      };
+
+      try {
+        $reply = $this->chatbotService->streamMessage($data['message'], $data, function ($delta) use ($emit) {
+          $emit(['type' => 'delta', 'content' => $delta]);
+        });
+
+        $payload = ['response' => $reply];
+        if (!empty($data['mode']) && $data['mode'] === 'model-content') {
+          $payload = $this->buildModelContentResponse($reply);
+        }
+
+        $emit([
+          'type' => 'done',
+          'timestamp' => time(),
+        ] + $payload);
+      }
+      catch (\Exception $e) {
+        $this->getLogger('dc_chatbot')->error('Chat stream error: @message', [
+          '@message' => $e->getMessage(),
+        ]);
+        $emit([
+          'type' => 'error',
+          'error' => 'Internal server error',
+        ]);
+      }
+    });
+
+    $response->headers->set('Content-Type', 'application/x-ndjson');
+    $response->headers->set('Cache-Control', 'no-cache');
+    // Stop nginx from buffering the stream.
+    $response->headers->set('X-Accel-Buffering', 'no');
+
+    return $response;
+  }
+
   /**
    * Handle model content requests by calling Next.js API and importing results.
    */
@@ -101,56 +599,489 @@ class ChatbotController extends ControllerBase {
     try {
       // Get AI-generated configuration from Next.js API
       $aiResponse = $this->chatbotService->processMessage($data['message'], $data);
-      
-      // Extract JSON from AI response
+
+      return new JsonResponse($this->buildModelContentResponse($aiResponse) + [
+        'timestamp' => time(),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('dc_chatbot')->error('Model content error: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'error' => 'Error generating content model: ' . $e->getMessage(),
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Builds the review of a content model proposal.
+   *
+   * @param array $config
+   *   The proposed import configuration, with a 'model' array.
+   *
+   * @return array
+   *   Response data with 'response', 'proposal' and 'warnings' keys.
+   */
+  private function buildModelContentReview(array $config) {
+    // Dry run only; the import happens once the user approves.
+    $preview = $this->importer->import($config, TRUE);
+
+    return [
+      'response' => "📋 **Review the proposed content model**\n\nRemove any fields you don't need, then approve to create it.",
+      'proposal' => $config,
+      'warnings' => array_values(array_unique($preview['warnings'] ?? [])),
+    ];
+  }
+
+  /**
+   * Handles a content model uploaded in the widget.
+   *
+   * The model is validated against the dc_import schema and, if valid,
+   * returned for review like an AI proposal.
+   *
+   * @param array $data
+   *   The decoded request data, with the model in 'config'.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The review, or the validation errors in 'errors'.
+   */
+  private function handleModelContentPreview(array $data) {
+    $config = $data['config'] ?? NULL;
+    if (!is_array($config) || empty($config['model']) || !is_array($config['model'])) {
+      return new JsonResponse([
+        'error' => 'A content model configuration is required',
+      ], Response::HTTP_BAD_REQUEST);
+    }
+
+    $validation = $this->schemaValidator->validate($config);
+    if (!$validation['valid']) {
+      return new JsonResponse([
+        'response' => "❌ **The content model is not valid**",
+        'errors' => array_values(array_map('strval', $validation['errors'])),
+        'timestamp' => time(),
+      ]);
+    }
+
+    try {
+      return new JsonResponse($this->buildModelContentReview($config) + [
+        'timestamp' => time(),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('dc_chatbot')->error('Model content preview error: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'error' => $e->getMessage(),
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Turns an AI response into a content model proposal for review.
+   *
+   * The configuration is dry-run through dc_import so the widget can show
+   * what would be created, and any conflicts, before anything is written.
+   *
+   * @param string $aiResponse
+   *   The AI response, expected to contain a ```json block.
+   *
+   * @return array
+   *   Response data with a 'response' message, plus 'proposal' and
+   *   'warnings' keys when a usable configuration was found, or typed
+   *   'parts' with manual import instructions when it was not.
+   */
+  private function buildModelContentResponse($aiResponse) {
+    // Extract JSON from AI response
+    if (preg_match('/```json\s*([\s\S]*?)\s*```/', $aiResponse, $matches)) {
+      $jsonConfig = json_decode($matches[1], TRUE);
+
+      if (json_last_error() === JSON_ERROR_NONE && isset($jsonConfig['model'])) {
+        return $this->buildModelContentReview($jsonConfig);
+      }
+    }
+
+    // Fallback: return AI response with manual import instructions
+    $import_url = Url::fromRoute('dc_import.admin_import')->toString();
+    $notice = "⚠️ **Configuration generated successfully!**\n\nYou can use the JSON configuration above to manually import via the [Import Form]({$import_url}).";
+
+    $parts = [];
+    if (isset($matches[1])) {
+      $parts[] = ['type' => 'text', 'content' => trim(str_replace($matches[0], '', $aiResponse))];
+      $parts[] = ['type' => 'code', 'language' => 'json', 'content' => $matches[1]];
+    }
+    else {
+      $parts[] = ['type' => 'text', 'content' => $aiResponse];
+    }
+    $parts[] = ['type' => 'text', 'content' => $notice];
+    $parts[] = [
+      'type' => 'actions',
+      'items' => [
+        ['label' => 'Open the import form', 'url' => $import_url],
+      ],
+    ];
+
+    return [
+      'response' => $aiResponse . "\n\n" . $notice,
+      'parts' => array_values(array_filter($parts, function ($part) {
+        return $part['content'] ?? TRUE;
+      })),
+    ];
+  }
+
+  /**
+   * Imports a content model proposal the user approved, once revalidated.
+   *
+   * @param array $data
+   *   The decoded request data, with the approved configuration in 'config'.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response.
+   */
+  private function handleModelContentImport(array $data) {
+    $config = $data['config'] ?? NULL;
+    if (!is_array($config) || empty($config['model']) || !is_array($config['model'])) {
+      return new JsonResponse([
+        'error' => 'A content model configuration is required',
+      ], Response::HTTP_BAD_REQUEST);
+    }
+
+    // The client sends the configuration back on approval, so it may differ
+    // from the one validated for the preview.
+    $validation = $this->schemaValidator->validate($config);
+    if (!$validation['valid']) {
+      return new JsonResponse([
+        'error' => 'The content model is not valid',
+        'errors' => array_values(array_map('strval', $validation['errors'])),
+      ], Response::HTTP_UNPROCESSABLE_ENTITY);
+    }
+
+    try {
+      $importResult = $this->importConfiguration($config);
+
+      // Record what was created so the import can be undone.
+      $changeset = $this->changesetStorage->add($importResult, $this->currentUser()->id());
+
+      return new JsonResponse($this->buildImportResponse($importResult) + [
+        'changeset' => $changeset,
+        'timestamp' => time(),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('dc_chatbot')->error('Model content import error: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
+      return new JsonResponse([
+        'error' => $e->getMessage(),
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Proposes changes to an existing content type.
+   *
+   * The AI gets the current field definitions as 'currentModel' and is
+   * expected to answer with a ```json block holding a 'changes' list, as
+   * accepted by DrupalContentImporter::applyFieldChanges(). The changes are
+   * dry-run and returned for review with a before/after summary.
+   *
+   * @param array $data
+   *   The decoded request data, with 'message' and the 'target' bundle.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response.
+   */
+  private function handleRefineRequest(array $data) {
+    $model = $this->loadRefineTarget($data);
+    if (!$model) {
+      return new JsonResponse([
+        'error' => 'An existing content type to refine is required',
+      ], Response::HTTP_BAD_REQUEST);
+    }
+
+    try {
+      $data['currentModel'] = $model;
+      $aiResponse = $this->chatbotService->processMessage($data['message'], $data);
+      $target = [
+        'entity' => $model['entity'],
+        'bundle' => $model['bundle'],
+        'label' => $model['label'],
+      ];
+
+      $changes = NULL;
       if (preg_match('/```json\s*([\s\S]*?)\s*```/', $aiResponse, $matches)) {
-        $jsonConfig = json_decode($matches[1], TRUE);
-        
-        if (json_last_error() === JSON_ERROR_NONE && isset($jsonConfig['model'])) {
-          // Import directly using the dc_import service
-          $importer = \Drupal::service('dc_import.importer');
-          $importResult = $importer->import($jsonConfig, FALSE);
-          
-          // Format the success message
-          $response = $this->formatImportResult($importResult);
-          
-          return new JsonResponse([
-            'response' => $response,
-            'timestamp' => time(),
-          ]);
-        }
+        $json = json_decode($matches[1], TRUE);
+        $changes = is_array($json['changes'] ?? NULL) ? array_values($json['changes']) : NULL;
       }
-      
-      // Fallback: return AI response with manual import instructions
-      $response = $aiResponse . "\n\n⚠️ **Configuration generated successfully!**\n\nYou can use the JSON configuration above to manually import via the [Import Form](/admin/config/content/dc-import).";
-      
+
+      // Questions back to the user, or nothing to change.
+      if (!$changes) {
+        return new JsonResponse([
+          'response' => $aiResponse,
+          'target' => $target,
+          'timestamp' => time(),
+        ]);
+      }
+
+      $preview = $this->importer->applyFieldChanges($model['entity'], $model['bundle'], $changes, TRUE);
+      return new JsonResponse($this->buildRefineResponse($preview, $target, TRUE) + [
+        'changes' => $preview['changes'] ? $changes : [],
+        'target' => $target,
+        'timestamp' => time(),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->getLogger('dc_chatbot')->error('Refine model error: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+
       return new JsonResponse([
-        'response' => $response,
+        'error' => 'Error refining the content model: ' . $e->getMessage(),
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Applies changes to an existing content type the user approved.
+   *
+   * @param array $data
+   *   The decoded request data, with the 'target' bundle and 'changes'.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response.
+   */
+  private function handleRefineApply(array $data) {
+    $model = $this->loadRefineTarget($data);
+    if (!$model || empty($data['changes']) || !is_array($data['changes'])) {
+      return new JsonResponse([
+        'error' => 'An existing content type and the changes to apply are required',
+      ], Response::HTTP_BAD_REQUEST);
+    }
+
+    try {
+      $result = $this->importer->applyFieldChanges($model['entity'], $model['bundle'], array_values($data['changes']));
+      $target = [
+        'entity' => $model['entity'],
+        'bundle' => $model['bundle'],
+        'label' => $model['label'],
+      ];
+
+      // Added fields can be undone like an import.
+      $changeset = $this->changesetStorage->add($result, $this->currentUser()->id());
+
+      return new JsonResponse($this->buildRefineResponse($result, $target, FALSE) + [
+        'changeset' => $changeset,
+        'target' => $target,
         'timestamp' => time(),
       ]);
     }
     catch (\Exception $e) {
-      $this->getLogger('dc_chatbot')->error('Model content error: @message', [
+      $this->getLogger('dc_chatbot')->error('Refine model apply error: @message', [
         '@message' => $e->getMessage(),
       ]);
 
       return new JsonResponse([
-        'error' => 'Error generating content model: ' . $e->getMessage(),
+        'error' => $e->getMessage(),
       ], Response::HTTP_INTERNAL_SERVER_ERROR);
     }
   }
 
+  /**
+   * Handles a request for a GraphQL query in the graphql-query mode.
+   *
+   * The AI writes the query from the plain-language request and the site
+   * model the widget sends along, in a ```graphql block. The widget runs it
+   * against the GraphQL Compose endpoint with the editor's session.
+   *
+   * @param array $data
+   *   The decoded request data.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The reply, with a 'graphql' part holding the 'query' when the AI wrote
+   *   one.
+   */
+  private function handleGraphQLRequest(array $data) {
+    $aiResponse = $this->chatbotService->processMessage($data['message'], $data);
+
+    // Questions back to the user carry no query.
+    if (!preg_match('/```(?:graphql|gql)\s*([\s\S]*?)\s*```/i', $aiResponse, $matches) || trim($matches[1]) === '') {
+      return new JsonResponse([
+        'response' => $aiResponse,
+        'timestamp' => time(),
+      ]);
+    }
+
+    $parts = [];
+    $text = trim(str_replace($matches[0], '', $aiResponse));
+    if ($text !== '') {
+      $parts[] = ['type' => 'text', 'content' => $text];
+    }
+    $parts[] = ['type' => 'graphql', 'query' => $matches[1]];
+
+    return new JsonResponse([
+      'response' => $aiResponse,
+      'parts' => $parts,
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Handles a request of the writing assistant on node forms.
+   *
+   * The AI answers from the bundle and field values of the document the
+   * widget sends along, putting each draft in a ```suggestion block whose
+   * info string names the field it is for, e.g. "```suggestion body".
+   *
+   * @param array $data
+   *   The decoded request data, with a normalized 'document'.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The reply, with 'text' and 'suggestion' parts when the AI drafted
+   *   text. Suggestions for no known field are for the document's target.
+   */
+  private function handleWritingRequest(array $data) {
+    $aiResponse = $this->chatbotService->processMessage($data['message'], $data);
+
+    $labels = array_column($data['document']['fields'], 'label', 'name');
+    $parts = [];
+    $suggested = FALSE;
+    foreach (preg_split('/(```suggestion\b[^\n]*\n[\s\S]*?```)/', $aiResponse, -1, PREG_SPLIT_DELIM_CAPTURE) as $piece) {
+      if (preg_match('/^```suggestion[ \t]*([a-z0-9_.]*)[^\n]*\n([\s\S]*?)\s*```$/', $piece, $matches)) {
+        if (trim($matches[2]) === '') {
+          continue;
+        }
+        $field = isset($labels[$matches[1]]) ? $matches[1] : $data['document']['target'];
+        $parts[] = [
+          'type' => 'suggestion',
+          'field' => $field,
+          'label' => $field ? $labels[$field] : NULL,
+          'content' => $matches[2],
+        ];
+        $suggested = TRUE;
+      }
+      elseif (trim($piece) !== '') {
+        $parts[] = ['type' => 'text', 'content' => trim($piece)];
+      }
+    }
+
+    // Questions back to the editor carry no suggestion.
+    if (!$suggested) {
+      return new JsonResponse([
+        'response' => $aiResponse,
+        'timestamp' => time(),
+      ]);
+    }
+
+    return new JsonResponse([
+      'response' => $aiResponse,
+      'parts' => $parts,
+      'timestamp' => time(),
+    ]);
+  }
+
+  /**
+   * Loads the content type a refine request targets.
+   *
+   * @param array $data
+   *   The decoded request data, with 'target' holding 'entity' ('node' by
+   *   default) and 'bundle'.
+   *
+   * @return array|null
+   *   The bundle description from DrupalContentImporter::describeBundle(),
+   *   or NULL if the target is missing or does not exist.
+   */
+  private function loadRefineTarget(array $data) {
+    $target = $data['target'] ?? NULL;
+    if (!is_array($target) || empty($target['bundle']) || !is_string($target['bundle'])) {
+      return NULL;
+    }
+
+    $entity_type = $target['entity'] ?? 'node';
+    if (!in_array($entity_type, ['node', 'paragraph'], TRUE)) {
+      return NULL;
+    }
+
+    return $this->importer->describeBundle($entity_type, $target['bundle']);
+  }
+
+  /**
+   * Builds the before/after summary of changes to a content type.
+   *
+   * @param array $result
+   *   The result of DrupalContentImporter::applyFieldChanges().
+   * @param array $target
+   *   The content type, with 'label'.
+   * @param bool $preview
+   *   Whether the changes were only dry-run.
+   *
+   * @return array
+   *   Response data with typed 'parts' and the Markdown 'response'.
+   */
+  private function buildRefineResponse(array $result, array $target, $preview) {
+    $warnings = array_values(array_unique($result['warnings']));
+
+    if (!$result['changes']) {
+      $text = "ℹ️ **Nothing to change in {$target['label']}**";
+    }
+    else {
+      $text = $preview
+        ? "📝 **Proposed changes to {$target['label']}**\n\nApply them to update the content type; existing content is kept."
+        : "✅ **{$target['label']} updated**";
+    }
+
+    $response = $text . "\n\n";
+    foreach ($result['changes'] as $change) {
+      $after = $change['after'];
+      $required = $after['required'] ? ', required' : '';
+      if ($change['op'] === 'add') {
+        $response .= "• Added {$after['label']} ({$change['field']}): {$after['type']}{$required}\n";
+        continue;
+      }
+
+      $differences = [];
+      foreach (['label', 'required', 'description'] as $key) {
+        if ($change['before'][$key] !== $after[$key]) {
+          $before_value = is_bool($change['before'][$key]) ? ($change['before'][$key] ? 'yes' : 'no') : "\"{$change['before'][$key]}\"";
+          $after_value = is_bool($after[$key]) ? ($after[$key] ? 'yes' : 'no') : "\"{$after[$key]}\"";
+          $differences[] = "{$key} {$before_value} → {$after_value}";
+        }
+      }
+      $response .= "• Changed {$change['field']}: " . implode(', ', $differences) . "\n";
+    }
+    if ($warnings) {
+      $response .= "\n⚠️ **Warnings:**\n";
+      foreach ($warnings as $warning) {
+        $response .= "• {$warning}\n";
+      }
+    }
+
+    $parts = [
+      ['type' => 'text', 'content' => $text],
+    ];
+    if ($result['changes']) {
+      $parts[] = ['type' => 'changes', 'items' => $result['changes']];
+    }
+    if ($warnings) {
+      $parts[] = ['type' => 'warnings', 'items' => $warnings];
+    }
+
+    return [
+      'response' => $response,
+      'parts' => $parts,
+    ];
+  }
 
   /**
    * Import configuration using dc_import service.
    */
   private function importConfiguration(array $config) {
     try {
-      // Get the dc_import service
-      $importer = \Drupal::service('dc_import.importer');
-
       // Perform the import
-      $result = $importer->import($config, FALSE);
+      $result = $this->importer->import($config, FALSE);
 
       return $result;
     }
@@ -160,65 +1091,111 @@ class ChatbotController extends ControllerBase {
   }
 
   /**
-   * Format import result for user response.
+   * Builds the response for a finished import.
+   *
+   * @param array $result
+   *   The dc_import result, with 'summary', 'warnings' and 'created' lists.
+   *
+   * @return array
+   *   Response data with typed 'parts', and the same reply as Markdown in
+   *   'response' for clients that do not render parts.
    */
-  private function formatImportResult(array $result) {
-    $summary = $result['summary'] ?? [];
-    $warnings = $result['warnings'] ?? [];
-    $created_nodes = $result['created_nodes'] ?? [];
+  private function buildImportResponse(array $result) {
+    $summary = array_values(array_unique($result['summary'] ?? []));
+    $warnings = array_values(array_unique($result['warnings'] ?? []));
+    $created = $this->buildCreatedEntities($result['created'] ?? []);
 
     if (empty($summary)) {
-      return 'Configuration imported successfully!';
+      return [
+        'response' => 'Configuration imported successfully!',
+        'parts' => [
+          ['type' => 'text', 'content' => 'Configuration imported successfully!'],
+        ],
+      ];
     }
 
-    $response = "✅ **Content model created successfully!**\n\n";
+    $text = "✅ **Content model created successfully!**\n\n";
+    foreach ($summary as $item) {
+      $text .= "• {$item}\n";
+    }
 
-    // Deduplicate summary items
-    $unique_summary = array_unique($summary);
+    $parts = [
+      ['type' => 'text', 'content' => $text],
+    ];
+    $response = $text;
 
-    // Extract node information from summary messages for later use
-    $created_content = [];
-    foreach ($unique_summary as $item) {
-      // Look for "Created node: Title (ID: X, type: Y)" pattern
-      if (preg_match('/Created node: (.+) \(ID: (\d+), type: (.+)\)/', $item, $matches)) {
-        $title = $matches[1];
-        $nid = $matches[2];
-        $type = $matches[3];
+    if ($warnings) {
+      $parts[] = ['type' => 'warnings', 'items' => $warnings];
 
-        $created_content[] = [
-          'title' => $title,
-          'nid' => $nid,
-          'type' => $type
-        ];
+      $response .= "\n⚠️ **Warnings:**\n";
+      foreach ($warnings as $warning) {
+        $response .= "• {$warning}\n";
       }
     }
 
-    foreach ($unique_summary as $item) {
-      $response .= "• {$item}\n";
-    }
+    $nodes = array_values(array_filter($created, function ($entity) {
+      return $entity['entity_type'] === 'node';
+    }));
+    if ($nodes) {
+      $parts[] = [
+        'type' => 'entities',
+        'items' => $nodes,
+      ];
 
-    if (!empty($warnings)) {
-      $response .= "\n⚠️ **Warnings:**\n";
-      // Deduplicate warnings too
-      $unique_warnings = array_unique($warnings);
-      foreach ($unique_warnings as $warning) {
-        $response .= "• {$warning}\n";
+      $response .= "\n📄 **Sample content created:**\n";
+      foreach ($nodes as $node) {
+        $link = $node['links']['edit'] ?? $node['links']['view'] ?? NULL;
+        $response .= $link ? "• [{$node['label']}]({$link})\n" : "• {$node['label']}\n";
       }
     }
 
-    // Add links to created content at the end
-    if (!empty($created_content)) {
-      $response .= "\n📄 **Sample content created:**\n";
-      foreach ($created_content as $node_info) {
-        $title = $node_info['title'];
-        $nid = $node_info['nid'];
+    return [
+      'response' => $response,
+      'parts' => $parts,
+    ];
+  }
+
+  /**
+   * Adds the View, Edit and Preview links to created entities.
+   *
+   * @param array $created
+   *   The 'created' list from the dc_import result.
+   *
+   * @return array
+   *   The entities the current user can see, each with a 'links' array.
+   */
+  private function buildCreatedEntities(array $created) {
+    $frontend_url = rtrim((string) $this->config('next.settings')->get('base_url'), '/');
+    $items = [];
 
-        $edit_link = "/node/{$nid}/edit";
-        $response .= "• [{$title}]({$edit_link})\n";
+    foreach ($created as $info) {
+      $entity = $this->entityTypeManager()->getStorage($info['entity_type'])->load($info['id']);
+      if (!$entity || !$entity->access('view')) {
+        continue;
       }
+
+      $links = [];
+      if ($entity->hasLinkTemplate('canonical')) {
+        $links['view'] = $entity->toUrl()->toString();
+      }
+      if ($entity->hasLinkTemplate('edit-form') && $entity->access('update')) {
+        $links['edit'] = $entity->toUrl('edit-form')->toString();
+      }
+      // Nodes are previewed on the decoupled frontend, by path alias.
+      if ($frontend_url && $info['entity_type'] === 'node') {
+        $links['preview'] = $frontend_url . $this->aliasManager->getAliasByPath('/node/' . $entity->id());
+      }
+
+      $items[] = [
+        'entity_type' => $info['entity_type'],
+        'id' => $info['id'],
+        'bundle' => $info['bundle'],
+        'label' => $entity->label() ?? $info['label'],
+        'links' => $links,
+      ];
     }
 
-    return $response;
+    return $items;
   }
 
   /**
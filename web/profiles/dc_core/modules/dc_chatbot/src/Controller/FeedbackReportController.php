@@ -0,0 +1,171 @@
+<?php
+
+namespace Drupal\dc_chatbot\Controller;
+
+use Drupal\Component\Utility\Unicode;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Datetime\DateFormatterInterface;
+use Drupal\Core\Url;
+use Drupal\dc_chatbot\Form\FeedbackFilterForm;
+use Drupal\dc_chatbot\Service\FeedbackStorage;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+/**
+ * Admin report of feedback given to chatbot answers.
+ */
+class FeedbackReportController extends ControllerBase {
+
+  /**
+   * The feedback storage.
+   *
+   * @var \Drupal\dc_chatbot\Service\FeedbackStorage
+   */
+  protected $feedbackStorage;
+
+  /**
+   * The date formatter.
+   *
+   * @var \Drupal\Core\Datetime\DateFormatterInterface
+   */
+  protected $dateFormatter;
+
+  /**
+   * Constructs a new FeedbackReportController object.
+   *
+   * @param \Drupal\dc_chatbot\Service\FeedbackStorage $feedback_storage
+   *   The feedback storage.
+   * @param \Drupal\Core\Datetime\DateFormatterInterface $date_formatter
+   *   The date formatter.
+   */
+  public function __construct(FeedbackStorage $feedback_storage, DateFormatterInterface $date_formatter) {
+    $this->feedbackStorage = $feedback_storage;
+    $this->dateFormatter = $date_formatter;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('dc_chatbot.feedback_storage'),
+      $container->get('date.formatter')
+    );
+  }
+
+  /**
+   * Lists feedback, low-rated answers first by default.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return array
+   *   A render array.
+   */
+  public function report(Request $request) {
+    $filters = $this->getFilters($request);
+
+    $build['filters'] = $this->formBuilder()->getForm(FeedbackFilterForm::class, $filters, $this->feedbackStorage->getModes());
+
+    $build['export'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Export CSV'),
+      '#url' => Url::fromRoute('dc_chatbot.feedback_export', [], ['query' => array_filter($filters)]),
+      '#attributes' => ['class' => ['button', 'button--small']],
+    ];
+
+    $rows = [];
+    foreach ($this->feedbackStorage->loadPage($filters) as $feedback) {
+      $rows[] = [
+        $this->dateFormatter->format($feedback->created, 'short'),
+        $feedback->mode,
+        $feedback->rating > 0 ? '👍' : '👎',
+        Unicode::truncate((string) $feedback->question, 120, TRUE, TRUE),
+        Unicode::truncate($feedback->answer, 200, TRUE, TRUE),
+        (string) $feedback->comment,
+      ];
+    }
+
+    $build['table'] = [
+      '#type' => 'table',
+      '#header' => [
+        $this->t('Date'),
+        $this->t('Mode'),
+        $this->t('Rating'),
+        $this->t('Question'),
+        $this->t('Answer'),
+        $this->t('Comment'),
+      ],
+      '#rows' => $rows,
+      '#empty' => $this->t('No feedback matches these filters.'),
+    ];
+
+    $build['pager'] = ['#type' => 'pager'];
+
+    $build['#cache']['max-age'] = 0;
+
+    return $build;
+  }
+
+  /**
+   * Exports the filtered feedback as CSV.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   *
+   * @return \Symfony\Component\HttpFoundation\StreamedResponse
+   *   The CSV download.
+   */
+  public function export(Request $request) {
+    $filters = $this->getFilters($request);
+    $result = $this->feedbackStorage->loadAll($filters);
+
+    $response = new StreamedResponse(function () use ($result) {
+      $handle = fopen('php://output', 'w');
+      fputcsv($handle, ['id', 'date', 'mode', 'rating', 'question', 'answer', 'comment', 'uid']);
+      foreach ($result as $feedback) {
+        fputcsv($handle, [
+          $feedback->id,
+          date('c', $feedback->created),
+          $feedback->mode,
+          $feedback->rating,
+          $this->csvText($feedback->question),
+          $this->csvText($feedback->answer),
+          $this->csvText($feedback->comment),
+          $feedback->uid,
+        ]);
+      }
+      fclose($handle);
+    });
+
+    $filename = 'chatbot-feedback-' . date('Y-m-d') . '.csv';
+    $response->headers->set('Content-Type', 'text/csv; charset=utf-8');
+    $response->headers->set('Content-Disposition', 'attachment; filename="' . $filename . '"');
+
+    return $response;
+  }
+
+  /**
+   * Keeps user-written text from being read as a spreadsheet formula.
+   */
+  protected function csvText($text) {
+    $text = (string) $text;
+    return preg_match('/^[=+\-@\t\r]/', $text) ? "'" . $text : $text;
+  }
+
+  /**
+   * Reads the report filters from the query string.
+   */
+  protected function getFilters(Request $request) {
+    $rating = $request->query->get('rating', 'down');
+
+    return [
+      'rating' => in_array($rating, ['down', 'up', 'all'], TRUE) ? $rating : 'down',
+      'mode' => (string) $request->query->get('mode', ''),
+      'from' => (string) $request->query->get('from', ''),
+      'to' => (string) $request->query->get('to', ''),
+    ];
+  }
+
+}
@@ -0,0 +1,157 @@
+<?php
+
+namespace Drupal\dc_chatbot\EventSubscriber;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\dc_chatbot\Authentication\ApiKeyAuthenticator;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpKernel\Event\RequestEvent;
+use Symfony\Component\HttpKernel\Event\ResponseEvent;
+use Symfony\Component\HttpKernel\KernelEvents;
+
+/**
+ * Lets the standalone chatbot widget call the chat API across origins.
+ *
+ * Cross-origin requests to /api/chat and its sub-paths are only accepted
+ * from the origins listed in dc_chatbot.settings:allowed_origins, and only
+ * with a valid API key (see ApiKeyAuthenticator). Same-origin requests from
+ * the Drupal block are left alone; requests without an Origin header are
+ * no shortcut, as ChatbotAccessCheck still requires the key or the chatbot
+ * permission.
+ */
+class CorsSubscriber implements EventSubscriberInterface {
+
+  /**
+   * Paths the widget may call.
+   */
+  const PATH_PATTERN = '#^/api/chat(/|$)#';
+
+  /**
+   * Request headers the widget sends.
+   */
+  const ALLOWED_HEADERS = 'Content-Type, Accept, X-API-Key';
+
+  /**
+   * Seconds browsers may cache a preflight response.
+   */
+  const MAX_AGE = 3600;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * Constructs a CorsSubscriber object.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory) {
+    $this->configFactory = $config_factory;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents() {
+    // After authentication (300), before routing (32): preflight requests
+    // carry no credentials and must not hit the method requirements.
+    return [
+      KernelEvents::REQUEST => ['onKernelRequest', 100],
+      KernelEvents::RESPONSE => ['onKernelResponse', -100],
+    ];
+  }
+
+  /**
+   * Answers preflight requests and rejects unauthorized cross-origin calls.
+   *
+   * @param \Symfony\Component\HttpKernel\Event\RequestEvent $event
+   *   The event object.
+   */
+  public function onKernelRequest(RequestEvent $event) {
+    $request = $event->getRequest();
+    if (!$event->isMainRequest() || !$this->isCrossOriginApiRequest($request)) {
+      return;
+    }
+
+    if (!$this->isAllowedOrigin($request->headers->get('Origin'))) {
+      $event->setResponse(new JsonResponse([
+        'error' => 'This origin is not allowed to use the chatbot',
+      ], Response::HTTP_FORBIDDEN));
+      return;
+    }
+
+    if ($request->isMethod('OPTIONS')) {
+      $response = new Response('', Response::HTTP_NO_CONTENT);
+      $response->headers->set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      $response->headers->set('Access-Control-Allow-Headers', self::ALLOWED_HEADERS);
+      $response->headers->set('Access-Control-Max-Age', (string) self::MAX_AGE);
+      $event->setResponse($response);
+      return;
+    }
+
+    if (!$request->attributes->get(ApiKeyAuthenticator::REQUEST_ATTRIBUTE)) {
+      $event->setResponse(new JsonResponse([
+        'error' => 'A valid API key is required',
+      ], Response::HTTP_UNAUTHORIZED));
+    }
+  }
+
+  /**
+   * Adds CORS headers to responses for allowed origins.
+   *
+   * @param \Symfony\Component\HttpKernel\Event\ResponseEvent $event
+   *   The event object.
+   */
+  public function onKernelResponse(ResponseEvent $event) {
+    $request = $event->getRequest();
+    if (!$event->isMainRequest() || !preg_match(self::PATH_PATTERN, $request->getPathInfo())) {
+      return;
+    }
+
+    $response = $event->getResponse();
+    $response->setVary('Origin', FALSE);
+
+    $origin = $request->headers->get('Origin');
+    if ($this->isCrossOriginApiRequest($request) && $this->isAllowedOrigin($origin)) {
+      $response->headers->set('Access-Control-Allow-Origin', $origin);
+    }
+  }
+
+  /**
+   * Checks whether a request is a cross-origin call to the chat API.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return bool
+   *   TRUE for requests to a chat API path from another origin.
+   */
+  protected function isCrossOriginApiRequest(Request $request) {
+    $origin = $request->headers->get('Origin');
+    return $origin
+      && $origin !== $request->getSchemeAndHttpHost()
+      && preg_match(self::PATH_PATTERN, $request->getPathInfo());
+  }
+
+  /**
+   * Checks an origin against the configured allowed origins.
+   *
+   * @param string|null $origin
+   *   The Origin request header.
+   *
+   * @return bool
+   *   TRUE if the widget may be embedded on that origin.
+   */
+  protected function isAllowedOrigin($origin) {
+    $allowed = $this->configFactory->get('dc_chatbot.settings')->get('allowed_origins') ?: [];
+    return $origin && in_array(rtrim($origin, '/'), $allowed, TRUE);
+  }
+
+}
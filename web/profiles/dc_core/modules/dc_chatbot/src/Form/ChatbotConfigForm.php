@@ -2,14 +2,52 @@
 
 namespace Drupal\dc_chatbot\Form;
 
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Config\TypedConfigManagerInterface;
 use Drupal\Core\Form\ConfigFormBase;
+use Drupal\Core\File\FileSystemInterface;
 use Drupal\Core\Form\FormStateInterface;
+use Drupal\dc_chatbot\Service\FixtureStore;
+use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
  * Configure Decoupled Drupal Chatbot settings.
  */
 class ChatbotConfigForm extends ConfigFormBase {
 
+  /**
+   * The file system.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * Constructs a new ChatbotConfigForm object.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\Config\TypedConfigManagerInterface $typed_config_manager
+   *   The typed config manager.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, TypedConfigManagerInterface $typed_config_manager, FileSystemInterface $file_system) {
+    parent::__construct($config_factory, $typed_config_manager);
+    $this->fileSystem = $file_system;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('config.factory'),
+      $container->get('config.typed'),
+      $container->get('file_system')
+    );
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -60,21 +98,106 @@ class ChatbotConfigForm extends ConfigFormBase {
       '#attributes' => ['readonly' => 'readonly'],
     ];
 
+    $form['backend'] = [
+      '#type' => 'radios',
+      '#title' => $this->t('Responses'),
+      '#options' => [
+        FixtureStore::BACKEND_LIVE => $this->t('Live: ask the AI service'),
+        FixtureStore::BACKEND_REPLAY => $this->t('Replay: serve recorded or canned responses, without the AI service'),
+        FixtureStore::BACKEND_RECORD => $this->t('Record: ask the AI service and save its responses for replay'),
+      ],
+      '#description' => $this->t('Replay lets you work on the chatbot offline, demo it and test it. Content models still go through the real import. Messages nothing was recorded for get the canned response of their mode.'),
+      '#default_value' => $config->get('backend') ?: FixtureStore::BACKEND_LIVE,
+    ];
+
+    $form['fixtures_directory'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Fixtures directory'),
+      '#description' => $this->t('Where responses are recorded and replayed from, e.g. %example. Recorded responses may contain site content, so avoid public directories.', [
+        '%example' => FixtureStore::DEFAULT_DIRECTORY,
+      ]),
+      '#default_value' => $config->get('fixtures_directory') ?: FixtureStore::DEFAULT_DIRECTORY,
+      '#maxlength' => 255,
+      '#states' => [
+        'invisible' => [
+          ':input[name="backend"]' => ['value' => FixtureStore::BACKEND_LIVE],
+        ],
+      ],
+    ];
+
+    $form['allowed_origins'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Allowed Widget Origins'),
+      '#description' => $this->t('Decoupled frontends that may embed the standalone chatbot widget, one origin per line, e.g. %example. Their requests must include the API key, which is public once embedded: it only lets these origins use the chat API, as the anonymous user.', [
+        '%example' => 'https://www.example.com',
+      ]),
+      '#default_value' => implode("\n", $config->get('allowed_origins') ?: []),
+      '#rows' => 3,
+    ];
 
     return parent::buildForm($form, $form_state);
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    $origins = $this->parseOrigins($form_state->getValue('allowed_origins'));
+    foreach ($origins as $origin) {
+      // An origin is a scheme, host and optional port, without a path.
+      if (!preg_match('@^https?://[^/\s?#]+$@', $origin)) {
+        $form_state->setErrorByName('allowed_origins', $this->t('%origin is not a valid origin. Use the scheme and host only, e.g. %example.', [
+          '%origin' => $origin,
+          '%example' => 'https://www.example.com',
+        ]));
+      }
+    }
+    $form_state->setValue('allowed_origins', $origins);
+
+    // Recording must not fail silently on every message.
+    if ($form_state->getValue('backend') === FixtureStore::BACKEND_RECORD) {
+      $directory = trim($form_state->getValue('fixtures_directory')) ?: FixtureStore::DEFAULT_DIRECTORY;
+      if (!$this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY | FileSystemInterface::MODIFY_PERMISSIONS)) {
+        $form_state->setErrorByName('fixtures_directory', $this->t('The fixtures directory %directory is not writable.', [
+          '%directory' => $directory,
+        ]));
+      }
+    }
+
+    parent::validateForm($form, $form_state);
+  }
+
   /**
    * {@inheritdoc}
    */
   public function submitForm(array &$form, FormStateInterface $form_state) {
-    // Only save the enabled checkbox - API key comes from environment variable
-    // and API URL is read-only
+    // Only save the enabled checkbox, origins and response settings - API
+    // key comes from environment variable and API URL is read-only
     $this->config('dc_chatbot.settings')
       ->set('enabled', $form_state->getValue('enabled'))
+      ->set('backend', $form_state->getValue('backend'))
+      ->set('fixtures_directory', trim($form_state->getValue('fixtures_directory')) ?: FixtureStore::DEFAULT_DIRECTORY)
+      ->set('allowed_origins', $form_state->getValue('allowed_origins'))
       ->save();
 
     parent::submitForm($form, $form_state);
   }
 
+  /**
+   * Splits the allowed origins textarea into a list.
+   *
+   * @param string $text
+   *   One origin per line.
+   *
+   * @return string[]
+   *   The origins, without trailing slashes or duplicates.
+   */
+  protected function parseOrigins($text) {
+    $origins = array_map(function ($origin) {
+      return rtrim(trim($origin), '/');
+    }, preg_split('/\R/', (string) $text));
+
+    return array_values(array_unique(array_filter($origins)));
+  }
+
 }
@@ -0,0 +1,88 @@
+<?php
+
+namespace Drupal\dc_chatbot\Form;
+
+use Drupal\Core\Form\FormBase;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Url;
+
+/**
+ * Filters the chatbot feedback report by rating, mode and date.
+ *
+ * Filters are kept in the query string, so the filtered report and its CSV
+ * export can be bookmarked and shared.
+ */
+class FeedbackFilterForm extends FormBase {
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getFormId() {
+    return 'dc_chatbot_feedback_filter_form';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state, array $filters = [], array $modes = []) {
+    $form['#attributes']['class'][] = 'form--inline';
+
+    $form['rating'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Rating'),
+      '#options' => [
+        'down' => $this->t('Thumbs down'),
+        'up' => $this->t('Thumbs up'),
+        'all' => $this->t('All'),
+      ],
+      '#default_value' => $filters['rating'],
+    ];
+
+    $form['mode'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Mode'),
+      '#options' => ['' => $this->t('- Any -')] + array_combine($modes, $modes),
+      '#default_value' => $filters['mode'],
+    ];
+
+    $form['from'] = [
+      '#type' => 'date',
+      '#title' => $this->t('From'),
+      '#default_value' => $filters['from'],
+    ];
+
+    $form['to'] = [
+      '#type' => 'date',
+      '#title' => $this->t('To'),
+      '#default_value' => $filters['to'],
+    ];
+
+    $form['actions'] = ['#type' => 'actions'];
+    $form['actions']['submit'] = [
+      '#type' => 'submit',
+      '#value' => $this->t('Filter'),
+    ];
+    $form['actions']['reset'] = [
+      '#type' => 'link',
+      '#title' => $this->t('Reset'),
+      '#url' => Url::fromRoute('dc_chatbot.feedback_report'),
+    ];
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function submitForm(array &$form, FormStateInterface $form_state) {
+    $query = array_filter([
+      'rating' => $form_state->getValue('rating'),
+      'mode' => $form_state->getValue('mode'),
+      'from' => $form_state->getValue('from'),
+      'to' => $form_state->getValue('to'),
+    ]);
+
+    $form_state->setRedirect('dc_chatbot.feedback_report', [], ['query' => $query]);
+  }
+
+}
@@ -2,12 +2,17 @@
 
 namespace Drupal\dc_chatbot\Plugin\Block;
 
+use Drupal\Component\Utility\Html;
+use Drupal\Component\Uuid\UuidInterface;
 use Drupal\Core\Access\AccessResult;
 use Drupal\Core\Block\BlockBase;
 use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
 use Drupal\Core\Session\AccountInterface;
+use Drupal\Core\Url;
+use Drupal\dc_chatbot\Service\FixtureStore;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
@@ -28,6 +33,27 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
    */
   protected $configFactory;
 
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountInterface
+   */
+  protected $currentUser;
+
+  /**
+   * The UUID generator.
+   *
+   * @var \Drupal\Component\Uuid\UuidInterface
+   */
+  protected $uuid;
+
   /**
    * Constructs a new ChatbotBlock object.
    *
@@ -39,10 +65,19 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
    *   The plugin implementation definition.
    * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
    *   The config factory.
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Session\AccountInterface $current_user
+   *   The current user.
+   * @param \Drupal\Component\Uuid\UuidInterface $uuid
+   *   The UUID generator.
    */
-  public function __construct(array $configuration, $plugin_id, $plugin_definition, ConfigFactoryInterface $config_factory) {
+  public function __construct(array $configuration, $plugin_id, $plugin_definition, ConfigFactoryInterface $config_factory, EntityTypeManagerInterface $entity_type_manager, AccountInterface $current_user, UuidInterface $uuid) {
     parent::__construct($configuration, $plugin_id, $plugin_definition);
     $this->configFactory = $config_factory;
+    $this->entityTypeManager = $entity_type_manager;
+    $this->currentUser = $current_user;
+    $this->uuid = $uuid;
   }
 
   /**
@@ -53,7 +88,10 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
       $configuration,
       $plugin_id,
       $plugin_definition,
-      $container->get('config.factory')
+      $container->get('config.factory'),
+      $container->get('entity_type.manager'),
+      $container->get('current_user'),
+      $container->get('uuid')
     );
   }
 
@@ -62,11 +100,21 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
    */
   public function defaultConfiguration() {
     return [
+      'instance_id' => '',
+      'display' => 'floating',
       'button_text' => $this->t('Chat with us'),
       'button_position' => 'bottom-right',
       'button_color' => '#007cba',
       'show_on_mobile' => TRUE,
       'trigger_delay' => 0,
+      'auto_open_scroll_depth' => 0,
+      'auto_open_exit_intent' => FALSE,
+      'auto_open_frequency' => 'session',
+      'auto_open_include' => '',
+      'auto_open_exclude' => '',
+      'auto_open_roles' => [],
+      'session_lifetime' => 60,
+      'request_timeout' => 60,
     ] + parent::defaultConfiguration();
   }
 
@@ -78,6 +126,23 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
 
     $config = $this->getConfiguration();
 
+    $form['display'] = [
+      '#type' => 'radios',
+      '#title' => $this->t('Display'),
+      '#default_value' => $config['display'] ?? 'floating',
+      '#options' => [
+        'floating' => $this->t('Floating: a button that opens the chatbot over the page'),
+        'inline' => $this->t('Inline: the chatbot is embedded in the region, always open'),
+      ],
+    ];
+
+    // Only the floating chatbot has a trigger button or opens by itself
+    $floating = [
+      'visible' => [
+        ':input[name="settings[display]"]' => ['value' => 'floating'],
+      ],
+    ];
+
     $form['button_text'] = [
       '#type' => 'textfield',
       '#title' => $this->t('Button Text'),
@@ -85,6 +150,7 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
       '#default_value' => $config['button_text'],
       '#required' => TRUE,
       '#maxlength' => 50,
+      '#states' => $floating,
     ];
 
     $form['button_position'] = [
@@ -98,6 +164,7 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
         'top-right' => $this->t('Top Right'),
         'top-left' => $this->t('Top Left'),
       ],
+      '#states' => $floating,
     ];
 
     $form['button_color'] = [
@@ -105,6 +172,7 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
       '#title' => $this->t('Button Color'),
       '#description' => $this->t('The background color of the chatbot trigger button.'),
       '#default_value' => $config['button_color'],
+      '#states' => $floating,
     ];
 
     $form['show_on_mobile'] = [
@@ -112,9 +180,18 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
       '#title' => $this->t('Show on Mobile'),
       '#description' => $this->t('Display the chatbot on mobile devices.'),
       '#default_value' => $config['show_on_mobile'],
+      '#states' => $floating,
     ];
 
-    $form['trigger_delay'] = [
+    $form['auto_open'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Auto-open'),
+      '#description' => $this->t('Open the chatbot without a click when any of the triggers below fires. It never opens by itself again once the visitor has closed it.'),
+      '#open' => !empty($config['trigger_delay']) || !empty($config['auto_open_scroll_depth']) || !empty($config['auto_open_exit_intent']),
+      '#states' => $floating,
+    ];
+
+    $form['auto_open']['trigger_delay'] = [
       '#type' => 'number',
       '#title' => $this->t('Auto-trigger Delay (seconds)'),
       '#description' => $this->t('Automatically open the chatbot after this many seconds. Set to 0 to disable.'),
@@ -124,19 +201,128 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
       '#step' => 1,
     ];
 
+    $form['auto_open']['auto_open_scroll_depth'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Scroll Depth (%)'),
+      '#description' => $this->t('Open once the visitor has scrolled this far down the page. Set to 0 to disable.'),
+      '#default_value' => $config['auto_open_scroll_depth'] ?? 0,
+      '#min' => 0,
+      '#max' => 100,
+      '#step' => 1,
+    ];
+
+    $form['auto_open']['auto_open_exit_intent'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Open on exit intent'),
+      '#description' => $this->t('Open when the mouse pointer leaves the top of the window. Desktop browsers only.'),
+      '#default_value' => $config['auto_open_exit_intent'] ?? FALSE,
+    ];
+
+    $form['auto_open']['auto_open_frequency'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Frequency'),
+      '#description' => $this->t('How often the chatbot may open by itself for the same visitor.'),
+      '#default_value' => $config['auto_open_frequency'] ?? 'session',
+      '#options' => [
+        'always' => $this->t('On every page load'),
+        'session' => $this->t('Once per browser session'),
+        'day' => $this->t('Once per day'),
+      ],
+    ];
+
+    $form['auto_open']['auto_open_include'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Only on these pages'),
+      '#description' => $this->t('One path per line, e.g. %blog or %front. The * character is a wildcard. Leave empty to allow every page.', [
+        '%blog' => '/blog/*',
+        '%front' => '<front>',
+      ]),
+      '#default_value' => $config['auto_open_include'] ?? '',
+      '#rows' => 3,
+    ];
+
+    $form['auto_open']['auto_open_exclude'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Never on these pages'),
+      '#description' => $this->t('One path per line, in the same format. Takes precedence over the pages above.'),
+      '#default_value' => $config['auto_open_exclude'] ?? '',
+      '#rows' => 3,
+    ];
+
+    $roles = [];
+    foreach ($this->entityTypeManager->getStorage('user_role')->loadMultiple() as $role) {
+      $roles[$role->id()] = $role->label();
+    }
+
+    $form['auto_open']['auto_open_roles'] = [
+      '#type' => 'checkboxes',
+      '#title' => $this->t('Only for these roles'),
+      '#description' => $this->t('Leave all unchecked to auto-open for everyone.'),
+      '#default_value' => $config['auto_open_roles'] ?? [],
+      '#options' => $roles,
+    ];
+
+    $form['session_lifetime'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Conversation Lifetime (minutes)'),
+      '#description' => $this->t('Keep the conversation in the browser across page loads for this many minutes of inactivity. Set to 0 to start fresh on every page.'),
+      '#default_value' => $config['session_lifetime'],
+      '#min' => 0,
+      '#max' => 10080,
+      '#step' => 1,
+    ];
+
+    $form['request_timeout'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Response Timeout (seconds)'),
+      '#description' => $this->t('Give up on a reply after this many seconds without receiving anything. Set to 0 to wait indefinitely.'),
+      '#default_value' => $config['request_timeout'],
+      '#min' => 0,
+      '#max' => 600,
+      '#step' => 1,
+    ];
+
     return $form;
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function blockValidate($form, FormStateInterface $form_state) {
+    foreach (['auto_open_include', 'auto_open_exclude'] as $key) {
+      foreach ($this->parsePaths($form_state->getValue(['auto_open', $key])) as $path) {
+        if ($path !== '<front>' && $path[0] !== '/') {
+          $form_state->setErrorByName('auto_open][' . $key, $this->t('The path %path requires a leading forward slash when used with the auto-open rules.', [
+            '%path' => $path,
+          ]));
+        }
+      }
+    }
+  }
+
   /**
    * {@inheritdoc}
    */
   public function blockSubmit($form, FormStateInterface $form_state) {
     parent::blockSubmit($form, $form_state);
+    // Keeps the conversation and auto-open state of each placement apart
+    if (empty($this->configuration['instance_id'])) {
+      $this->configuration['instance_id'] = substr(str_replace('-', '', $this->uuid->generate()), 0, 12);
+    }
+    $this->configuration['display'] = $form_state->getValue('display');
     $this->configuration['button_text'] = $form_state->getValue('button_text');
     $this->configuration['button_position'] = $form_state->getValue('button_position');
     $this->configuration['button_color'] = $form_state->getValue('button_color');
     $this->configuration['show_on_mobile'] = $form_state->getValue('show_on_mobile');
-    $this->configuration['trigger_delay'] = $form_state->getValue('trigger_delay');
+    $this->configuration['trigger_delay'] = $form_state->getValue(['auto_open', 'trigger_delay']);
+    $this->configuration['auto_open_scroll_depth'] = (int) $form_state->getValue(['auto_open', 'auto_open_scroll_depth']);
+    $this->configuration['auto_open_exit_intent'] = (bool) $form_state->getValue(['auto_open', 'auto_open_exit_intent']);
+    $this->configuration['auto_open_frequency'] = $form_state->getValue(['auto_open', 'auto_open_frequency']);
+    $this->configuration['auto_open_include'] = implode("\n", $this->parsePaths($form_state->getValue(['auto_open', 'auto_open_include'])));
+    $this->configuration['auto_open_exclude'] = implode("\n", $this->parsePaths($form_state->getValue(['auto_open', 'auto_open_exclude'])));
+    $this->configuration['auto_open_roles'] = array_values(array_filter($form_state->getValue(['auto_open', 'auto_open_roles'])));
+    $this->configuration['session_lifetime'] = $form_state->getValue('session_lifetime');
+    $this->configuration['request_timeout'] = $form_state->getValue('request_timeout');
   }
 
   /**
@@ -151,20 +337,30 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
       return [];
     }
 
-    // Don't render if API key is not configured (check environment variable)
+    // Don't render if API key is not configured (check environment variable),
+    // unless fixtures are replayed instead of calling the API
     $apiKey = getenv('CHATBOT_API_KEY');
-    if (empty($apiKey)) {
+    if (empty($apiKey) && $config->get('backend') !== FixtureStore::BACKEND_REPLAY) {
       return [];
     }
 
+    $welcome_message = $this->t("Hello! I'm your Decoupled Drupal assistant. How can I help you today?");
+
+    // Placements saved before instances existed share the default instance
+    $instance_id = !empty($block_config['instance_id']) ? $block_config['instance_id'] : 'default';
+    $display = ($block_config['display'] ?? 'floating') === 'inline' ? 'inline' : 'floating';
+
     return [
       '#theme' => 'dc_chatbot_block',
+      '#instance_id' => $instance_id,
+      '#html_id' => Html::getId('dc-chatbot-' . $instance_id),
+      '#display' => $display,
       '#button_text' => $block_config['button_text'],
       '#button_position' => $block_config['button_position'],
       '#button_color' => $block_config['button_color'],
       '#show_on_mobile' => $block_config['show_on_mobile'],
       '#trigger_delay' => $block_config['trigger_delay'],
-      '#welcome_message' => 'Hello! I\'m your Decoupled Drupal assistant. How can I help you today?',
+      '#welcome_message' => $welcome_message,
       '#attached' => [
         'library' => [
           'dc_chatbot/chatbot',
@@ -172,19 +368,42 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
         'drupalSettings' => [
           'decoupledChatbot' => [
             'enabled' => TRUE,
-            'buttonPosition' => $block_config['button_position'],
-            'buttonColor' => $block_config['button_color'],
-            'showOnMobile' => $block_config['show_on_mobile'],
-            'triggerDelay' => $block_config['trigger_delay'] * 1000, // Convert to milliseconds
-            'welcomeMessage' => 'Hello! I\'m your Decoupled Drupal assistant. How can I help you today?',
+            // Settings of this placement, merged over the shared ones below
+            'instances' => [
+              $instance_id => [
+                'display' => $display,
+                'buttonPosition' => $block_config['button_position'],
+                'buttonColor' => $block_config['button_color'],
+                'showOnMobile' => $block_config['show_on_mobile'],
+                'triggerDelay' => $block_config['trigger_delay'] * 1000, // Convert to milliseconds
+                'autoOpen' => [
+                  'scrollDepth' => (int) ($block_config['auto_open_scroll_depth'] ?? 0),
+                  'exitIntent' => !empty($block_config['auto_open_exit_intent']),
+                  'frequency' => $block_config['auto_open_frequency'] ?? 'session',
+                  'include' => $this->parsePaths($block_config['auto_open_include'] ?? ''),
+                  'exclude' => $this->parsePaths($block_config['auto_open_exclude'] ?? ''),
+                  'roles' => array_values($block_config['auto_open_roles'] ?? []),
+                ],
+                'sessionLifetime' => ($block_config['session_lifetime'] ?? 60) * 60000, // Convert to milliseconds
+                'requestTimeout' => ($block_config['request_timeout'] ?? 60) * 1000, // Convert to milliseconds
+              ],
+            ],
+            // Matched against autoOpen.roles in the browser
+            'userRoles' => $this->currentUser->getRoles(),
+            'welcomeMessage' => (string) $welcome_message,
+            'apiEndpoint' => Url::fromRoute('dc_chatbot.chat')->toString(),
+            // Hides the content modeling mode; /api/chat refuses it as well
+            'modelContentAccess' => $this->currentUser->hasPermission('use chatbot content modeling'),
+            // Where the GraphQL mode runs queries; NULL hides the mode
+            'graphqlEndpoint' => $this->getGraphQLEndpoint(),
             'spaceId' => $this->getSpaceId(),
             'nextjsApiUrl' => $this->getNextjsApiUrl(),
           ],
         ],
       ],
       '#cache' => [
-        'tags' => ['config:dc_chatbot.settings'],
-        'contexts' => ['user.permissions'],
+        'tags' => ['config:dc_chatbot.settings', 'config:graphql.graphql_servers.graphql_compose_server'],
+        'contexts' => ['user.permissions', 'user.roles', 'languages:language_interface'],
       ],
     ];
   }
@@ -196,6 +415,19 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
     return AccessResult::allowedIfHasPermission($account, 'use decoupled chatbot');
   }
 
+  /**
+   * Splits a list of paths entered one per line.
+   *
+   * @param string|null $text
+   *   The textarea value.
+   *
+   * @return string[]
+   *   The trimmed, non-empty paths.
+   */
+  protected function parsePaths($text) {
+    return array_values(array_filter(array_map('trim', preg_split('/\R/', (string) $text))));
+  }
+
   /**
    * Get the space ID for this site.
    *
@@ -223,6 +455,22 @@ class ChatbotBlock extends BlockBase implements ContainerFactoryPluginInterface
     return $host;
   }
 
+  /**
+   * Returns the URL of the GraphQL Compose endpoint configured by dc_api.
+   *
+   * @return string|null
+   *   The URL, or NULL if the server is missing or the current user may not
+   *   run queries against it.
+   */
+  protected function getGraphQLEndpoint() {
+    $endpoint = $this->configFactory->get('graphql.graphql_servers.graphql_compose_server')->get('endpoint');
+    if (!$endpoint || !$this->currentUser->hasPermission('execute graphql_compose_server arbitrary graphql requests')) {
+      return NULL;
+    }
+
+    return Url::fromUserInput($endpoint)->toString();
+  }
+
   /**
    * Get the Next.js API URL.
    */
@@ -0,0 +1,267 @@
+<?php
+
+namespace Drupal\dc_chatbot\Service;
+
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+
+/**
+ * Undoes a chatbot content model import recorded as a changeset.
+ */
+class ChangesetRollback {
+
+  /**
+   * The content entity type of each bundle entity type an import creates.
+   */
+  const BUNDLE_TYPES = [
+    'node_type' => 'node',
+    'paragraphs_type' => 'paragraph',
+  ];
+
+  /**
+   * Content entity types, in the order they are deleted.
+   */
+  const CONTENT_ORDER = ['node', 'media', 'paragraph'];
+
+  /**
+   * Configuration entity types, in the order they are deleted.
+   */
+  const CONFIG_ORDER = ['field_config', 'field_storage_config', 'node_type', 'paragraphs_type'];
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The changeset storage.
+   *
+   * @var \Drupal\dc_chatbot\Service\ChangesetStorage
+   */
+  protected $changesetStorage;
+
+  /**
+   * The logger factory.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelFactoryInterface
+   */
+  protected $loggerFactory;
+
+  /**
+   * Constructs a new ChangesetRollback object.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\dc_chatbot\Service\ChangesetStorage $changeset_storage
+   *   The changeset storage.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(EntityTypeManagerInterface $entity_type_manager, ChangesetStorage $changeset_storage, LoggerChannelFactoryInterface $logger_factory) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->changesetStorage = $changeset_storage;
+    $this->loggerFactory = $logger_factory;
+  }
+
+  /**
+   * Lists what a rollback would delete.
+   *
+   * Items deleted by hand since the import are left out, and so are field
+   * storages that bundles outside the changeset have reused since.
+   *
+   * @param object $changeset
+   *   The changeset, as loaded by ChangesetStorage::load().
+   *
+   * @return array
+   *   The items, in deletion order, each with 'entity_type', 'id' and
+   *   'label' keys.
+   */
+  public function describe($changeset) {
+    $items = [];
+    foreach ($this->getEntities($changeset) as $entity) {
+      $items[] = [
+        'entity_type' => $entity->getEntityTypeId(),
+        'id' => $entity->id(),
+        'label' => (string) ($entity->label() ?? $entity->id()),
+      ];
+    }
+    return $items;
+  }
+
+  /**
+   * Finds content added since the import that a rollback would delete.
+   *
+   * That is content of the bundles the import created, and values in the
+   * fields it added to existing bundles, other than its own sample content.
+   *
+   * @param object $changeset
+   *   The changeset, as loaded by ChangesetStorage::load().
+   *
+   * @return string[]
+   *   One message per affected bundle or field; empty if it is safe to roll
+   *   back.
+   */
+  public function findConflicts($changeset) {
+    $own = [];
+    foreach ($changeset->items['content'] as $item) {
+      $own[$item['entity_type']][] = $item['id'];
+    }
+
+    $created_bundles = [];
+    $conflicts = [];
+    foreach ($changeset->items['config'] as $item) {
+      if (isset(self::BUNDLE_TYPES[$item['entity_type']])) {
+        $entity_type = self::BUNDLE_TYPES[$item['entity_type']];
+        $created_bundles["{$entity_type}.{$item['id']}"] = TRUE;
+
+        $count = $this->countOtherEntities($entity_type, $item['id'], $own[$entity_type] ?? []);
+        if ($count) {
+          $conflicts[] = "{$count} {$entity_type} item(s) of type '{$item['id']}' were added after the import";
+        }
+      }
+    }
+
+    foreach ($changeset->items['config'] as $item) {
+      if ($item['entity_type'] !== 'field_config') {
+        continue;
+      }
+
+      [$entity_type, $bundle, $field_name] = explode('.', $item['id'], 3);
+      if (isset($created_bundles["{$entity_type}.{$bundle}"])) {
+        continue;
+      }
+
+      $count = $this->countOtherEntities($entity_type, $bundle, $own[$entity_type] ?? [], $field_name);
+      if ($count) {
+        $conflicts[] = "{$count} {$entity_type} item(s) of type '{$bundle}' have values in the added field '{$field_name}'";
+      }
+    }
+
+    return $conflicts;
+  }
+
+  /**
+   * Deletes what an import created and marks its changeset rolled back.
+   *
+   * Callers must check findConflicts() first.
+   *
+   * @param object $changeset
+   *   The changeset, as loaded by ChangesetStorage::load().
+   *
+   * @return array
+   *   The deleted items, as returned by describe().
+   *
+   * @throws \Exception
+   *   When an item could not be deleted. The changeset stays applied, so
+   *   the rollback can be retried.
+   */
+  public function rollback($changeset) {
+    $deleted = [];
+
+    try {
+      foreach ($this->getEntities($changeset) as $entity) {
+        // Deleting a bundle or the last field also deletes dependent items.
+        $storage = $this->entityTypeManager->getStorage($entity->getEntityTypeId());
+        $storage->resetCache([$entity->id()]);
+        if (!$storage->load($entity->id())) {
+          continue;
+        }
+
+        $entity->delete();
+        $deleted[] = [
+          'entity_type' => $entity->getEntityTypeId(),
+          'id' => $entity->id(),
+          'label' => (string) ($entity->label() ?? $entity->id()),
+        ];
+      }
+    }
+    catch (\Exception $e) {
+      $this->loggerFactory->get('dc_chatbot')->error('Rollback of changeset @id failed: @message', [
+        '@id' => $changeset->id,
+        '@message' => $e->getMessage(),
+      ]);
+      throw $e;
+    }
+
+    $this->changesetStorage->markRolledBack($changeset->id);
+    $this->loggerFactory->get('dc_chatbot')->notice('Rolled back changeset @id: @count items deleted.', [
+      '@id' => $changeset->id,
+      '@count' => count($deleted),
+    ]);
+
+    return $deleted;
+  }
+
+  /**
+   * Loads the entities of a changeset that still exist, in deletion order.
+   *
+   * A field storage another bundle has reused since the import is kept:
+   * deleting it would delete that bundle's field and all its values.
+   *
+   * @return \Drupal\Core\Entity\EntityInterface[]
+   *   The entities.
+   */
+  protected function getEntities($changeset) {
+    $ids = [];
+    $own_bundles = [];
+    foreach (array_merge($changeset->items['content'], $changeset->items['config']) as $item) {
+      $ids[$item['entity_type']][] = $item['id'];
+      if ($item['entity_type'] === 'field_config') {
+        [$target_type, $bundle, $field_name] = explode('.', $item['id'], 3);
+        $own_bundles["{$target_type}.{$field_name}"][] = $bundle;
+      }
+    }
+
+    $entities = [];
+    foreach (array_merge(self::CONTENT_ORDER, self::CONFIG_ORDER) as $entity_type) {
+      if (empty($ids[$entity_type]) || !$this->entityTypeManager->hasDefinition($entity_type)) {
+        continue;
+      }
+      $loaded = $this->entityTypeManager->getStorage($entity_type)->loadMultiple($ids[$entity_type]);
+      if ($entity_type === 'field_storage_config') {
+        $loaded = array_filter($loaded, function ($field_storage) use ($own_bundles) {
+          return !array_diff($field_storage->getBundles(), $own_bundles[$field_storage->id()] ?? []);
+        });
+      }
+      $entities = array_merge($entities, array_values($loaded));
+    }
+    return $entities;
+  }
+
+  /**
+   * Counts entities of a bundle that the import did not create.
+   *
+   * @param string $entity_type
+   *   The content entity type.
+   * @param string $bundle
+   *   The bundle.
+   * @param array $exclude
+   *   IDs of the entities the import created.
+   * @param string|null $field_name
+   *   (optional) Only count entities with a value in this field.
+   *
+   * @return int
+   *   The number of entities.
+   */
+  protected function countOtherEntities($entity_type, $bundle, array $exclude, $field_name = NULL) {
+    if (!$this->entityTypeManager->hasDefinition($entity_type)) {
+      return 0;
+    }
+
+    $definition = $this->entityTypeManager->getDefinition($entity_type);
+    $query = $this->entityTypeManager->getStorage($entity_type)->getQuery()
+      ->accessCheck(FALSE)
+      ->condition($definition->getKey('bundle'), $bundle);
+    if ($exclude) {
+      $query->condition($definition->getKey('id'), $exclude, 'NOT IN');
+    }
+    if ($field_name) {
+      $query->exists($field_name);
+    }
+
+    return (int) $query->count()->execute();
+  }
+
+}
@@ -0,0 +1,128 @@
+<?php
+
+namespace Drupal\dc_chatbot\Service;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Database\Connection;
+
+/**
+ * Stores what each chatbot content model import created.
+ */
+class ChangesetStorage {
+
+  /**
+   * The changeset table.
+   */
+  const TABLE = 'dc_chatbot_changeset';
+
+  /**
+   * Status of an import that is still in place.
+   */
+  const STATUS_APPLIED = 'applied';
+
+  /**
+   * Status of an import that was undone.
+   */
+  const STATUS_ROLLED_BACK = 'rolled_back';
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The time service.
+   *
+   * @var \Drupal\Component\Datetime\TimeInterface
+   */
+  protected $time;
+
+  /**
+   * Constructs a new ChangesetStorage object.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   */
+  public function __construct(Connection $database, TimeInterface $time) {
+    $this->database = $database;
+    $this->time = $time;
+  }
+
+  /**
+   * Records an import.
+   *
+   * @param array $result
+   *   The dc_import result, with 'created' and 'created_config' lists.
+   * @param int $uid
+   *   The user who ran the import.
+   *
+   * @return int|null
+   *   The changeset ID, or NULL if the import created nothing.
+   */
+  public function add(array $result, $uid) {
+    $items = [
+      'content' => array_values($result['created'] ?? []),
+      'config' => array_values($result['created_config'] ?? []),
+    ];
+    if (!$items['content'] && !$items['config']) {
+      return NULL;
+    }
+
+    return (int) $this->database->insert(self::TABLE)
+      ->fields([
+        'uid' => (int) $uid,
+        'items' => json_encode($items),
+        'status' => self::STATUS_APPLIED,
+        'created' => $this->time->getRequestTime(),
+      ])
+      ->execute();
+  }
+
+  /**
+   * Loads a changeset.
+   *
+   * @param int $id
+   *   The changeset ID.
+   *
+   * @return object|null
+   *   The changeset row, with 'items' decoded, or NULL if there is none.
+   */
+  public function load($id) {
+    $changeset = $this->database->select(self::TABLE, 'c')
+      ->fields('c')
+      ->condition('id', (int) $id)
+      ->execute()
+      ->fetchObject();
+    if (!$changeset) {
+      return NULL;
+    }
+
+    $items = json_decode($changeset->items, TRUE);
+    $changeset->items = [
+      'content' => $items['content'] ?? [],
+      'config' => $items['config'] ?? [],
+    ];
+    return $changeset;
+  }
+
+  /**
+   * Marks a changeset as rolled back.
+   *
+   * @param int $id
+   *   The changeset ID.
+   */
+  public function markRolledBack($id) {
+    $this->database->update(self::TABLE)
+      ->fields([
+        'status' => self::STATUS_ROLLED_BACK,
+        'rolled_back' => $this->time->getRequestTime(),
+      ])
+      ->condition('id', (int) $id)
+      ->execute();
+  }
+
+}
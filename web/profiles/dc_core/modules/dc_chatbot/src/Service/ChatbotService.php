@@ -24,6 +24,13 @@ class ChatbotService {
    */
   protected $loggerFactory;
 
+  /**
+   * The fixture store.
+   *
+   * @var \Drupal\dc_chatbot\Service\FixtureStore
+   */
+  protected $fixtureStore;
+
   /**
    * Constructs a new ChatbotService object.
    *
@@ -31,10 +38,13 @@ class ChatbotService {
    *   The config factory.
    * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
    *   The logger factory.
+   * @param \Drupal\dc_chatbot\Service\FixtureStore $fixture_store
+   *   The fixture store.
    */
-  public function __construct(ConfigFactoryInterface $config_factory, LoggerChannelFactoryInterface $logger_factory) {
+  public function __construct(ConfigFactoryInterface $config_factory, LoggerChannelFactoryInterface $logger_factory, FixtureStore $fixture_store) {
     $this->configFactory = $config_factory;
     $this->loggerFactory = $logger_factory;
+    $this->fixtureStore = $fixture_store;
   }
 
   /**
@@ -43,7 +53,9 @@ class ChatbotService {
    * @param string $message
    *   The user message.
    * @param array $context
-   *   Additional context data.
+   *   Additional context data. A 'history' key may hold prior turns, each an
+   *   array with 'role' ('user' or 'assistant') and 'content' keys, and a
+   *   'language' key the language code to answer in.
    *
    * @return string
    *   The chatbot response.
@@ -60,11 +72,17 @@ class ChatbotService {
       '@message' => substr($message, 0, 100),
     ]);
 
+    // Serve fixtures instead, e.g. to work on the widget offline
+    if ($this->fixtureStore->getBackend() === FixtureStore::BACKEND_REPLAY) {
+      return $this->replay($message, $context);
+    }
+
     // Try to call the Next.js API first
     $apiError = null;
     try {
       $nextjsResponse = $this->callNextjsAPI($message, $context);
       if ($nextjsResponse) {
+        $this->record($message, $context, $nextjsResponse);
         return $nextjsResponse;
       }
     }
@@ -79,6 +97,96 @@ class ChatbotService {
     return $this->getConnectionErrorMessage($apiError);
   }
 
+  /**
+   * Processes a chat message, reporting response text as it arrives.
+   *
+   * Falls back to a single complete response when the Next.js API does not
+   * stream.
+   *
+   * @param string $message
+   *   The user message.
+   * @param array $context
+   *   Additional context data.
+   * @param callable $on_delta
+   *   Called with each chunk of response text as it is received.
+   *
+   * @return string
+   *   The complete chatbot response.
+   */
+  public function streamMessage(string $message, array $context, callable $on_delta) {
+    $config = $this->configFactory->get('dc_chatbot.settings');
+
+    if (!$config->get('enabled', FALSE)) {
+      return 'Chatbot is currently disabled.';
+    }
+
+    $this->loggerFactory->get('dc_chatbot')->info('Chat message processed (streaming): @message', [
+      '@message' => substr($message, 0, 100),
+    ]);
+
+    if ($this->fixtureStore->getBackend() === FixtureStore::BACKEND_REPLAY) {
+      $response = $this->replay($message, $context);
+      // Stream word by word, like the API does
+      foreach (preg_split('/(?<=\s)/', $response) as $chunk) {
+        $on_delta($chunk);
+      }
+      return $response;
+    }
+
+    $apiError = null;
+    try {
+      $nextjsResponse = $this->streamNextjsAPI($message, $context, $on_delta);
+      if ($nextjsResponse) {
+        $this->record($message, $context, $nextjsResponse);
+        return $nextjsResponse;
+      }
+    }
+    catch (\Exception $e) {
+      $apiError = $e->getMessage();
+      $this->loggerFactory->get('dc_chatbot')->warning('Next.js API failed: @error', [
+        '@error' => $apiError,
+      ]);
+    }
+
+    return $this->getConnectionErrorMessage($apiError);
+  }
+
+  /**
+   * Returns the fixture response for a message in replay mode.
+   *
+   * @param string $message
+   *   The user message.
+   * @param array $context
+   *   Additional context data, with the chat 'mode'.
+   *
+   * @return string
+   *   The recorded or canned response, or a notice that there is none.
+   */
+  protected function replay(string $message, array $context) {
+    $mode = $context['mode'] ?? 'answer-question';
+    $response = $this->fixtureStore->find($mode, $message);
+    if ($response === NULL) {
+      return "⚠️ **No Fixture**\n\nThe chatbot is replaying fixtures and has none for this message. Record the exchange, or add a fixture for the '{$mode}' mode.";
+    }
+    return $response;
+  }
+
+  /**
+   * Saves a live response as a fixture in record mode.
+   *
+   * @param string $message
+   *   The user message.
+   * @param array $context
+   *   Additional context data, with the chat 'mode'.
+   * @param string $response
+   *   The response from the Next.js API.
+   */
+  protected function record(string $message, array $context, $response) {
+    if ($this->fixtureStore->getBackend() === FixtureStore::BACKEND_RECORD) {
+      $this->fixtureStore->save($context['mode'] ?? 'answer-question', $message, $response);
+    }
+  }
+
   /**
    * Returns a user-friendly error message when API connection fails.
    *
@@ -126,6 +234,127 @@ class ChatbotService {
    *   The response from Next.js API or NULL if failed.
    */
   protected function callNextjsAPI(string $message, array $context = []) {
+    $request = $this->buildNextjsRequest($message, $context);
+
+    $streamContext = stream_context_create($request['options']);
+    $response = @file_get_contents($request['url'], FALSE, $streamContext);
+
+    if ($response === FALSE) {
+      throw new \Exception('Failed to connect to Next.js API');
+    }
+
+    $data = json_decode($response, TRUE);
+    if (json_last_error() !== JSON_ERROR_NONE) {
+      throw new \Exception('Invalid JSON response from Next.js API');
+    }
+
+    if (isset($data['error'])) {
+      throw new \Exception($data['error']);
+    }
+
+    return $data['response'] ?? NULL;
+  }
+
+  /**
+   * Calls the Next.js API in streaming mode.
+   *
+   * The API is asked for newline-delimited JSON events of the form
+   * {"type": "delta", "content": "..."}, optionally wrapped as Server-Sent
+   * Events. A plain JSON response is accepted as well.
+   *
+   * @param string $message
+   *   The user message.
+   * @param array $context
+   *   Additional context data.
+   * @param callable $on_delta
+   *   Called with each chunk of response text as it is received.
+   *
+   * @return string|null
+   *   The complete response from Next.js API or NULL if failed.
+   */
+  protected function streamNextjsAPI(string $message, array $context, callable $on_delta) {
+    $request = $this->buildNextjsRequest($message, $context, TRUE);
+
+    $streamContext = stream_context_create($request['options']);
+    $handle = @fopen($request['url'], 'r', FALSE, $streamContext);
+
+    if ($handle === FALSE) {
+      throw new \Exception('Failed to connect to Next.js API');
+    }
+
+    try {
+      $contentType = '';
+      $meta = stream_get_meta_data($handle);
+      foreach ($meta['wrapper_data'] ?? [] as $header) {
+        if (stripos($header, 'Content-Type:') === 0) {
+          $contentType = strtolower(trim(substr($header, 13)));
+        }
+      }
+
+      // The API answered with a single JSON document.
+      if (strpos($contentType, 'ndjson') === FALSE && strpos($contentType, 'event-stream') === FALSE) {
+        $data = json_decode(stream_get_contents($handle), TRUE);
+        if (json_last_error() !== JSON_ERROR_NONE) {
+          throw new \Exception('Invalid JSON response from Next.js API');
+        }
+        if (isset($data['error'])) {
+          throw new \Exception($data['error']);
+        }
+        return $data['response'] ?? NULL;
+      }
+
+      $response = '';
+      while (($line = fgets($handle)) !== FALSE) {
+        $line = trim($line);
+        // SSE frames carry the payload on "data:" lines.
+        if (strpos($line, 'data:') === 0) {
+          $line = trim(substr($line, 5));
+        }
+        if ($line === '' || $line === '[DONE]' || $line[0] !== '{') {
+          continue;
+        }
+
+        $event = json_decode($line, TRUE);
+        if (!is_array($event)) {
+          continue;
+        }
+
+        if (isset($event['error'])) {
+          throw new \Exception($event['error']);
+        }
+
+        $type = $event['type'] ?? 'delta';
+        if ($type === 'delta' && isset($event['content']) && $event['content'] !== '') {
+          $response .= $event['content'];
+          $on_delta($event['content']);
+        }
+        elseif ($type === 'done' && isset($event['response'])) {
+          // The final event may carry the authoritative full text.
+          $response = $event['response'];
+        }
+      }
+
+      return $response !== '' ? $response : NULL;
+    }
+    finally {
+      fclose($handle);
+    }
+  }
+
+  /**
+   * Builds the URL and stream context options for a Next.js API call.
+   *
+   * @param string $message
+   *   The user message.
+   * @param array $context
+   *   Additional context data.
+   * @param bool $stream
+   *   Whether to ask the API for a streamed response.
+   *
+   * @return array
+   *   An array with 'url' and 'options' keys.
+   */
+  protected function buildNextjsRequest(string $message, array $context = [], $stream = FALSE) {
     $config = $this->configFactory->get('dc_chatbot.settings');
 
     // Get Next.js API URL from configuration
@@ -163,6 +392,31 @@ class ChatbotService {
       $payload['mode'] = $context['mode'];
     }
 
+    // Forward prior conversation turns so follow-up questions keep context
+    if (!empty($context['history'])) {
+      $payload['history'] = $context['history'];
+    }
+
+    // Language code the answer should be written in, e.g. "de"
+    if (!empty($context['language'])) {
+      $payload['language'] = $context['language'];
+    }
+
+    // Fields of the content type being refined, see the refine-model mode
+    if (!empty($context['currentModel'])) {
+      $payload['currentModel'] = $context['currentModel'];
+    }
+
+    // Bundles, fields and GraphQL types of this site, for grounded answers
+    if (!empty($context['siteModel'])) {
+      $payload['siteModel'] = $context['siteModel'];
+    }
+
+    // Bundle and field values of the node being written, see write-content
+    if (!empty($context['document'])) {
+      $payload['document'] = $context['document'];
+    }
+
     // Get the API key for authentication from environment variable
     // This is similar to how RESEND_API_KEY works for dc_mail
     $apiKey = getenv('CHATBOT_API_KEY');
@@ -176,6 +430,10 @@ class ChatbotService {
     $host = $request->getHttpHost();
     $origin = $scheme . '://' . $host;
 
+    if ($stream) {
+      $payload['stream'] = TRUE;
+    }
+
     $options = [
       'http' => [
         'method' => 'POST',
@@ -184,29 +442,17 @@ class ChatbotService {
           'User-Agent: Decoupled-Chatbot/1.0',
           'X-API-Key: ' . $apiKey,
           'Origin: ' . $origin,
+          'Accept: ' . ($stream ? 'application/x-ndjson, text/event-stream, application/json' : 'application/json'),
         ],
         'content' => json_encode($payload),
         'timeout' => 30,
       ],
     ];
 
-    $streamContext = stream_context_create($options);
-    $response = @file_get_contents($apiUrl, FALSE, $streamContext);
-
-    if ($response === FALSE) {
-      throw new \Exception('Failed to connect to Next.js API');
-    }
-
-    $data = json_decode($response, TRUE);
-    if (json_last_error() !== JSON_ERROR_NONE) {
-      throw new \Exception('Invalid JSON response from Next.js API');
-    }
-
-    if (isset($data['error'])) {
-      throw new \Exception($data['error']);
-    }
-
-    return $data['response'] ?? NULL;
+    return [
+      'url' => $apiUrl,
+      'options' => $options,
+    ];
   }
 
 }
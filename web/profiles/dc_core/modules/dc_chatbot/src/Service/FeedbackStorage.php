@@ -0,0 +1,168 @@
+<?php
+
+namespace Drupal\dc_chatbot\Service;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Database\Query\PagerSelectExtender;
+use Drupal\Core\Database\Query\SelectInterface;
+
+/**
+ * Stores and lists feedback given to chatbot answers.
+ */
+class FeedbackStorage {
+
+  /**
+   * The feedback table.
+   */
+  const TABLE = 'dc_chatbot_feedback';
+
+  /**
+   * The database connection.
+   *
+   * @var \Drupal\Core\Database\Connection
+   */
+  protected $database;
+
+  /**
+   * The time service.
+   *
+   * @var \Drupal\Component\Datetime\TimeInterface
+   */
+  protected $time;
+
+  /**
+   * Constructs a new FeedbackStorage object.
+   *
+   * @param \Drupal\Core\Database\Connection $database
+   *   The database connection.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   */
+  public function __construct(Connection $database, TimeInterface $time) {
+    $this->database = $database;
+    $this->time = $time;
+  }
+
+  /**
+   * Saves feedback on an answer.
+   *
+   * @param array $feedback
+   *   An array with 'answer', 'rating' (1 or -1) and optionally 'question',
+   *   'mode', 'comment' and 'uid'.
+   *
+   * @return int
+   *   The feedback ID.
+   */
+  public function add(array $feedback) {
+    return (int) $this->database->insert(self::TABLE)
+      ->fields([
+        'uid' => (int) ($feedback['uid'] ?? 0),
+        'mode' => (string) ($feedback['mode'] ?? ''),
+        'question' => $feedback['question'] ?? NULL,
+        'answer' => $feedback['answer'],
+        'rating' => $feedback['rating'] > 0 ? 1 : -1,
+        'comment' => $feedback['comment'] ?? NULL,
+        'created' => $this->time->getRequestTime(),
+      ])
+      ->execute();
+  }
+
+  /**
+   * Loads a page of feedback, newest first.
+   *
+   * @param array $filters
+   *   Filters as accepted by buildQuery().
+   * @param int $limit
+   *   The number of rows per page.
+   *
+   * @return object[]
+   *   The feedback rows.
+   */
+  public function loadPage(array $filters, $limit = 50) {
+    $query = $this->buildQuery($filters);
+    return $query->extend(PagerSelectExtender::class)
+      ->limit($limit)
+      ->execute()
+      ->fetchAll();
+  }
+
+  /**
+   * Loads all feedback matching the filters, newest first.
+   *
+   * @param array $filters
+   *   Filters as accepted by buildQuery().
+   *
+   * @return \Drupal\Core\Database\StatementInterface
+   *   The result, to iterate without loading every row at once.
+   */
+  public function loadAll(array $filters) {
+    return $this->buildQuery($filters)->execute();
+  }
+
+  /**
+   * Returns the modes feedback has been given in.
+   *
+   * @return string[]
+   *   The mode ids, sorted.
+   */
+  public function getModes() {
+    return $this->database->select(self::TABLE, 'f')
+      ->fields('f', ['mode'])
+      ->condition('mode', '', '<>')
+      ->distinct()
+      ->orderBy('mode')
+      ->execute()
+      ->fetchCol();
+  }
+
+  /**
+   * Builds the feedback query.
+   *
+   * @param array $filters
+   *   - rating: 'down' (the default), 'up' or 'all'.
+   *   - mode: Only feedback given in this mode.
+   *   - from, to: Only feedback given on or between these Y-m-d dates.
+   *
+   * @return \Drupal\Core\Database\Query\SelectInterface
+   *   The query.
+   */
+  protected function buildQuery(array $filters) {
+    $query = $this->database->select(self::TABLE, 'f')
+      ->fields('f')
+      ->orderBy('created', 'DESC')
+      ->orderBy('id', 'DESC');
+
+    $rating = $filters['rating'] ?? 'down';
+    if ($rating === 'down') {
+      $query->condition('rating', 0, '<');
+    }
+    elseif ($rating === 'up') {
+      $query->condition('rating', 0, '>');
+    }
+
+    if (!empty($filters['mode'])) {
+      $query->condition('mode', $filters['mode']);
+    }
+
+    $this->addDateCondition($query, $filters['from'] ?? NULL, '>=', '00:00:00');
+    $this->addDateCondition($query, $filters['to'] ?? NULL, '<=', '23:59:59');
+
+    return $query;
+  }
+
+  /**
+   * Adds a condition on the created date, ignoring invalid dates.
+   */
+  protected function addDateCondition(SelectInterface $query, $date, $operator, $time) {
+    if (!$date || !preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+      return;
+    }
+
+    $timestamp = strtotime("$date $time");
+    if ($timestamp !== FALSE) {
+      $query->condition('created', $timestamp, $operator);
+    }
+  }
+
+}
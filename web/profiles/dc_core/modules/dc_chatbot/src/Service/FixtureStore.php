@@ -0,0 +1,211 @@
+<?php
+
+namespace Drupal\dc_chatbot\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Extension\ModuleExtensionList;
+use Drupal\Core\File\FileSystemInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+
+/**
+ * Stores chatbot responses as fixtures, to replay them without the AI.
+ *
+ * A fixture is a JSON file with the 'mode', the 'message' and the
+ * 'response' text. Recorded fixtures are named after the mode and the
+ * normalized message, so the same question in the same mode replays the
+ * same answer; the conversation history is not part of the key. The
+ * module's fixtures directory holds one canned fixture per mode, used for
+ * messages nothing was recorded for.
+ */
+class FixtureStore {
+
+  /**
+   * Responses come from the Next.js API.
+   */
+  const BACKEND_LIVE = 'live';
+
+  /**
+   * Responses come from fixtures; the Next.js API is never called.
+   */
+  const BACKEND_REPLAY = 'replay';
+
+  /**
+   * Responses come from the Next.js API and are saved as fixtures.
+   */
+  const BACKEND_RECORD = 'record';
+
+  /**
+   * Where fixtures are recorded when no directory is configured.
+   */
+  const DEFAULT_DIRECTORY = 'private://dc_chatbot/fixtures';
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The file system.
+   *
+   * @var \Drupal\Core\File\FileSystemInterface
+   */
+  protected $fileSystem;
+
+  /**
+   * The module extension list.
+   *
+   * @var \Drupal\Core\Extension\ModuleExtensionList
+   */
+  protected $moduleList;
+
+  /**
+   * The logger factory.
+   *
+   * @var \Drupal\Core\Logger\LoggerChannelFactoryInterface
+   */
+  protected $loggerFactory;
+
+  /**
+   * Constructs a new FixtureStore object.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\File\FileSystemInterface $file_system
+   *   The file system.
+   * @param \Drupal\Core\Extension\ModuleExtensionList $module_list
+   *   The module extension list.
+   * @param \Drupal\Core\Logger\LoggerChannelFactoryInterface $logger_factory
+   *   The logger factory.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory, FileSystemInterface $file_system, ModuleExtensionList $module_list, LoggerChannelFactoryInterface $logger_factory) {
+    $this->configFactory = $config_factory;
+    $this->fileSystem = $file_system;
+    $this->moduleList = $module_list;
+    $this->loggerFactory = $logger_factory;
+  }
+
+  /**
+   * Returns where responses come from.
+   *
+   * @return string
+   *   One of the BACKEND_* constants.
+   */
+  public function getBackend() {
+    $backend = $this->configFactory->get('dc_chatbot.settings')->get('backend');
+    return in_array($backend, [self::BACKEND_REPLAY, self::BACKEND_RECORD], TRUE) ? $backend : self::BACKEND_LIVE;
+  }
+
+  /**
+   * Returns the directory fixtures are recorded in and replayed from.
+   *
+   * @return string
+   *   A stream wrapper URI or path.
+   */
+  public function getDirectory() {
+    return $this->configFactory->get('dc_chatbot.settings')->get('fixtures_directory') ?: self::DEFAULT_DIRECTORY;
+  }
+
+  /**
+   * Finds the response to replay for a message.
+   *
+   * @param string $mode
+   *   The chat mode, e.g. 'answer-question'.
+   * @param string $message
+   *   The user message.
+   *
+   * @return string|null
+   *   The recorded response, else the module's canned response for the
+   *   mode, or NULL if there is neither.
+   */
+  public function find($mode, $message) {
+    $recorded = $this->read($this->getDirectory() . '/' . $this->getFilename($mode, $message));
+    if ($recorded !== NULL) {
+      return $recorded;
+    }
+
+    if (!preg_match('/^[a-z0-9_-]+$/', $mode)) {
+      return NULL;
+    }
+    return $this->read($this->moduleList->getPath('dc_chatbot') . "/fixtures/{$mode}.json");
+  }
+
+  /**
+   * Saves a response as a fixture.
+   *
+   * @param string $mode
+   *   The chat mode.
+   * @param string $message
+   *   The user message.
+   * @param string $response
+   *   The response text.
+   *
+   * @return bool
+   *   TRUE if the fixture was saved.
+   */
+  public function save($mode, $message, $response) {
+    $directory = $this->getDirectory();
+    if (!$this->fileSystem->prepareDirectory($directory, FileSystemInterface::CREATE_DIRECTORY | FileSystemInterface::MODIFY_PERMISSIONS)) {
+      $this->loggerFactory->get('dc_chatbot')->warning('Could not record a chatbot fixture: @directory is not writable.', [
+        '@directory' => $directory,
+      ]);
+      return FALSE;
+    }
+
+    $fixture = [
+      'mode' => $mode,
+      'message' => $message,
+      'response' => $response,
+      'recorded' => date('c'),
+    ];
+
+    try {
+      $this->fileSystem->saveData(
+        json_encode($fixture, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n",
+        $directory . '/' . $this->getFilename($mode, $message),
+        FileSystemInterface::EXISTS_REPLACE
+      );
+    }
+    catch (\Exception $e) {
+      $this->loggerFactory->get('dc_chatbot')->warning('Could not record a chatbot fixture: @message', [
+        '@message' => $e->getMessage(),
+      ]);
+      return FALSE;
+    }
+
+    return TRUE;
+  }
+
+  /**
+   * Names the fixture of a message, e.g. answer-question--1a2b3c4d5e6f7a8b.json.
+   */
+  protected function getFilename($mode, $message) {
+    $normalized = preg_replace('/\s+/', ' ', mb_strtolower(trim($message)));
+    $mode = preg_replace('/[^a-z0-9_-]/', '', (string) $mode) ?: 'chat';
+    return $mode . '--' . substr(hash('sha256', $normalized), 0, 16) . '.json';
+  }
+
+  /**
+   * Reads the response of a fixture file.
+   *
+   * @return string|null
+   *   The response, or NULL if the file is missing or invalid.
+   */
+  protected function read($path) {
+    if (!is_file($path)) {
+      return NULL;
+    }
+
+    $fixture = json_decode((string) file_get_contents($path), TRUE);
+    if (!is_array($fixture) || !isset($fixture['response']) || !is_string($fixture['response'])) {
+      $this->loggerFactory->get('dc_chatbot')->warning('Ignoring invalid chatbot fixture @path.', [
+        '@path' => $path,
+      ]);
+      return NULL;
+    }
+
+    return $fixture['response'];
+  }
+
+}
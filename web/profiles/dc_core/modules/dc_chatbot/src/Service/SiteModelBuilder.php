@@ -0,0 +1,187 @@
+<?php
+
+namespace Drupal\dc_chatbot\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Entity\EntityFieldManagerInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Extension\ModuleHandlerInterface;
+
+/**
+ * Summarizes the content model of the site for the chatbot.
+ *
+ * The summary grounds Q&A answers in the site's own content types, fields
+ * and GraphQL schema, so it is kept compact.
+ */
+class SiteModelBuilder {
+
+  /**
+   * The bundle entity type of each content entity type that is summarized.
+   */
+  const BUNDLE_ENTITY_TYPES = [
+    'node' => 'node_type',
+    'paragraph' => 'paragraphs_type',
+  ];
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The entity field manager.
+   *
+   * @var \Drupal\Core\Entity\EntityFieldManagerInterface
+   */
+  protected $entityFieldManager;
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The module handler.
+   *
+   * @var \Drupal\Core\Extension\ModuleHandlerInterface
+   */
+  protected $moduleHandler;
+
+  /**
+   * Constructs a new SiteModelBuilder object.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Entity\EntityFieldManagerInterface $entity_field_manager
+   *   The entity field manager.
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   * @param \Drupal\Core\Extension\ModuleHandlerInterface $module_handler
+   *   The module handler.
+   */
+  public function __construct(EntityTypeManagerInterface $entity_type_manager, EntityFieldManagerInterface $entity_field_manager, ConfigFactoryInterface $config_factory, ModuleHandlerInterface $module_handler) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->entityFieldManager = $entity_field_manager;
+    $this->configFactory = $config_factory;
+    $this->moduleHandler = $module_handler;
+  }
+
+  /**
+   * Builds the summary.
+   *
+   * @return array
+   *   An array with:
+   *   - graphql: Whether GraphQL Compose is enabled.
+   *   - bundles: The content types and paragraph types, sorted by label,
+   *     each with 'entity', 'bundle', 'label', 'description', 'fields' and
+   *     'graphql'. Fields have 'name', 'label', 'type', 'required',
+   *     'multiple' and 'graphql' keys. The 'graphql' keys hold the names
+   *     GraphQL Compose exposes, or NULL when it is disabled for the bundle
+   *     or field.
+   */
+  public function build() {
+    $graphql = $this->moduleHandler->moduleExists('graphql_compose');
+    $settings = $graphql ? $this->configFactory->get('graphql_compose.settings') : NULL;
+    $entity_config = $settings ? ($settings->get('entity_config') ?: []) : [];
+    $field_config = $settings ? ($settings->get('field_config') ?: []) : [];
+
+    $bundles = [];
+    foreach (self::BUNDLE_ENTITY_TYPES as $entity_type => $bundle_entity_type) {
+      if (!$this->entityTypeManager->hasDefinition($bundle_entity_type)) {
+        continue;
+      }
+
+      $items = [];
+      foreach ($this->entityTypeManager->getStorage($bundle_entity_type)->loadMultiple() as $bundle_entity) {
+        $bundle = $bundle_entity->id();
+        $exposed = !empty($entity_config[$entity_type][$bundle]['enabled']);
+
+        $fields = [];
+        foreach ($this->entityFieldManager->getFieldDefinitions($entity_type, $bundle) as $name => $definition) {
+          $storage = $definition->getFieldStorageDefinition();
+          if ($storage->isBaseField()) {
+            continue;
+          }
+          $fields[] = [
+            'name' => $name,
+            'label' => (string) $definition->getLabel(),
+            'type' => $definition->getType(),
+            'required' => $definition->isRequired(),
+            'multiple' => $storage->isMultiple(),
+            'graphql' => $exposed && !empty($field_config[$entity_type][$bundle][$name]['enabled']) ? $this->fieldName($name) : NULL,
+          ];
+        }
+
+        $items[] = [
+          'entity' => $entity_type,
+          'bundle' => $bundle,
+          'label' => (string) $bundle_entity->label(),
+          'description' => method_exists($bundle_entity, 'getDescription') ? (string) $bundle_entity->getDescription() : '',
+          'fields' => $fields,
+          'graphql' => $exposed ? $this->bundleNames($entity_type, $bundle, $entity_config[$entity_type][$bundle]) : NULL,
+        ];
+      }
+
+      usort($items, function ($a, $b) {
+        return strnatcasecmp($a['label'], $b['label']);
+      });
+      $bundles = array_merge($bundles, $items);
+    }
+
+    return [
+      'graphql' => $graphql,
+      'bundles' => $bundles,
+    ];
+  }
+
+  /**
+   * Names the GraphQL type and queries of a bundle, as GraphQL Compose does.
+   *
+   * @param string $entity_type
+   *   The entity type.
+   * @param string $bundle
+   *   The bundle.
+   * @param array $settings
+   *   The GraphQL Compose settings of the bundle.
+   *
+   * @return array
+   *   An array with the 'type' name, the 'single' and 'list' query names
+   *   when those queries are enabled, and whether the bundle is loadable by
+   *   'route'.
+   */
+  protected function bundleNames($entity_type, $bundle, array $settings) {
+    // For example NodeNewsArticle, nodeNewsArticle and nodeNewsArticles.
+    $type = str_replace(' ', '', ucwords(str_replace('_', ' ', "{$entity_type}_{$bundle}")));
+    $single = lcfirst($type);
+
+    return [
+      'type' => $type,
+      'single' => !empty($settings['query_load_enabled']) ? $single : NULL,
+      'list' => !empty($settings['edges_enabled']) ? $this->pluralize($single) : NULL,
+      'route' => !empty($settings['routes_enabled']),
+    ];
+  }
+
+  /**
+   * Names a field as GraphQL Compose does, e.g. field_hero_image: heroImage.
+   */
+  protected function fieldName($name) {
+    $name = preg_replace('/^field_/', '', $name);
+    return lcfirst(str_replace(' ', '', ucwords(str_replace('_', ' ', $name))));
+  }
+
+  /**
+   * Pluralizes a query name with the inflector GraphQL Compose uses.
+   */
+  protected function pluralize($name) {
+    if (class_exists('\Doctrine\Inflector\InflectorFactory')) {
+      return \Doctrine\Inflector\InflectorFactory::create()->build()->pluralize($name);
+    }
+    return $name . 's';
+  }
+
+}
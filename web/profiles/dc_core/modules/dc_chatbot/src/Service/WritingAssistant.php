@@ -0,0 +1,173 @@
+<?php
+
+namespace Drupal\dc_chatbot\Service;
+
+use Drupal\Core\Block\BlockManagerInterface;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Session\AccountInterface;
+use Drupal\Core\StringTranslation\StringTranslationTrait;
+use Drupal\node\NodeInterface;
+
+/**
+ * Adds the chatbot as a writing assistant to node add and edit forms.
+ *
+ * The assistant is an inline chatbot in the form's sidebar. It knows the
+ * bundle and the text fields of the form, sends their current values along
+ * with each message, and writes its suggestions back into those fields.
+ */
+class WritingAssistant {
+
+  use StringTranslationTrait;
+
+  /**
+   * The chatbot instance id of the assistant.
+   */
+  const INSTANCE_ID = 'writing-assistant';
+
+  /**
+   * Field types whose text the assistant can draft and rewrite.
+   */
+  const FIELD_TYPES = [
+    'string',
+    'string_long',
+    'text',
+    'text_long',
+    'text_with_summary',
+  ];
+
+  /**
+   * The block manager.
+   *
+   * @var \Drupal\Core\Block\BlockManagerInterface
+   */
+  protected $blockManager;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountInterface
+   */
+  protected $currentUser;
+
+  /**
+   * Constructs a new WritingAssistant object.
+   *
+   * @param \Drupal\Core\Block\BlockManagerInterface $block_manager
+   *   The block manager.
+   * @param \Drupal\Core\Session\AccountInterface $current_user
+   *   The current user.
+   */
+  public function __construct(BlockManagerInterface $block_manager, AccountInterface $current_user) {
+    $this->blockManager = $block_manager;
+    $this->currentUser = $current_user;
+  }
+
+  /**
+   * Adds the assistant to the sidebar of a node form, for users allowed it.
+   *
+   * @param array $form
+   *   The node form.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   */
+  public function alterNodeForm(array &$form, FormStateInterface $form_state) {
+    if (!$this->currentUser->hasPermission('use chatbot writing assistant')) {
+      return;
+    }
+
+    $node = $form_state->getFormObject()->getEntity();
+    if (!$node instanceof NodeInterface) {
+      return;
+    }
+
+    $fields = $this->getFields($node, $form);
+    if (!$fields) {
+      return;
+    }
+
+    // The chatbot block checks access and whether the chatbot is enabled.
+    // A conversation is about one node, so it is not kept across pages.
+    $block = $this->blockManager->createInstance('dc_chatbot_block', [
+      'instance_id' => self::INSTANCE_ID,
+      'display' => 'inline',
+      'session_lifetime' => 0,
+    ]);
+    if (!$block->access($this->currentUser)) {
+      return;
+    }
+    $build = $block->build();
+    if (!$build) {
+      return;
+    }
+
+    $build['#embedded'] = TRUE;
+    $build['#attached']['library'][] = 'dc_chatbot/writing';
+    $build['#attached']['drupalSettings']['decoupledChatbot']['instances'][self::INSTANCE_ID] += [
+      'defaultMode' => 'write-content',
+      'writingAssistant' => [
+        'bundle' => $node->bundle(),
+        'bundleLabel' => (string) $node->type->entity->label(),
+        'fields' => $fields,
+      ],
+    ];
+
+    $form['dc_chatbot_writing'] = [
+      '#type' => 'details',
+      '#title' => $this->t('Writing assistant'),
+      '#group' => 'advanced',
+      '#open' => TRUE,
+      '#weight' => -5,
+      '#attributes' => ['class' => ['dc-chatbot-writing']],
+      'chatbot' => $build,
+    ];
+  }
+
+  /**
+   * Lists the text fields of a node form the assistant can write into.
+   *
+   * @param \Drupal\node\NodeInterface $node
+   *   The node being edited.
+   * @param array $form
+   *   The node form.
+   *
+   * @return array
+   *   A list of fields, each with the 'name' (e.g. 'body', or 'body.summary'
+   *   for a summary), the 'label', the field 'type' and the 'input' name of
+   *   the form element holding the first value.
+   */
+  protected function getFields(NodeInterface $node, array $form) {
+    $fields = [];
+    foreach ($node->getFieldDefinitions() as $name => $definition) {
+      if (!in_array($definition->getType(), self::FIELD_TYPES, TRUE)) {
+        continue;
+      }
+      // Of the base fields only the title is written, not e.g. the log
+      if ($definition->getFieldStorageDefinition()->isBaseField() && $name !== 'title') {
+        continue;
+      }
+      if (!isset($form[$name]) || (isset($form[$name]['#access']) && !$form[$name]['#access'])) {
+        continue;
+      }
+
+      $label = (string) $definition->getLabel();
+      $fields[] = [
+        'name' => $name,
+        'label' => $label,
+        'type' => $definition->getType(),
+        'input' => "{$name}[0][value]",
+      ];
+
+      if ($definition->getType() === 'text_with_summary') {
+        $fields[] = [
+          'name' => "{$name}.summary",
+          'label' => (string) $this->t('@label summary', ['@label' => $label]),
+          'type' => 'string_long',
+          'input' => "{$name}[0][summary]",
+        ];
+      }
+    }
+
+    return $fields;
+  }
+
+}
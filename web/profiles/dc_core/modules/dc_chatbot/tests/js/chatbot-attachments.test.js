@@ -0,0 +1,78 @@
+/**
+ * @file
+ * Tests the chatbot's client-side validation of content models.
+ *
+ * Runs with Node's built-in test runner, without dependencies:
+ *
+ * @code
+ * node --test web/profiles/dc_core/modules/dc_chatbot/tests/js/
+ * @endcode
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+/**
+ * Loads js/chatbot-attachments.js against a minimal Drupal and window.
+ */
+function loadAttachments() {
+  const format = (text, args) => Object.keys(args || {}).reduce((result, key) => result.split(key).join(args[key]), text);
+  const Drupal = {
+    t: format,
+    formatPlural: (count, singular, plural, args) => format(count === 1 ? singular : plural, Object.assign({ '@count': count }, args))
+  };
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '../../js/chatbot-attachments.js'), 'utf8');
+  vm.runInNewContext(source, { Drupal: Drupal, window: window });
+  return window.DecoupledChatbotAttachments;
+}
+
+const attachments = loadAttachments();
+// Copies the errors out of the script's context for deepEqual().
+const validate = (data, schema) => Array.from(attachments.validate(data, schema));
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../dc_import/resources/schema.json'), 'utf8'));
+
+test('the sample import validates against the dc_import schema', () => {
+  const sample = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../dc_import/resources/content-import-sample.json'), 'utf8'));
+  assert.deepEqual(validate(sample, schema), []);
+});
+
+test('types are coerced like the server does', async (t) => {
+  const cases = [
+    [{ type: 'number', minimum: 2 }, '3', []],
+    [{ type: 'number', minimum: 2 }, '1', ['$: must be at least 2']],
+    [{ type: 'integer' }, '4', []],
+    [{ type: 'integer' }, '4.5', ['$: must be integer, not string']],
+    [{ type: 'number' }, '', ['$: must be number, not string']],
+    [{ type: 'boolean' }, 'true', []],
+    [{ type: 'boolean' }, 'yes', ['$: must be boolean, not string']],
+    [{ type: 'boolean', const: false }, 'false', []],
+    [{ type: 'string', minLength: 2 }, 10, []],
+    [{ type: 'string' }, true, []],
+    [{ type: 'string' }, [], ['$: must be string, not array']],
+    [{ type: 'null' }, '', []]
+  ];
+
+  for (const [node, value, expected] of cases) {
+    await t.test(`${JSON.stringify(value)} as ${JSON.stringify(node)}`, () => {
+      assert.deepEqual(validate(value, node), expected);
+    });
+  }
+});
+
+test('a model with a coercible body flag validates', () => {
+  const data = { model: [{ bundle: 'page', label: 'Page', body: 'true', fields: [{ id: 'count', label: 'Count', type: 'int' }] }] };
+  assert.deepEqual(validate(data, schema), []);
+  assert.deepEqual(validate(data), []);
+});
+
+test('invalid models are still rejected', () => {
+  const data = { model: [{ bundle: 'Bad Name', label: 'Bad', fields: [{ id: 'x', type: 'term(tags' }] }] };
+  assert.deepEqual(validate(data, schema), ['$.model: must match exactly one of the allowed forms']);
+  assert.deepEqual(validate(data), ['$.model[0].bundle: "Bad Name" does not match ^[a-z][a-z0-9_]*$', '$.model[0].fields[0]: "label" is required']);
+});
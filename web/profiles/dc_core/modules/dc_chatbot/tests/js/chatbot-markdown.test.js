@@ -0,0 +1,120 @@
+/**
+ * @file
+ * Tests the chatbot markdown renderer with tricky inputs.
+ *
+ * Runs with Node's built-in test runner, without dependencies:
+ *
+ * @code
+ * node --test web/profiles/dc_core/modules/dc_chatbot/tests/js/
+ * @endcode
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+/**
+ * Loads js/chatbot-markdown.js against a minimal window.
+ */
+function loadMarkdown() {
+  const window = { location: { origin: 'https://site.example' } };
+  const source = fs.readFileSync(path.join(__dirname, '../../js/chatbot-markdown.js'), 'utf8');
+  vm.runInNewContext(source, { window: window });
+  return window.DecoupledChatbotMarkdown;
+}
+
+const markdown = loadMarkdown();
+const render = (text, options) => markdown.render(text, options);
+
+test('XSS payloads are escaped or dropped', async (t) => {
+  const payloads = {
+    '<script>alert(1)</script>': '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>',
+    '<img src=x onerror=alert(1)>': '<p>&lt;img src=x onerror=alert(1)&gt;</p>',
+    '[x](javascript:alert(1))': '<p>x</p>',
+    '[x](JaVaScRiPt:alert(1))': '<p>x</p>',
+    '[x](java\tscript:alert(1))': '<p>[x](java    script:alert(1))</p>',
+    '[x](data:text/html;base64,PHNjcmlwdD4=)': '<p>x</p>',
+    '[x](vbscript:msgbox(1))': '<p>x</p>',
+    '<javascript:alert(1)>': '<p>javascript:alert(1)</p>',
+    '![x](javascript:alert(1))': '<p>x</p>',
+    '[x](" onmouseover="alert(1))': '<p>[x](&quot; onmouseover=&quot;alert(1))</p>',
+    '[x](/a "t\\" onclick=\\"y")': '<p>[x](/a &quot;t&quot; onclick=&quot;y&quot;)</p>',
+    '```"><script>\ncode\n```': '<pre><code class="language-&quot;&gt;&lt;script&gt;">code</code></pre>',
+    '`<b>`': '<p><code>&lt;b&gt;</code></p>',
+    '| <i>a</i> |\n| --- |\n| <svg onload=x> |': '<table><thead><tr><th>&lt;i&gt;a&lt;/i&gt;</th></tr></thead><tbody><tr><td>&lt;svg onload=x&gt;</td></tr></tbody></table>'
+  };
+
+  for (const [input, expected] of Object.entries(payloads)) {
+    await t.test(JSON.stringify(input), () => {
+      assert.equal(render(input), expected);
+    });
+  }
+});
+
+test('links starting with a backslash are dropped', () => {
+  // Browsers read these as protocol-relative URLs to another host.
+  assert.equal(render('[x](\\\\evil.com)'), '<p>x</p>');
+  assert.equal(render('[x](/\\evil.com)'), '<p>x</p>');
+  assert.equal(render('[x](\\evil.com)'), '<p>x</p>');
+});
+
+test('links are rewritten and marked by origin', () => {
+  assert.equal(render('[Edit](/node/1/edit)', { basePath: '/de/' }), '<p><a href="/de/node/1/edit">Edit</a></p>');
+  assert.equal(render('[Home](https://site.example/about)'), '<p><a href="https://site.example/about">Home</a></p>');
+  assert.equal(render('[Elsewhere](//other.example)'), '<p><a href="//other.example" target="_blank" rel="noopener noreferrer">Elsewhere</a></p>');
+  assert.equal(render('See www.example.com.'), '<p>See <a href="https://www.example.com" target="_blank" rel="noopener noreferrer">www.example.com</a>.</p>');
+});
+
+test('nested emphasis', async (t) => {
+  const cases = {
+    '***both***': '<p><em><strong>both</strong></em></p>',
+    '**bold *and italic* text**': '<p><strong>bold <em>and italic</em> text</strong></p>',
+    '*italic **and bold** text*': '<p><em>italic <strong>and bold</strong> text</em></p>',
+    '_under **mixed** score_': '<p><em>under <strong>mixed</strong> score</em></p>',
+    '**unclosed *inner**': '<p><strong>unclosed *inner</strong></p>',
+    '*a `*` b*': '<p><em>a <code>*</code> b</em></p>',
+    'snake_case_name': '<p>snake_case_name</p>',
+    '\\*not emphasis\\*': '<p>*not emphasis*</p>',
+    '** spaced **': '<p>** spaced **</p>',
+    '~~struck *and italic*~~': '<p><del>struck <em>and italic</em></del></p>'
+  };
+
+  for (const [input, expected] of Object.entries(cases)) {
+    await t.test(JSON.stringify(input), () => {
+      assert.equal(render(input), expected);
+    });
+  }
+});
+
+test('mixed lists', async (t) => {
+  const cases = {
+    '- a\n- b\n  1. one\n  2. two\n- c': '<ul><li>a</li><li>b<ol><li>one</li><li>two</li></ol></li><li>c</li></ul>',
+    '1. first\n   - x\n   - y\n2. second': '<ol><li>first<ul><li>x</li><li>y</li></ul></li><li>second</li></ol>',
+    '3. three\n4. four': '<ol start="3"><li>three</li><li>four</li></ol>',
+    '- a\n1. b': '<ul><li>a</li></ul><ol><li>b</li></ol>',
+    '- item\n\n  continued': '<ul><li><p>item</p><p>continued</p></li></ul>',
+    '- a\n - b': '<ul><li>a<ul><li>b</li></ul></li></ul>',
+    '* * *': '<hr>',
+    'Text\n2. not a list': '<p>Text<br>2. not a list</p>',
+    '- `code`\n- [link](/x)': '<ul><li><code>code</code></li><li><a href="/x">link</a></li></ul>'
+  };
+
+  for (const [input, expected] of Object.entries(cases)) {
+    await t.test(JSON.stringify(input), () => {
+      assert.equal(render(input), expected);
+    });
+  }
+});
+
+test('unmatched delimiters render in linear time', () => {
+  // Streamed replies are rendered again on every chunk.
+  for (const input of ['_a '.repeat(5000), '*a '.repeat(5000), '**a '.repeat(5000), '[a '.repeat(5000), '`a ``b '.repeat(3000)]) {
+    const started = Date.now();
+    render(input);
+    assert.ok(Date.now() - started < 500, `${JSON.stringify(input.substring(0, 8))} took ${Date.now() - started}ms`);
+  }
+});
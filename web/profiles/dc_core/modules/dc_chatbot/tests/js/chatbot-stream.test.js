@@ -0,0 +1,74 @@
+/**
+ * @file
+ * Tests the reader for streamed chat responses.
+ *
+ * Runs with Node's built-in test runner, without dependencies:
+ *
+ * @code
+ * node --test web/profiles/dc_core/modules/dc_chatbot/tests/js/
+ * @endcode
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+/**
+ * Loads js/chatbot-stream.js against a minimal window.
+ */
+function loadStream() {
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '../../js/chatbot-stream.js'), 'utf8');
+  vm.runInNewContext(source, { window: window, TextDecoder: TextDecoder });
+  return window.DecoupledChatbotStream;
+}
+
+const stream = loadStream();
+
+/**
+ * Builds a streamed response from chunks of text.
+ */
+function respond(chunks, contentType = 'application/x-ndjson') {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { headers: { 'Content-Type': contentType } });
+}
+
+test('only newline-delimited JSON is read as a stream', () => {
+  assert.equal(stream.isStream(respond([], 'application/x-ndjson; charset=utf-8')), true);
+  assert.equal(stream.isStream(respond([], 'application/json')), false);
+});
+
+test('deltas are passed on and the done event resolves', async () => {
+  const chunks = [];
+  const result = await stream.read(respond([
+    '{"type":"delta","content":"Hel',
+    'lo"}\n{"type":"delta","content":" there"}\n',
+    '{"type":"done","response":"Hello there"}'
+  ]), chunk => chunks.push(chunk));
+
+  assert.deepEqual(chunks, ['Hello', ' there']);
+  assert.equal(result.response, 'Hello there');
+});
+
+test('error events resolve with the error', async () => {
+  const result = await stream.read(respond(['{"type":"delta","content":"x"}\n{"type":"error","error":"Rate limited"}\n']));
+  assert.equal(result.error, 'Rate limited');
+});
+
+test('a stream that ends early rejects with the status', async () => {
+  await assert.rejects(stream.read(respond(['{"type":"delta","content":"x"}\n'])), error => {
+    assert.equal(error.message, 'Stream ended before the response was complete');
+    assert.equal(error.status, 200);
+    return true;
+  });
+});
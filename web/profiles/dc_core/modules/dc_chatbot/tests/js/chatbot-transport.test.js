@@ -0,0 +1,88 @@
+/**
+ * @file
+ * Tests the chatbot's HTTP transport.
+ *
+ * Runs with Node's built-in test runner, without dependencies:
+ *
+ * @code
+ * node --test web/profiles/dc_core/modules/dc_chatbot/tests/js/
+ * @endcode
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+/**
+ * Loads js/chatbot-transport.js with a fetch() that answers from a list.
+ *
+ * @param {Response[]} responses
+ *   The responses, in the order requests are made.
+ *
+ * @return {object}
+ *   The 'transport' and the 'requests' made, each with 'url' and 'headers'.
+ */
+function loadTransport(responses) {
+  const requests = [];
+  const fetch = (url, options = {}) => {
+    requests.push({ url: url, headers: options.headers || {} });
+    return Promise.resolve(responses.shift());
+  };
+  const Drupal = {
+    url: (route) => `/${route}`,
+    t: (text) => text
+  };
+  const window = {};
+  const source = fs.readFileSync(path.join(__dirname, '../../js/chatbot-transport.js'), 'utf8');
+  vm.runInNewContext(source, { Drupal: Drupal, window: window, fetch: fetch });
+  return { transport: window.DecoupledChatbotTransport, requests: requests };
+}
+
+const html403 = () => new Response('<html><body><h1>Access denied</h1></body></html>', {
+  status: 403,
+  headers: { 'Content-Type': 'text/html' }
+});
+
+test('a 403 without a CSRF message is retried with a fresh token', async () => {
+  const { transport, requests } = loadTransport([
+    new Response('expired'),
+    html403(),
+    new Response('fresh'),
+    new Response('{"ok":true}', { headers: { 'Content-Type': 'application/json' } })
+  ]);
+
+  const response = await transport.send('/api/chat', { body: { message: 'Hi' } });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(requests.map(request => request.url), ['/session/token', '/api/chat', '/session/token', '/api/chat']);
+  assert.equal(requests[1].headers['X-CSRF-Token'], 'expired');
+  assert.equal(requests[3].headers['X-CSRF-Token'], 'fresh');
+});
+
+test('a second 403 is returned rather than retried again', async () => {
+  const { transport, requests } = loadTransport([
+    new Response('one'),
+    html403(),
+    new Response('two'),
+    html403()
+  ]);
+
+  const response = await transport.send('/api/chat', { body: { message: 'Hi' } });
+
+  assert.equal(response.status, 403);
+  assert.equal(requests.length, 4);
+});
+
+test('safe requests are neither tokened nor retried', async () => {
+  const { transport, requests } = loadTransport([html403()]);
+
+  const response = await transport.send('/api/chat/site-model');
+
+  assert.equal(response.status, 403);
+  assert.deepEqual(requests.map(request => request.url), ['/api/chat/site-model']);
+  assert.equal(requests[0].headers['X-CSRF-Token'], undefined);
+});
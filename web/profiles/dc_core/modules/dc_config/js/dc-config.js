@@ -52,41 +52,9 @@
   function copyToClipboard(element, button) {
     const text = element.textContent || element.innerText;
 
-    if (navigator.clipboard && window.isSecureContext) {
-      // Use the modern clipboard API.
-      navigator.clipboard.writeText(text).then(function () {
-        showCopySuccess(button);
-      }).catch(function () {
-        fallbackCopyText(text, button);
-      });
-    }
-    else {
-      // Fallback for older browsers.
-      fallbackCopyText(text, button);
-    }
-  }
-
-  /**
-   * Fallback copy method for older browsers.
-   *
-   * @param {string} text - The text to copy.
-   * @param {Element} button - The copy button element.
-   */
-  function fallbackCopyText(text, button) {
-    const textArea = document.createElement("textarea");
-    textArea.value = text;
-    textArea.style.position = "fixed";
-    textArea.style.left = "-999999px";
-    textArea.style.top = "-999999px";
-    document.body.appendChild(textArea);
-    textArea.focus();
-    textArea.select();
-
-    try {
-      document.execCommand("copy");
+    Drupal.dcClipboard.copyText(text).then(function () {
       showCopySuccess(button);
-    }
-    catch (err) {
+    }).catch(function (err) {
       console.error("Failed to copy: ", err);
       button.textContent = "❌ Failed";
       button.classList.add('dc-config-copy-button--error');
@@ -94,9 +62,7 @@
         button.textContent = "📋 Copy";
         button.classList.remove('dc-config-copy-button--error');
       }, 2000);
-    }
-
-    textArea.remove();
+    });
   }
 
   /**
@@ -123,27 +89,10 @@
    */
   function downloadFile(element, filename, button) {
     const text = element.textContent || element.innerText;
-    
+
     try {
-      // Create a blob with the text content
-      const blob = new Blob([text], { type: 'text/plain' });
-      
-      // Create a temporary URL for the blob
-      const url = window.URL.createObjectURL(blob);
-      
-      // Create a temporary anchor element and trigger download
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.style.display = 'none';
-      
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      // Clean up the URL
-      window.URL.revokeObjectURL(url);
-      
+      Drupal.dcClipboard.downloadFile(text, filename);
+
       // Show success feedback
       showDownloadSuccess(button);
     }
@@ -4,6 +4,7 @@ namespace Drupal\dc_import\Controller;
 
 use Drupal\Core\Controller\ControllerBase;
 use Drupal\dc_import\Service\DrupalContentImporter;
+use Drupal\dc_import\Service\JsonSchemaValidator;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
@@ -20,14 +21,24 @@ class ImportApiController extends ControllerBase {
    */
   protected $importer;
 
+  /**
+   * The JSON schema validator service.
+   *
+   * @var \Drupal\dc_import\Service\JsonSchemaValidator
+   */
+  protected $schemaValidator;
+
   /**
    * Constructs a new ImportApiController.
    *
    * @param \Drupal\dc_import\Service\DrupalContentImporter $importer
    *   The Drupal content importer service.
+   * @param \Drupal\dc_import\Service\JsonSchemaValidator $schema_validator
+   *   The JSON schema validator service.
    */
-  public function __construct(DrupalContentImporter $importer) {
+  public function __construct(DrupalContentImporter $importer, JsonSchemaValidator $schema_validator) {
     $this->importer = $importer;
+    $this->schemaValidator = $schema_validator;
   }
 
   /**
@@ -35,7 +46,8 @@ class ImportApiController extends ControllerBase {
    */
   public static function create(ContainerInterface $container) {
     return new static(
-      $container->get('dc_import.importer')
+      $container->get('dc_import.importer'),
+      $container->get('dc_import.schema_validator')
     );
   }
 
@@ -113,6 +125,28 @@ class ImportApiController extends ControllerBase {
     }
   }
 
+  /**
+   * Get the JSON schema import data is validated against.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The JSON response.
+   */
+  public function schema() {
+    $schema = $this->schemaValidator->getSchema();
+    if (!$schema) {
+      return new JsonResponse([
+        'success' => false,
+        'error' => 'The import schema is not available',
+      ], 503);
+    }
+
+    $response = new JsonResponse($schema);
+    // Only users with access may see it, so shared caches must not keep it.
+    $response->setMaxAge(3600);
+    $response->setPrivate();
+    return $response;
+  }
+
   /**
    * Get service status.
    *
@@ -127,6 +161,7 @@ class ImportApiController extends ControllerBase {
       'endpoints' => [
         'POST /api/dc-import' => 'Import content models and data',
         'GET /api/dc-import/status' => 'Get service status',
+        'GET /api/dc-import/schema' => 'Get the JSON schema import data is validated against',
         'GET /api/dc-import/oauth-credentials' => 'Get OAuth credentials for frontend integration',
       ],
       'authentication' => [
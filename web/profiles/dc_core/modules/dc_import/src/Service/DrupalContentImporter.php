@@ -56,10 +56,15 @@ class DrupalContentImporter {
    * @param array $data
    *   The decoded JSON data.
    * @param bool $preview_mode
-   *   Whether to run in preview mode (do not actually create).
+   *   Whether to run in preview mode (do not actually create). Preview mode
+   *   is a dry run: it reports what would be created and warns about
+   *   bundles and fields that already exist, without writing anything.
    *
    * @return array
-   *   Result array with summary and warnings.
+   *   Result array with 'summary' and 'warnings' messages, a 'created'
+   *   list of the content entities saved, each with 'entity_type', 'id',
+   *   'bundle' and 'label' keys, and a 'created_config' list of the bundles,
+   *   field storages and fields saved, each with 'entity_type' and 'id'.
    */
   public function import(array $data, $preview_mode = FALSE) {
     if (!isset($data['model']) && !isset($data['content'])) {
@@ -68,6 +73,250 @@ class DrupalContentImporter {
     return $this->importConcise($data, $preview_mode);
   }
 
+  /**
+   * Bundle entity types of the entity types a model may define.
+   */
+  const BUNDLE_ENTITY_TYPES = [
+    'node' => 'node_type',
+    'paragraph' => 'paragraphs_type',
+  ];
+
+  /**
+   * Describes the fields of an existing bundle.
+   *
+   * @param string $entity_type
+   *   The entity type, 'node' or 'paragraph'.
+   * @param string $bundle
+   *   The bundle.
+   *
+   * @return array|null
+   *   The bundle's 'entity', 'bundle' and 'label', and its configurable
+   *   'fields', each with 'name' (the machine name), 'label', 'type',
+   *   'required', 'cardinality' and 'description'. NULL if the bundle does
+   *   not exist.
+   */
+  public function describeBundle($entity_type, $bundle) {
+    $bundle_entity_type = self::BUNDLE_ENTITY_TYPES[$entity_type] ?? NULL;
+    $bundle_entity = $bundle_entity_type ? $this->entityTypeManager->getStorage($bundle_entity_type)->load($bundle) : NULL;
+    if (!$bundle_entity) {
+      return NULL;
+    }
+
+    $fields = [];
+    foreach (\Drupal::service('entity_field.manager')->getFieldDefinitions($entity_type, $bundle) as $name => $definition) {
+      if ($definition->getFieldStorageDefinition()->isBaseField()) {
+        continue;
+      }
+      $fields[] = [
+        'name' => $name,
+        'label' => (string) $definition->getLabel(),
+        'type' => $definition->getType(),
+        'required' => $definition->isRequired(),
+        'cardinality' => $definition->getFieldStorageDefinition()->getCardinality(),
+        'description' => (string) $definition->getDescription(),
+      ];
+    }
+
+    return [
+      'entity' => $entity_type,
+      'bundle' => $bundle,
+      'label' => (string) $bundle_entity->label(),
+      'fields' => $fields,
+    ];
+  }
+
+  /**
+   * Applies field changes to an existing bundle.
+   *
+   * Only the differences are applied: fields are added, or their label,
+   * description and required flag updated. The bundle and its content are
+   * left alone, and field types and machine names never change.
+   *
+   * @param string $entity_type
+   *   The entity type, 'node' or 'paragraph'.
+   * @param string $bundle
+   *   The bundle, which must exist.
+   * @param array $changes
+   *   The changes, each with an 'op':
+   *   - add: 'field' is a field definition, as in a model.
+   *   - update: 'field' is the field id or machine name, and any of
+   *     'label', 'description' and 'required' hold the new values.
+   * @param bool $preview_mode
+   *   Whether to only report what would change.
+   *
+   * @return array
+   *   Result array like import(), plus a 'changes' list of what (would
+   *   have) changed, each with 'op', 'field' (the machine name), and
+   *   'before' and 'after' arrays with 'label', 'type', 'required' and
+   *   'description'. 'before' is NULL for added fields.
+   */
+  public function applyFieldChanges($entity_type, $bundle, array $changes, $preview_mode = FALSE) {
+    $result = [
+      'summary' => [],
+      'warnings' => [],
+      'created' => [],
+      'created_config' => [],
+      'changes' => [],
+    ];
+
+    if (!$this->describeBundle($entity_type, $bundle)) {
+      throw new \InvalidArgumentException("The {$entity_type} type '{$bundle}' does not exist.");
+    }
+
+    $added = [];
+    foreach ($changes as $change) {
+      $op = is_array($change) ? ($change['op'] ?? NULL) : NULL;
+      if ($op === 'add') {
+        $field_name = $this->addFieldChange($entity_type, $bundle, $change, $preview_mode, $result);
+        if ($field_name) {
+          $added[] = $field_name;
+        }
+      }
+      elseif ($op === 'update') {
+        $this->updateFieldChange($entity_type, $bundle, $change, $preview_mode, $result);
+      }
+      else {
+        $result['warnings'][] = "Unsupported change '" . (is_string($op) ? $op : '') . "', skipping";
+      }
+    }
+
+    if ($added && !$preview_mode) {
+      $this->addFormDisplayComponents($entity_type, $bundle, $added);
+      if (\Drupal::moduleHandler()->moduleExists('graphql_compose')) {
+        $this->configureGraphQLCompose($entity_type, $bundle, $preview_mode, $result);
+        $this->clearGraphQLCaches();
+      }
+    }
+
+    return $result;
+  }
+
+  /**
+   * Adds a field to an existing bundle.
+   *
+   * @return string|null
+   *   The machine name of the field, or NULL if it was not added.
+   */
+  private function addFieldChange($entity_type, $bundle, array $change, $preview_mode, array &$result) {
+    $field = $change['field'] ?? NULL;
+    if (!is_array($field) || empty($field['id']) || empty($field['type'])) {
+      $result['warnings'][] = "A field to add needs an id and a type, skipping";
+      return NULL;
+    }
+    if (!isset($field['name'])) {
+      $field['name'] = $field['label'] ?? $field['id'];
+    }
+    if ($this->isReservedField($field['id'], $entity_type)) {
+      $result['warnings'][] = "Field '{$field['id']}' is reserved, skipping";
+      return NULL;
+    }
+
+    $drupal = $this->fieldTypeMapper->mapFieldType($field);
+    $field['required'] = !empty($field['required']) || !empty($drupal['required']);
+    $field_name = 'field_' . $this->sanitizeFieldName($field['id']);
+    if ($this->entityTypeManager->getStorage('field_config')->load("{$entity_type}.{$bundle}.{$field_name}")) {
+      $result['warnings'][] = "Field '{$field_name}' already exists for {$entity_type} {$bundle}; change it instead of adding it";
+      return NULL;
+    }
+
+    $warnings = count($result['warnings']);
+    $this->createField($entity_type, $bundle, $field, $preview_mode, $result);
+    if (count($result['warnings']) > $warnings) {
+      return NULL;
+    }
+
+    $result['changes'][] = [
+      'op' => 'add',
+      'field' => $field_name,
+      'before' => NULL,
+      'after' => [
+        'label' => (string) $field['name'],
+        'type' => $drupal['type'] ?? (string) $field['type'],
+        'required' => $field['required'],
+        'description' => (string) ($field['description'] ?? ''),
+      ],
+    ];
+    return $field_name;
+  }
+
+  /**
+   * Updates the label, description or required flag of a field.
+   */
+  private function updateFieldChange($entity_type, $bundle, array $change, $preview_mode, array &$result) {
+    $field_id = is_string($change['field'] ?? NULL) ? $change['field'] : '';
+    $field_name = strpos($field_id, 'field_') === 0 || $this->isReservedField($field_id, $entity_type) ? $field_id : 'field_' . $this->sanitizeFieldName($field_id);
+
+    $field = $field_id !== '' ? $this->entityTypeManager->getStorage('field_config')->load("{$entity_type}.{$bundle}.{$field_name}") : NULL;
+    if (!$field) {
+      $result['warnings'][] = "Field '{$field_id}' does not exist for {$entity_type} {$bundle}, skipping";
+      return;
+    }
+
+    $before = [
+      'label' => (string) $field->getLabel(),
+      'type' => $field->getType(),
+      'required' => $field->isRequired(),
+      'description' => (string) $field->getDescription(),
+    ];
+    $after = $before;
+    foreach (['label', 'description'] as $key) {
+      if (isset($change[$key]) && is_string($change[$key])) {
+        $after[$key] = $change[$key];
+      }
+    }
+    if (isset($change['required'])) {
+      $after['required'] = (bool) $change['required'];
+    }
+    if (!empty($change['type']) && $change['type'] !== $before['type']) {
+      $result['warnings'][] = "Changing the type of field '{$field_name}' is not supported, keeping {$before['type']}";
+    }
+
+    if ($after === $before) {
+      return;
+    }
+
+    if (!$preview_mode) {
+      $field->setLabel($after['label']);
+      $field->setDescription($after['description']);
+      $field->setRequired($after['required']);
+      $field->save();
+    }
+
+    $result['summary'][] = ($preview_mode ? 'Would update' : 'Updated') . " field: {$after['label']} ({$field_name}) for {$entity_type} {$bundle}";
+    $result['changes'][] = [
+      'op' => 'update',
+      'field' => $field_name,
+      'before' => $before,
+      'after' => $after,
+    ];
+  }
+
+  /**
+   * Adds widgets for new fields to an existing form display.
+   */
+  private function addFormDisplayComponents($entity_type, $bundle, array $field_names) {
+    $form_display = $this->entityTypeManager->getStorage('entity_form_display')->load("{$entity_type}.{$bundle}.default");
+    if (!$form_display) {
+      return;
+    }
+
+    $weight = 0;
+    foreach ($form_display->getComponents() as $name => $component) {
+      // Keep new fields above the publishing options at the end.
+      if (!in_array($name, ['uid', 'created', 'promote', 'status'], TRUE)) {
+        $weight = max($weight, ($component['weight'] ?? 0) + 1);
+      }
+    }
+
+    foreach ($field_names as $field_name) {
+      $form_display->setComponent($field_name, [
+        'weight' => $weight++,
+        'region' => 'content',
+      ]);
+    }
+    $form_display->save();
+  }
+
   /**
    * Imports the concise schema with 'model' and 'content'.
    */
@@ -75,6 +324,8 @@ class DrupalContentImporter {
     $result = [
       'summary' => [],
       'warnings' => [],
+      'created' => [],
+      'created_config' => [],
     ];
 
     $bundle_defs = [];
@@ -152,7 +403,11 @@ class DrupalContentImporter {
     $description = $def['description'] ?? '';
 
     if ($preview_mode) {
-      $result['summary'][] = "Would create node type: {$name} ({$id})";
+      if ($this->entityTypeManager->getStorage('node_type')->load($id)) {
+        $result['warnings'][] = "Node type '{$id}' already exists, creation would be skipped";
+      } else {
+        $result['summary'][] = "Would create node type: {$name} ({$id})";
+      }
     } else {
       $existing = $this->entityTypeManager->getStorage('node_type')->load($id);
       if ($existing) {
@@ -168,6 +423,7 @@ class DrupalContentImporter {
         ]);
         $node_type->save();
         $result['summary'][] = "Created node type: {$name} ({$id})";
+        $result['created_config'][] = ['entity_type' => 'node_type', 'id' => $id];
       }
     }
 
@@ -201,7 +457,11 @@ class DrupalContentImporter {
     $description = $def['description'] ?? '';
 
     if ($preview_mode) {
-      $result['summary'][] = "Would create paragraph type: {$name} ({$id})";
+      if ($this->entityTypeManager->getStorage('paragraphs_type')->load($id)) {
+        $result['warnings'][] = "Paragraph type '{$id}' already exists, creation would be skipped";
+      } else {
+        $result['summary'][] = "Would create paragraph type: {$name} ({$id})";
+      }
     } else {
       $existing = $this->entityTypeManager->getStorage('paragraphs_type')->load($id);
       if ($existing) {
@@ -214,6 +474,7 @@ class DrupalContentImporter {
         ]);
         $paragraph_type->save();
         $result['summary'][] = "Created paragraph type: {$name} ({$id})";
+        $result['created_config'][] = ['entity_type' => 'paragraphs_type', 'id' => $id];
       }
     }
 
@@ -552,6 +813,12 @@ class DrupalContentImporter {
       $paragraph->save();
       $title = $values['title'] ?? $item['id'] ?? 'Untitled';
       $result['summary'][] = "Created paragraph: {$title} (ID: {$paragraph->id()}, type: {$bundle})";
+      $result['created'][] = [
+        'entity_type' => 'paragraph',
+        'id' => (int) $paragraph->id(),
+        'bundle' => $bundle,
+        'label' => (string) $title,
+      ];
       return $paragraph;
     }
 
@@ -631,6 +898,12 @@ class DrupalContentImporter {
       $media = $media_storage->create($media_data);
       $media->save();
       $result['summary'][] = "Created media: {$media_data['name']} (ID: {$media->id()}, type: {$bundle})";
+      $result['created'][] = [
+        'entity_type' => 'media',
+        'id' => (int) $media->id(),
+        'bundle' => $bundle,
+        'label' => (string) $media_data['name'],
+      ];
       return $media;
     }
 
@@ -687,6 +960,12 @@ class DrupalContentImporter {
     }
 
     $result['summary'][] = "Created node: {$node_data['title']} (ID: {$node->id()}, type: {$bundle})";
+    $result['created'][] = [
+      'entity_type' => 'node',
+      'id' => (int) $node->id(),
+      'bundle' => $bundle,
+      'label' => (string) $node_data['title'],
+    ];
     return $node;
   }
 
@@ -1174,7 +1453,14 @@ class DrupalContentImporter {
     $cardinality = $drupal_field_info['cardinality'] ?? 1;
 
     if ($preview_mode) {
-      $result['summary'][] = "Would create field: {$field_label} ({$field_name}) of type {$drupal_field_type} for {$entity_type} {$bundle}";
+      $existing_storage = $this->entityTypeManager->getStorage('field_storage_config')->load("{$entity_type}.{$field_name}");
+      if ($this->entityTypeManager->getStorage('field_config')->load("{$entity_type}.{$bundle}.{$field_name}")) {
+        $result['warnings'][] = "Field '{$field_name}' already exists for {$entity_type} {$bundle}, creation would be skipped";
+      } elseif ($existing_storage && $existing_storage->getType() !== $drupal_field_type) {
+        $result['warnings'][] = "Field '{$field_name}' already exists on {$entity_type} as type {$existing_storage->getType()}, not {$drupal_field_type}";
+      } else {
+        $result['summary'][] = "Would create field: {$field_label} ({$field_name}) of type {$drupal_field_type} for {$entity_type} {$bundle}";
+      }
       return;
     }
 
@@ -1190,6 +1476,7 @@ class DrupalContentImporter {
         'settings' => $field_settings,
       ]);
       $field_storage->save();
+      $result['created_config'][] = ['entity_type' => 'field_storage_config', 'id' => $field_storage_id];
     }
 
     // Create field instance.
@@ -1205,6 +1492,7 @@ class DrupalContentImporter {
       ]);
       $field->save();
       $result['summary'][] = "Created field: {$field_label} ({$field_name}) for {$entity_type} {$bundle}";
+      $result['created_config'][] = ['entity_type' => 'field_config', 'id' => $field_id_full];
     } else {
       $result['warnings'][] = "Field '{$field_name}' already exists for {$entity_type} {$bundle}, skipping";
     }
@@ -1282,6 +1570,7 @@ class DrupalContentImporter {
     ]);
     $field_config->save();
     $result['summary'][] = "Added body field to node type: {$bundle}";
+    $result['created_config'][] = ['entity_type' => 'field_config', 'id' => $field_config_id];
   }
 
   /**
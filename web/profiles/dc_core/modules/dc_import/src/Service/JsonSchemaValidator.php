@@ -12,11 +12,6 @@ class JsonSchemaValidator {
 
   use StringTranslationTrait;
 
-  /**
-   * The schema URL.
-   */
-  const SCHEMA_URL = 'https://raw.githubusercontent.com/nextagencyio/json_import/refs/heads/1.x/resources/schema.json';
-
   /**
    * Validates JSON data against the import schema.
    *
@@ -85,52 +80,30 @@ class JsonSchemaValidator {
   }
 
   /**
-   * Loads the JSON schema.
+   * Returns the import schema, e.g. for client-side validation.
+   *
+   * @return object|null
+   *   The schema object or NULL if unable to load.
+   */
+  public function getSchema(): ?object {
+    return $this->loadSchema();
+  }
+
+  /**
+   * Loads the JSON schema shipped with the module.
    *
    * @return object|null
    *   The schema object or NULL if unable to load.
    */
   private function loadSchema(): ?object {
-    // First try to load from local file
     $module_path = \Drupal::service('extension.list.module')->getPath('dc_import');
     $local_path = \Drupal::root() . '/' . $module_path . '/resources/schema.json';
-    
-    if (is_readable($local_path)) {
-      $schema_content = file_get_contents($local_path);
-      if ($schema_content !== FALSE) {
-        $schema = json_decode($schema_content);
-        if (json_last_error() === JSON_ERROR_NONE) {
-          return $schema;
-        }
-      }
-    }
-
-    // Fallback to remote schema (if curl is available)
-    if (function_exists('curl_init')) {
-      try {
-        $ch = curl_init();
-        curl_setopt($ch, CURLOPT_URL, self::SCHEMA_URL);
-        curl_setopt($ch, CURLOPT_RETURNTRANSFER, 1);
-        curl_setopt($ch, CURLOPT_TIMEOUT, 10);
-        curl_setopt($ch, CURLOPT_FOLLOWLOCATION, true);
-        curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, false);
-        
-        $schema_content = curl_exec($ch);
-        $http_code = curl_getinfo($ch, CURLINFO_HTTP_CODE);
-        curl_close($ch);
-        
-        if ($http_code === 200 && $schema_content !== FALSE) {
-          $schema = json_decode($schema_content);
-          if (json_last_error() === JSON_ERROR_NONE) {
-            return $schema;
-          }
-        }
-      } catch (\Exception $e) {
-        // Fallback to no validation
-      }
+    if (!is_readable($local_path)) {
+      return NULL;
     }
 
-    return NULL;
+    $schema = json_decode((string) file_get_contents($local_path));
+    return is_object($schema) ? $schema : NULL;
   }
 
 }
\ No newline at end of file